@@ -18,6 +18,28 @@ var routes = require("./routes");
 var employeesRouter = require("./routes/employees");
 var departmentsRouter = require("./routes/departments");
 var usersRouter = require("./routes/users");
+var payrollRunsRouter = require("./routes/payroll-runs");
+var contributionSchedulesRouter = require("./routes/contribution-schedules");
+var taxRouter = require("./routes/tax");
+var authRouter = require("./routes/auth");
+var auditRouter = require("./routes/audit");
+var attendanceRouter = require("./routes/attendance");
+var holidaysRouter = require("./routes/holidays");
+var payRulesRouter = require("./routes/pay-rules");
+var leavesRouter = require("./routes/leaves");
+var loansRouter = require("./routes/loans");
+var earningTypesRouter = require("./routes/earning-types");
+var payslipsRouter = require("./routes/payslips");
+var remittancesRouter = require("./routes/remittances");
+var birRouter = require("./routes/bir");
+var requestId = require("./middleware/request-id");
+var {
+  authenticate,
+  authorize,
+  canViewSalary,
+  redactSalary,
+} = require("./middleware/auth");
+var { HEADCOUNT_STATUSES } = require("./services/employees");
 
 // Generating an express app
 
@@ -29,14 +51,17 @@ app.use(
   cors({
     origin: FRONTEND_URL,
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: [
       "Origin",
       "X-Requested-With",
       "Content-Type",
       "Accept",
       "Authorization",
+      "If-Match",
+      "If-None-Match",
     ],
+    exposedHeaders: ["ETag"],
   })
 );
 
@@ -58,6 +83,9 @@ testConnection().then((connected) => {
   }
 });
 
+// Tag each request with an ID for logs and the audit trail
+app.use(requestId);
+
 // compress all responses
 app.use(compression());
 
@@ -99,7 +127,7 @@ logger.token("datetime", function displayTime() {
 app.use(logger("dev"));
 app.use(
   logger(
-    ":remote-addr :remote-user :datetime :req[header] :method :url HTTP/:http-version :status :res[content-length] :res[header] :response-time[digits] :referrer :user-agent",
+    ":remote-addr :remote-user :datetime :req[header] :method :url HTTP/:http-version :status :res[content-length] :res[header] :response-time[digits] :referrer :user-agent :res[x-request-id]",
     {
       stream: accessLogStream,
     }
@@ -133,65 +161,113 @@ app.get("/api", (req, res) => {
     version: "1.0.0",
     endpoints: {
       health: "/health",
+      auth: "/api/auth",
       employees: "/api/employees",
       departments: "/api/departments",
+      users: "/api/users",
+      payrollRuns: "/api/payroll-runs",
+      contributionSchedules: "/api/contribution-schedules",
+      tax: "/api/tax",
+      attendance: "/api/attendance",
+      holidays: "/api/holidays",
+      payRules: "/api/pay-rules",
+      leaves: "/api/leaves",
+      loans: "/api/loans",
+      earningTypes: "/api/earning-types",
+      payslips: "/api/payslips",
+      remittances: "/api/remittances",
+      bir: "/api/bir",
+      audit: "/api/audit",
       stats: "/api/stats",
     },
   });
 });
 
 // API Routes
-app.use("/api/employees", employeesRouter);
-app.use("/api/departments", departmentsRouter);
-app.use("/api/users", usersRouter);
+app.use("/api/auth", authRouter);
+app.use("/api/employees", authenticate, employeesRouter);
+app.use("/api/departments", authenticate, departmentsRouter);
+app.use("/api/users", authenticate, authorize("admin"), usersRouter);
+app.use("/api/payroll-runs", authenticate, payrollRunsRouter);
+app.use(
+  "/api/contribution-schedules",
+  authenticate,
+  contributionSchedulesRouter
+);
+app.use("/api/tax", authenticate, taxRouter);
+app.use("/api/audit", authenticate, authorize("admin"), auditRouter);
+app.use("/api/attendance", authenticate, attendanceRouter);
+app.use("/api/holidays", authenticate, holidaysRouter);
+app.use("/api/pay-rules", authenticate, payRulesRouter);
+app.use("/api/leaves", authenticate, leavesRouter);
+app.use("/api/loans", authenticate, loansRouter);
+app.use("/api/earning-types", authenticate, earningTypesRouter);
+app.use("/api/payslips", authenticate, payslipsRouter);
+app.use("/api/remittances", authenticate, remittancesRouter);
+app.use("/api/bir", authenticate, birRouter);
 
 // Stats
-app.get("/api/stats", async (req, res) => {
-  try {
-    const pool = await getPool();
-
-    const [totalEmployees] = await pool.execute(
-      "SELECT COUNT(*) as count FROM employees"
-    );
-    const [activeEmployees] = await pool.execute(
-      "SELECT COUNT(*) as count FROM employees WHERE status = 'active'"
-    );
-    const [departmentStats] = await pool.execute(`
+app.get(
+  "/api/stats",
+  authenticate,
+  authorize("admin", "payroll_officer", "hr", "viewer"),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+
+      const [totalEmployees] = await pool.execute(
+        "SELECT COUNT(*) as count FROM employees WHERE deleted_at IS NULL"
+      );
+      const [activeEmployees] = await pool.query(
+        "SELECT COUNT(*) as count FROM employees WHERE deleted_at IS NULL AND status IN (?)",
+        [HEADCOUNT_STATUSES]
+      );
+      const [departmentStats] = await pool.execute(`
       SELECT d.name as department, COUNT(e.id) as count 
       FROM departments d
-      LEFT JOIN employees e ON d.id = e.department_id
+      LEFT JOIN employees e ON d.id = e.department_id AND e.deleted_at IS NULL
+      WHERE d.deleted_at IS NULL
       GROUP BY d.id, d.name
       ORDER BY count DESC
     `);
-    const [avgSalary] = await pool.execute(
-      "SELECT AVG(salary) as average FROM employees WHERE status = 'active'"
-    );
-    const [recentEmployees] = await pool.execute(`
+      const [avgSalary] = await pool.query(
+        "SELECT AVG(salary) as average FROM employees WHERE deleted_at IS NULL AND status IN (?)",
+        [HEADCOUNT_STATUSES]
+      );
+      const [recentEmployees] = await pool.execute(`
       SELECT e.*, d.name as department_name 
       FROM employees e
       LEFT JOIN departments d ON e.department_id = d.id
+      WHERE e.deleted_at IS NULL
       ORDER BY e.created_at DESC
       LIMIT 5
     `);
 
-    res.json({
-      success: true,
-      data: {
-        totalEmployees: totalEmployees[0].count,
-        activeEmployees: activeEmployees[0].count,
-        averageSalary: Math.round(avgSalary[0].average || 0),
-        departmentBreakdown: departmentStats,
-        recentEmployees: recentEmployees,
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching stats:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch statistics",
-    });
+      const showSalary = canViewSalary(req.user);
+
+      res.json({
+        success: true,
+        data: {
+          totalEmployees: totalEmployees[0].count,
+          activeEmployees: activeEmployees[0].count,
+          averageSalary: showSalary
+            ? Math.round(avgSalary[0].average || 0)
+            : undefined,
+          departmentBreakdown: departmentStats,
+          recentEmployees: recentEmployees.map((employee) =>
+            redactSalary(employee, req.user)
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching stats:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch statistics",
+      });
+    }
   }
-});
+);
 
 // View route
 app.use("/", routes);
@@ -0,0 +1,119 @@
+const { getPool } = require("../dbconfig");
+const { verifyAccessToken } = require("../services/auth");
+
+// Roles allowed to see compensation figures
+const SALARY_ROLES = ["admin", "payroll_officer"];
+
+// Employee fields only SALARY_ROLES (and the employee) may see
+const PAY_FIELDS = [
+  "salary",
+  "withholding_tax",
+  "bank_account_number",
+  "bank_account_name",
+];
+
+// Require a valid Bearer access token belonging to an active user
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired token",
+    });
+  }
+
+  try {
+    const pool = await getPool();
+    const [users] = await pool.query(
+      "SELECT id, email, name, role, employee_id, is_active FROM users WHERE id = ?",
+      [payload.sub]
+    );
+
+    if (users.length === 0 || !users[0].is_active) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired token",
+      });
+    }
+
+    req.user = users[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Only let the listed roles through
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient permissions",
+      });
+    }
+    next();
+  };
+}
+
+// Let the listed roles through, plus a user acting on their own employee record
+function authorizeSelfOr(...roles) {
+  return (req, res, next) => {
+    if (
+      req.user &&
+      (roles.includes(req.user.role) || isSelf(req.user, req.params.id))
+    ) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      error: "Insufficient permissions",
+    });
+  };
+}
+
+function isSelf(user, employeeId) {
+  return (
+    Boolean(user) &&
+    user.employee_id !== null &&
+    user.employee_id !== undefined &&
+    String(user.employee_id) === String(employeeId)
+  );
+}
+
+function canViewSalary(user) {
+  return Boolean(user) && SALARY_ROLES.includes(user.role);
+}
+
+// Strip compensation figures and bank accounts the user is not allowed to see
+function redactSalary(employee, user) {
+  if (canViewSalary(user) || isSelf(user, employee.id)) {
+    return employee;
+  }
+  const rest = { ...employee };
+  PAY_FIELDS.forEach((field) => delete rest[field]);
+  return rest;
+}
+
+module.exports = {
+  SALARY_ROLES,
+  PAY_FIELDS,
+  authenticate,
+  authorize,
+  authorizeSelfOr,
+  isSelf,
+  canViewSalary,
+  redactSalary,
+};
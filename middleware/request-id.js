@@ -0,0 +1,14 @@
+const crypto = require("crypto");
+
+// Tag every request with an ID, reusing the caller's X-Request-Id when sane
+function requestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.-]{1,64}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = requestId;
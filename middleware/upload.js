@@ -0,0 +1,21 @@
+const multer = require("multer");
+
+// Keep uploads in memory; imports are small spreadsheets and CSV exports
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+});
+
+// Accept a single "file" upload, reporting multer errors as 400s
+function uploadFile(req, res, next) {
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  uploadFile,
+};
@@ -0,0 +1,37 @@
+// Send the standard 422 response with a per-field error list
+function sendValidationError(res, details) {
+  return res.status(422).json({
+    success: false,
+    error: "Validation failed",
+    details,
+  });
+}
+
+// Validate and normalize req[source] against a joi schema
+function validate(schema, source = "body") {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[source], {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } },
+    });
+
+    if (error) {
+      return sendValidationError(
+        res,
+        error.details.map((detail) => ({
+          field: detail.path.join("."),
+          message: detail.message,
+        }))
+      );
+    }
+
+    req[source] = value;
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  sendValidationError,
+};
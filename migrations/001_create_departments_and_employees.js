@@ -0,0 +1,44 @@
+// Baseline schema. IF NOT EXISTS keeps databases created by the old
+// createTables() bootstrap intact.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS departments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS employees (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        employee_id VARCHAR(20) UNIQUE NOT NULL,
+        first_name VARCHAR(50) NOT NULL,
+        last_name VARCHAR(50) NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        phone VARCHAR(20),
+        department_id INT,
+        position VARCHAR(100),
+        salary DECIMAL(10,2),
+        hire_date DATE,
+        status ENUM('active', 'inactive') DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL,
+
+        INDEX idx_employee_id (employee_id),
+        INDEX idx_department_id (department_id),
+        INDEX idx_status (status),
+        INDEX idx_email (email)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS employees");
+    await connection.query("DROP TABLE IF EXISTS departments");
+  },
+};
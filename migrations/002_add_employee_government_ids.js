@@ -0,0 +1,26 @@
+const { columnExists } = require("../utilities/migrator");
+
+module.exports = {
+  async up(connection) {
+    if (await columnExists(connection, "employees", "tin")) {
+      return;
+    }
+    await connection.query(`
+      ALTER TABLE employees
+      ADD COLUMN tin VARCHAR(20) AFTER status,
+      ADD COLUMN sss_number VARCHAR(15) AFTER tin,
+      ADD COLUMN philhealth_number VARCHAR(15) AFTER sss_number,
+      ADD COLUMN pagibig_number VARCHAR(15) AFTER philhealth_number
+    `);
+  },
+
+  async down(connection) {
+    await connection.query(`
+      ALTER TABLE employees
+      DROP COLUMN tin,
+      DROP COLUMN sss_number,
+      DROP COLUMN philhealth_number,
+      DROP COLUMN pagibig_number
+    `);
+  },
+};
@@ -0,0 +1,76 @@
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS pay_periods (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        frequency ENUM('semi-monthly', 'monthly') NOT NULL,
+        cutoff TINYINT NOT NULL DEFAULT 1,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        pay_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY uq_pay_period (frequency, period_start)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payroll_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        pay_period_id INT NOT NULL,
+        status ENUM('draft', 'computed') DEFAULT 'draft',
+        employee_count INT DEFAULT 0,
+        total_gross DECIMAL(14,2) DEFAULT 0,
+        total_deductions DECIMAL(14,2) DEFAULT 0,
+        total_net DECIMAL(14,2) DEFAULT 0,
+        notes TEXT,
+        computed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (pay_period_id) REFERENCES pay_periods(id),
+
+        INDEX idx_status (status)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payslips (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        payroll_run_id INT NOT NULL,
+        employee_id INT NOT NULL,
+        basic_pay DECIMAL(12,2) NOT NULL DEFAULT 0,
+        gross_pay DECIMAL(12,2) NOT NULL DEFAULT 0,
+        taxable_income DECIMAL(12,2) NOT NULL DEFAULT 0,
+        withholding_tax DECIMAL(12,2) NOT NULL DEFAULT 0,
+        total_deductions DECIMAL(12,2) NOT NULL DEFAULT 0,
+        net_pay DECIMAL(12,2) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payroll_run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE,
+        FOREIGN KEY (employee_id) REFERENCES employees(id),
+
+        UNIQUE KEY uq_payslip (payroll_run_id, employee_id)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payslip_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        payslip_id INT NOT NULL,
+        line_type ENUM('earning', 'deduction', 'employer') NOT NULL,
+        code VARCHAR(30) NOT NULL,
+        description VARCHAR(150),
+        amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        FOREIGN KEY (payslip_id) REFERENCES payslips(id) ON DELETE CASCADE,
+
+        INDEX idx_payslip_id (payslip_id)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS payslip_lines");
+    await connection.query("DROP TABLE IF EXISTS payslips");
+    await connection.query("DROP TABLE IF EXISTS payroll_runs");
+    await connection.query("DROP TABLE IF EXISTS pay_periods");
+  },
+};
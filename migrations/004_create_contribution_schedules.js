@@ -0,0 +1,37 @@
+const schedules = require("../data/contribution-schedules.json");
+
+// Reference data: the published SSS, PhilHealth and Pag-IBIG rate tables.
+// Later revisions are loaded through POST /api/contribution-schedules.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS contribution_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        agency ENUM('sss', 'philhealth', 'pagibig') NOT NULL,
+        effective_from DATE NOT NULL,
+        circular VARCHAR(150),
+        rules JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY uq_agency_effective (agency, effective_from)
+      )
+    `);
+
+    for (const schedule of schedules) {
+      await connection.query(
+        `INSERT IGNORE INTO contribution_schedules (agency, effective_from, circular, rules)
+         VALUES (?, ?, ?, ?)`,
+        [
+          schedule.agency,
+          schedule.effective_from,
+          schedule.circular,
+          JSON.stringify(schedule.rules),
+        ]
+      );
+    }
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS contribution_schedules");
+  },
+};
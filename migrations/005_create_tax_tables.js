@@ -0,0 +1,33 @@
+const tables = require("../data/tax-tables.json");
+
+// Reference data: the BIR withholding tax tables.
+// Later revisions are loaded through POST /api/tax/tables.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tax_tables (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        effective_from DATE NOT NULL UNIQUE,
+        description VARCHAR(150),
+        brackets JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const table of tables) {
+      await connection.query(
+        `INSERT IGNORE INTO tax_tables (effective_from, description, brackets)
+         VALUES (?, ?, ?)`,
+        [
+          table.effective_from,
+          table.description,
+          JSON.stringify(table.brackets),
+        ]
+      );
+    }
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS tax_tables");
+  },
+};
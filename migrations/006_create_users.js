@@ -0,0 +1,38 @@
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(100) NOT NULL UNIQUE,
+        name VARCHAR(100),
+        password_hash VARCHAR(100) NOT NULL,
+        role ENUM('admin', 'payroll_officer', 'hr', 'viewer', 'employee') NOT NULL DEFAULT 'viewer',
+        employee_id INT,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        last_login_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE SET NULL
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+        INDEX idx_user_id (user_id)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS refresh_tokens");
+    await connection.query("DROP TABLE IF EXISTS users");
+  },
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        entity VARCHAR(50) NOT NULL,
+        entity_id INT NOT NULL,
+        action ENUM('insert', 'update', 'delete') NOT NULL,
+        actor_id INT,
+        actor_email VARCHAR(100),
+        request_id VARCHAR(64),
+        ip_address VARCHAR(45),
+        before_data JSON,
+        after_data JSON,
+        changed_fields JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_entity (entity, entity_id),
+        INDEX idx_actor_id (actor_id),
+        INDEX idx_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS audit_logs");
+  },
+};
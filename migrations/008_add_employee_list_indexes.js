@@ -0,0 +1,22 @@
+const { indexExists } = require("../utilities/migrator");
+
+// Support the filtered and sorted GET /api/employees listing
+module.exports = {
+  async up(connection) {
+    if (!(await indexExists(connection, "employees", "idx_name"))) {
+      await connection.query(
+        "ALTER TABLE employees ADD INDEX idx_name (last_name, first_name)"
+      );
+    }
+    if (!(await indexExists(connection, "employees", "idx_hire_date"))) {
+      await connection.query(
+        "ALTER TABLE employees ADD INDEX idx_hire_date (hire_date)"
+      );
+    }
+  },
+
+  async down(connection) {
+    await connection.query("ALTER TABLE employees DROP INDEX idx_name");
+    await connection.query("ALTER TABLE employees DROP INDEX idx_hire_date");
+  },
+};
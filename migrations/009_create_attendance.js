@@ -0,0 +1,68 @@
+const { columnExists } = require("../utilities/migrator");
+
+// Work schedules, per-employee schedule assignment and raw time punches.
+// Employees without a schedule fall back to the default one seeded here.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS work_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        time_in TIME NOT NULL,
+        time_out TIME NOT NULL,
+        break_start TIME,
+        break_end TIME,
+        grace_minutes INT NOT NULL DEFAULT 0,
+        rest_days JSON NOT NULL,
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(
+      `INSERT IGNORE INTO work_schedules
+         (name, time_in, time_out, break_start, break_end, grace_minutes, rest_days, is_default)
+       VALUES ('Regular day shift', '08:00:00', '17:00:00', '12:00:00', '13:00:00', 0, ?, TRUE)`,
+      [JSON.stringify([0, 6])]
+    );
+
+    if (!(await columnExists(connection, "employees", "work_schedule_id"))) {
+      await connection.query(`
+        ALTER TABLE employees
+        ADD COLUMN work_schedule_id INT AFTER pagibig_number,
+        ADD CONSTRAINT fk_employees_work_schedule
+          FOREIGN KEY (work_schedule_id) REFERENCES work_schedules(id) ON DELETE SET NULL
+      `);
+    }
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS attendance_punches (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        employee_id INT NOT NULL,
+        punched_at DATETIME NOT NULL,
+        punch_type ENUM('in', 'out'),
+        source ENUM('manual', 'biometric') NOT NULL DEFAULT 'manual',
+        device_id VARCHAR(50),
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+
+        UNIQUE KEY uq_employee_punch (employee_id, punched_at),
+        INDEX idx_punched_at (punched_at)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS attendance_punches");
+    if (await columnExists(connection, "employees", "work_schedule_id")) {
+      await connection.query(`
+        ALTER TABLE employees
+        DROP FOREIGN KEY fk_employees_work_schedule,
+        DROP COLUMN work_schedule_id
+      `);
+    }
+    await connection.query("DROP TABLE IF EXISTS work_schedules");
+  },
+};
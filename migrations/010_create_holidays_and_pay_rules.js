@@ -0,0 +1,57 @@
+const holidays = require("../data/holidays.json");
+const payRules = require("../data/pay-rules.json");
+
+// Reference data: the proclaimed holiday calendar and the Labor Code
+// premium rates. Ad-hoc proclamations (e.g. Eid'l Fitr, local holidays)
+// are added through POST /api/holidays.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        holiday_date DATE NOT NULL,
+        name VARCHAR(150) NOT NULL,
+        type ENUM('regular', 'special') NOT NULL,
+        proclamation VARCHAR(150),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY uq_holiday (holiday_date, name)
+      )
+    `);
+
+    for (const holiday of holidays) {
+      await connection.query(
+        `INSERT IGNORE INTO holidays (holiday_date, name, type, proclamation)
+         VALUES (?, ?, ?, ?)`,
+        [holiday.holiday_date, holiday.name, holiday.type, holiday.proclamation]
+      );
+    }
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS pay_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        effective_from DATE NOT NULL UNIQUE,
+        reference VARCHAR(255),
+        rules JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const payRule of payRules) {
+      await connection.query(
+        `INSERT IGNORE INTO pay_rules (effective_from, reference, rules)
+         VALUES (?, ?, ?)`,
+        [
+          payRule.effective_from,
+          payRule.reference,
+          JSON.stringify(payRule.rules),
+        ]
+      );
+    }
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS pay_rules");
+    await connection.query("DROP TABLE IF EXISTS holidays");
+  },
+};
@@ -0,0 +1,118 @@
+const leaveTypes = require("../data/leave-types.json");
+
+// Leave types, balances per employee and year, filed requests, and the
+// on_leave employee status (still part of the active headcount).
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      ALTER TABLE employees
+      MODIFY status ENUM('active', 'on_leave', 'inactive') DEFAULT 'active'
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS leave_types (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        is_paid BOOLEAN NOT NULL DEFAULT TRUE,
+        accrual ENUM('monthly', 'annual', 'none') NOT NULL DEFAULT 'none',
+        entitlement_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        max_carry_over_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        convertible BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const type of leaveTypes) {
+      await connection.query(
+        `INSERT IGNORE INTO leave_types
+           (code, name, is_paid, accrual, entitlement_days, max_carry_over_days, convertible)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          type.code,
+          type.name,
+          type.is_paid,
+          type.accrual,
+          type.entitlement_days,
+          type.max_carry_over_days,
+          type.convertible,
+        ]
+      );
+    }
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS leave_balances (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        employee_id INT NOT NULL,
+        leave_type_id INT NOT NULL,
+        year SMALLINT NOT NULL,
+        carried_over_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        accrued_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        used_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        converted_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        forfeited_days DECIMAL(6,2) NOT NULL DEFAULT 0,
+        conversion_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        conversion_payroll_run_id INT,
+        closed_at TIMESTAMP NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types(id),
+        FOREIGN KEY (conversion_payroll_run_id) REFERENCES payroll_runs(id) ON DELETE SET NULL,
+
+        UNIQUE KEY uq_leave_balance (employee_id, leave_type_id, year)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS leave_accrual_runs (
+        year SMALLINT NOT NULL,
+        month TINYINT NOT NULL,
+        employee_count INT NOT NULL DEFAULT 0,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (year, month)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS leave_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        employee_id INT NOT NULL,
+        leave_type_id INT NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        half_day BOOLEAN NOT NULL DEFAULT FALSE,
+        days DECIMAL(6,2) NOT NULL,
+        reason TEXT,
+        status ENUM('pending', 'approved', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending',
+        requested_by INT,
+        reviewed_by INT,
+        reviewed_at TIMESTAMP NULL,
+        review_notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types(id),
+
+        INDEX idx_employee_dates (employee_id, start_date, end_date),
+        INDEX idx_status (status)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS leave_requests");
+    await connection.query("DROP TABLE IF EXISTS leave_accrual_runs");
+    await connection.query("DROP TABLE IF EXISTS leave_balances");
+    await connection.query("DROP TABLE IF EXISTS leave_types");
+    await connection.query(
+      "UPDATE employees SET status = 'active' WHERE status = 'on_leave'"
+    );
+    await connection.query(`
+      ALTER TABLE employees
+      MODIFY status ENUM('active', 'inactive') DEFAULT 'active'
+    `);
+  },
+};
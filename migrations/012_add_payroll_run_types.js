@@ -0,0 +1,28 @@
+const { columnExists } = require("../utilities/migrator");
+
+// Standalone 13th month pay runs alongside regular runs, and the option to
+// pay the 13th month inside a regular December run.
+module.exports = {
+  async up(connection) {
+    if (!(await columnExists(connection, "payroll_runs", "run_type"))) {
+      await connection.query(`
+        ALTER TABLE payroll_runs
+        ADD COLUMN run_type ENUM('regular', 'thirteenth_month') NOT NULL DEFAULT 'regular' AFTER pay_period_id,
+        ADD COLUMN include_thirteenth_month BOOLEAN NOT NULL DEFAULT FALSE AFTER run_type
+      `);
+    }
+  },
+
+  async down(connection) {
+    if (await columnExists(connection, "payroll_runs", "run_type")) {
+      await connection.query(
+        "DELETE FROM payroll_runs WHERE run_type = 'thirteenth_month'"
+      );
+      await connection.query(`
+        ALTER TABLE payroll_runs
+        DROP COLUMN include_thirteenth_month,
+        DROP COLUMN run_type
+      `);
+    }
+  },
+};
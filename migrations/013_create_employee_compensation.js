@@ -0,0 +1,35 @@
+// Effective-dated compensation history. employees.salary stays as the
+// monthly rate in effect today; every existing salary becomes the first
+// entry of its employee's history, effective on the hire date.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS employee_compensation (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        employee_id INT NOT NULL,
+        effective_from DATE NOT NULL,
+        pay_basis ENUM('monthly', 'daily', 'hourly') NOT NULL DEFAULT 'monthly',
+        rate DECIMAL(12,2) NOT NULL,
+        reason ENUM('hire', 'promotion', 'merit_increase', 'wage_order', 'adjustment', 'correction') NOT NULL,
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+
+        UNIQUE KEY uq_employee_compensation (employee_id, effective_from)
+      )
+    `);
+
+    await connection.query(`
+      INSERT IGNORE INTO employee_compensation
+        (employee_id, effective_from, pay_basis, rate, reason)
+      SELECT id, COALESCE(hire_date, DATE(created_at)), 'monthly', salary, 'hire'
+      FROM employees
+      WHERE salary IS NOT NULL
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS employee_compensation");
+  },
+};
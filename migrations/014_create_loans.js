@@ -0,0 +1,49 @@
+// Employee loans and cash advances amortized by payroll, and the ledger of
+// every movement on them. A loan's balance is what its ledger adds up to.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS loans (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        employee_id INT NOT NULL,
+        loan_type ENUM('sss_salary', 'pagibig_mpl', 'company', 'cash_advance') NOT NULL,
+        reference_number VARCHAR(50),
+        principal DECIMAL(12,2) NOT NULL,
+        amortization DECIMAL(12,2) NOT NULL,
+        start_date DATE NOT NULL,
+        balance DECIMAL(12,2) NOT NULL,
+        status ENUM('active', 'paused', 'paid', 'cancelled') NOT NULL DEFAULT 'active',
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+
+        INDEX idx_employee_status (employee_id, status)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS loan_ledger (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        loan_id INT NOT NULL,
+        entry_date DATE NOT NULL,
+        entry_type ENUM('disbursement', 'deduction', 'skipped', 'payment', 'adjustment') NOT NULL,
+        amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        payroll_run_id INT,
+        notes VARCHAR(255),
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+        FOREIGN KEY (payroll_run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE,
+
+        INDEX idx_loan_date (loan_id, entry_date)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS loan_ledger");
+    await connection.query("DROP TABLE IF EXISTS loans");
+  },
+};
@@ -0,0 +1,78 @@
+const { columnExists } = require("../utilities/migrator");
+const earningTypes = require("../data/earning-types.json");
+
+// Allowances, benefits and other earnings attached to employees, each type
+// classified for withholding tax, and the tax-exempt parts of every payslip.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS earning_types (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        taxability ENUM('taxable', 'de_minimis', 'other_benefits') NOT NULL,
+        de_minimis_limit DECIMAL(12,2),
+        limit_period ENUM('month', 'semester', 'year'),
+        reference VARCHAR(150),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const type of earningTypes) {
+      await connection.query(
+        `INSERT IGNORE INTO earning_types
+           (code, name, taxability, de_minimis_limit, limit_period, reference)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          type.code,
+          type.name,
+          type.taxability,
+          type.de_minimis_limit,
+          type.limit_period,
+          type.reference,
+        ]
+      );
+    }
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS employee_earnings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        employee_id INT NOT NULL,
+        earning_type_id INT NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        recurrence ENUM('recurring', 'one_time') NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE,
+        notes VARCHAR(255),
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (earning_type_id) REFERENCES earning_types(id),
+
+        INDEX idx_employee_dates (employee_id, start_date)
+      )
+    `);
+
+    if (!(await columnExists(connection, "payslips", "de_minimis_exempt"))) {
+      await connection.query(`
+        ALTER TABLE payslips
+        ADD COLUMN de_minimis_exempt DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER gross_pay,
+        ADD COLUMN other_benefits_exempt DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER de_minimis_exempt
+      `);
+    }
+  },
+
+  async down(connection) {
+    if (await columnExists(connection, "payslips", "de_minimis_exempt")) {
+      await connection.query(`
+        ALTER TABLE payslips
+        DROP COLUMN other_benefits_exempt,
+        DROP COLUMN de_minimis_exempt
+      `);
+    }
+    await connection.query("DROP TABLE IF EXISTS employee_earnings");
+    await connection.query("DROP TABLE IF EXISTS earning_types");
+  },
+};
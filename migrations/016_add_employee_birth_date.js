@@ -0,0 +1,17 @@
+const { columnExists } = require("../utilities/migrator");
+
+module.exports = {
+  async up(connection) {
+    if (await columnExists(connection, "employees", "birth_date")) {
+      return;
+    }
+    await connection.query(`
+      ALTER TABLE employees
+      ADD COLUMN birth_date DATE AFTER position
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("ALTER TABLE employees DROP COLUMN birth_date");
+  },
+};
@@ -0,0 +1,25 @@
+const { columnExists } = require("../utilities/migrator");
+
+// The payroll account each employee's net pay is credited to
+module.exports = {
+  async up(connection) {
+    if (await columnExists(connection, "employees", "bank")) {
+      return;
+    }
+    await connection.query(`
+      ALTER TABLE employees
+      ADD COLUMN bank VARCHAR(20) AFTER pagibig_number,
+      ADD COLUMN bank_account_number VARCHAR(20) AFTER bank,
+      ADD COLUMN bank_account_name VARCHAR(100) AFTER bank_account_number
+    `);
+  },
+
+  async down(connection) {
+    await connection.query(`
+      ALTER TABLE employees
+      DROP COLUMN bank,
+      DROP COLUMN bank_account_number,
+      DROP COLUMN bank_account_name
+    `);
+  },
+};
@@ -0,0 +1,18 @@
+const { columnExists } = require("../utilities/migrator");
+
+// SSS, PhilHealth and Pag-IBIG remittance lists identify members by full name
+module.exports = {
+  async up(connection) {
+    if (await columnExists(connection, "employees", "middle_name")) {
+      return;
+    }
+    await connection.query(`
+      ALTER TABLE employees
+      ADD COLUMN middle_name VARCHAR(50) AFTER first_name
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("ALTER TABLE employees DROP COLUMN middle_name");
+  },
+};
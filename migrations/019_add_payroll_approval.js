@@ -0,0 +1,80 @@
+const { columnExists } = require("../utilities/migrator");
+
+// Review, approval and release of computed payroll runs, and adjustment
+// runs that correct a released run in a later pay period.
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      ALTER TABLE payroll_runs
+      MODIFY status ENUM('draft', 'computed', 'reviewed', 'approved', 'released') DEFAULT 'draft',
+      MODIFY run_type ENUM('regular', 'thirteenth_month', 'adjustment') NOT NULL DEFAULT 'regular'
+    `);
+
+    if (!(await columnExists(connection, "payroll_runs", "adjusts_run_id"))) {
+      await connection.query(`
+        ALTER TABLE payroll_runs
+        ADD COLUMN adjusts_run_id INT NULL AFTER include_thirteenth_month,
+        ADD COLUMN reviewed_by INT NULL AFTER computed_at,
+        ADD COLUMN reviewed_at TIMESTAMP NULL AFTER reviewed_by,
+        ADD COLUMN approved_by INT NULL AFTER reviewed_at,
+        ADD COLUMN approved_at TIMESTAMP NULL AFTER approved_by,
+        ADD COLUMN released_by INT NULL AFTER approved_at,
+        ADD COLUMN released_at TIMESTAMP NULL AFTER released_by,
+        ADD UNIQUE KEY uq_adjusts_run (adjusts_run_id),
+        ADD CONSTRAINT fk_adjusts_run FOREIGN KEY (adjusts_run_id) REFERENCES payroll_runs(id)
+      `);
+    }
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payroll_adjustments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        payroll_run_id INT NOT NULL,
+        employee_id INT NOT NULL,
+        reverses_payslip_id INT NULL,
+        line_type ENUM('earning', 'deduction') NOT NULL,
+        code VARCHAR(30) NOT NULL,
+        description VARCHAR(150),
+        amount DECIMAL(12,2) NOT NULL,
+        taxable BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payroll_run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE,
+        FOREIGN KEY (employee_id) REFERENCES employees(id),
+        FOREIGN KEY (reverses_payslip_id) REFERENCES payslips(id),
+
+        INDEX idx_run_employee (payroll_run_id, employee_id)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.query("DROP TABLE IF EXISTS payroll_adjustments");
+    await connection.query(
+      "DELETE FROM payroll_runs WHERE run_type = 'adjustment'"
+    );
+
+    if (await columnExists(connection, "payroll_runs", "adjusts_run_id")) {
+      await connection.query(`
+        ALTER TABLE payroll_runs
+        DROP FOREIGN KEY fk_adjusts_run,
+        DROP INDEX uq_adjusts_run,
+        DROP COLUMN released_at,
+        DROP COLUMN released_by,
+        DROP COLUMN approved_at,
+        DROP COLUMN approved_by,
+        DROP COLUMN reviewed_at,
+        DROP COLUMN reviewed_by,
+        DROP COLUMN adjusts_run_id
+      `);
+    }
+
+    await connection.query(
+      "UPDATE payroll_runs SET status = 'computed' WHERE status IN ('reviewed', 'approved', 'released')"
+    );
+    await connection.query(`
+      ALTER TABLE payroll_runs
+      MODIFY status ENUM('draft', 'computed') DEFAULT 'draft',
+      MODIFY run_type ENUM('regular', 'thirteenth_month') NOT NULL DEFAULT 'regular'
+    `);
+  },
+};
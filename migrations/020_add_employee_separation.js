@@ -0,0 +1,46 @@
+const { columnExists } = require("../utilities/migrator");
+
+// When and why an employee left, and final pay runs that settle what they
+// are owed
+module.exports = {
+  async up(connection) {
+    if (!(await columnExists(connection, "employees", "separation_date"))) {
+      await connection.query(`
+        ALTER TABLE employees
+        ADD COLUMN separation_date DATE NULL AFTER status,
+        ADD COLUMN separation_reason ENUM(
+          'resignation', 'end_of_contract', 'retirement', 'redundancy',
+          'labor_saving_devices', 'retrenchment', 'closure',
+          'closure_serious_losses', 'disease', 'just_cause', 'death'
+        ) NULL AFTER separation_date,
+        ADD COLUMN separation_notes VARCHAR(1000) NULL AFTER separation_reason,
+        ADD INDEX idx_separation_date (separation_date)
+      `);
+    }
+
+    await connection.query(`
+      ALTER TABLE payroll_runs
+      MODIFY run_type ENUM('regular', 'thirteenth_month', 'adjustment', 'final_pay') NOT NULL DEFAULT 'regular'
+    `);
+  },
+
+  async down(connection) {
+    await connection.query(
+      "DELETE FROM payroll_runs WHERE run_type = 'final_pay'"
+    );
+    await connection.query(`
+      ALTER TABLE payroll_runs
+      MODIFY run_type ENUM('regular', 'thirteenth_month', 'adjustment') NOT NULL DEFAULT 'regular'
+    `);
+
+    if (await columnExists(connection, "employees", "separation_date")) {
+      await connection.query(`
+        ALTER TABLE employees
+        DROP INDEX idx_separation_date,
+        DROP COLUMN separation_notes,
+        DROP COLUMN separation_reason,
+        DROP COLUMN separation_date
+      `);
+    }
+  },
+};
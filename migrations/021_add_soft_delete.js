@@ -0,0 +1,54 @@
+const { columnExists } = require("../utilities/migrator");
+
+// Deleting an employee or department only marks it deleted; the row and the
+// payroll records hanging off it stay until the retention period runs out
+// and bin/purge removes them
+const TABLES = ["employees", "departments"];
+
+module.exports = {
+  async up(connection) {
+    for (const table of TABLES) {
+      if (!(await columnExists(connection, table, "deleted_at"))) {
+        await connection.query(`
+          ALTER TABLE ${table}
+          ADD COLUMN deleted_at TIMESTAMP NULL,
+          ADD COLUMN deleted_by INT NULL,
+          ADD INDEX idx_deleted_at (deleted_at)
+        `);
+      }
+    }
+
+    await connection.query(`
+      ALTER TABLE audit_logs
+      MODIFY action ENUM('insert', 'update', 'delete', 'restore', 'purge') NOT NULL
+    `);
+  },
+
+  async down(connection) {
+    // The audit trail is never rewritten to undo a migration
+    const [logged] = await connection.query(
+      "SELECT COUNT(*) AS count FROM audit_logs WHERE action IN ('restore', 'purge')"
+    );
+    if (logged[0].count > 0) {
+      throw new Error(
+        "The audit trail records restores or purges; they cannot be rolled back"
+      );
+    }
+
+    await connection.query(`
+      ALTER TABLE audit_logs
+      MODIFY action ENUM('insert', 'update', 'delete') NOT NULL
+    `);
+
+    for (const table of TABLES) {
+      if (await columnExists(connection, table, "deleted_at")) {
+        await connection.query(`
+          ALTER TABLE ${table}
+          DROP INDEX idx_deleted_at,
+          DROP COLUMN deleted_by,
+          DROP COLUMN deleted_at
+        `);
+      }
+    }
+  },
+};
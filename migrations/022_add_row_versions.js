@@ -0,0 +1,27 @@
+const { columnExists } = require("../utilities/migrator");
+
+// A version number every update of an employee or department bumps. It is
+// the row's ETag: a client sends it back in If-Match so an edit made from a
+// stale copy is refused instead of overwriting someone else's.
+const TABLES = ["employees", "departments"];
+
+module.exports = {
+  async up(connection) {
+    for (const table of TABLES) {
+      if (!(await columnExists(connection, table, "version"))) {
+        await connection.query(`
+          ALTER TABLE ${table}
+          ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1
+        `);
+      }
+    }
+  },
+
+  async down(connection) {
+    for (const table of TABLES) {
+      if (await columnExists(connection, table, "version")) {
+        await connection.query(`ALTER TABLE ${table} DROP COLUMN version`);
+      }
+    }
+  },
+};
@@ -0,0 +1,55 @@
+const { columnExists } = require("../utilities/migrator");
+
+// The organization chart: departments nested under parent units, each with
+// a head and a cost center code, and the manager every employee reports to
+module.exports = {
+  async up(connection) {
+    if (!(await columnExists(connection, "departments", "parent_id"))) {
+      await connection.query(`
+        ALTER TABLE departments
+        ADD COLUMN parent_id INT NULL AFTER description,
+        ADD COLUMN head_employee_id INT NULL AFTER parent_id,
+        ADD COLUMN cost_center VARCHAR(20) NULL AFTER head_employee_id,
+        ADD INDEX idx_parent_id (parent_id),
+        ADD INDEX idx_head_employee_id (head_employee_id),
+        ADD UNIQUE KEY uq_cost_center (cost_center),
+        ADD CONSTRAINT fk_department_parent FOREIGN KEY (parent_id) REFERENCES departments(id) ON DELETE SET NULL,
+        ADD CONSTRAINT fk_department_head FOREIGN KEY (head_employee_id) REFERENCES employees(id) ON DELETE SET NULL
+      `);
+    }
+
+    if (!(await columnExists(connection, "employees", "manager_id"))) {
+      await connection.query(`
+        ALTER TABLE employees
+        ADD COLUMN manager_id INT NULL AFTER department_id,
+        ADD INDEX idx_manager_id (manager_id),
+        ADD CONSTRAINT fk_employee_manager FOREIGN KEY (manager_id) REFERENCES employees(id) ON DELETE SET NULL
+      `);
+    }
+  },
+
+  async down(connection) {
+    if (await columnExists(connection, "employees", "manager_id")) {
+      await connection.query(`
+        ALTER TABLE employees
+        DROP FOREIGN KEY fk_employee_manager,
+        DROP INDEX idx_manager_id,
+        DROP COLUMN manager_id
+      `);
+    }
+
+    if (await columnExists(connection, "departments", "parent_id")) {
+      await connection.query(`
+        ALTER TABLE departments
+        DROP FOREIGN KEY fk_department_head,
+        DROP FOREIGN KEY fk_department_parent,
+        DROP INDEX uq_cost_center,
+        DROP INDEX idx_head_employee_id,
+        DROP INDEX idx_parent_id,
+        DROP COLUMN cost_center,
+        DROP COLUMN head_employee_id,
+        DROP COLUMN parent_id
+      `);
+    }
+  },
+};
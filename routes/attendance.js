@@ -0,0 +1,569 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const attendance = require("../services/attendance");
+const payRules = require("../services/pay-rules");
+const compensation = require("../services/compensation");
+const approval = require("../services/payroll-approval");
+const audit = require("../services/audit");
+const { HEADCOUNT_STATUSES } = require("../services/employees");
+const { SALARY_ROLES, authorize, isSelf } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { uploadFile } = require("../middleware/upload");
+const { isDateString, toDateString } = require("../utilities/dates");
+const {
+  createSchedule,
+  assignSchedule,
+  createPunch,
+} = require("../validators/attendance");
+
+// Roles that manage time records for everyone
+const ATTENDANCE_ROLES = ["admin", "payroll_officer", "hr"];
+
+const MAX_IMPORT_ROWS = 20000;
+
+// Let attendance roles through, plus employees reading their own records
+function canViewEmployee(user, employeeId) {
+  return ATTENDANCE_ROLES.includes(user.role) || isSelf(user, employeeId);
+}
+
+// Get all work schedules
+router.get("/schedules", authorize(...ATTENDANCE_ROLES), async (req, res) => {
+  try {
+    const pool = await getPool();
+    const schedules = await attendance.getSchedules(pool);
+
+    res.json({
+      success: true,
+      data: schedules,
+      total: schedules.length,
+    });
+  } catch (error) {
+    console.error("Error fetching work schedules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch work schedules",
+    });
+  }
+});
+
+// Create a work schedule; a new default replaces the previous one
+router.post(
+  "/schedules",
+  authorize("admin", "hr"),
+  validate(createSchedule),
+  async (req, res) => {
+    let connection;
+    try {
+      const pool = await getPool();
+      const schedule = req.body;
+
+      const [existing] = await pool.query(
+        "SELECT id FROM work_schedules WHERE name = ?",
+        [schedule.name]
+      );
+      if (existing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Work schedule already exists",
+        });
+      }
+
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      if (schedule.is_default) {
+        await connection.query("UPDATE work_schedules SET is_default = FALSE");
+      }
+      const [result] = await connection.query(
+        `INSERT INTO work_schedules
+           (name, time_in, time_out, break_start, break_end, grace_minutes, rest_days, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          schedule.name,
+          schedule.time_in,
+          schedule.time_out,
+          schedule.break_start || null,
+          schedule.break_end || null,
+          schedule.grace_minutes,
+          JSON.stringify(schedule.rest_days),
+          schedule.is_default,
+        ]
+      );
+
+      await connection.commit();
+
+      const [rows] = await pool.query(
+        "SELECT * FROM work_schedules WHERE id = ?",
+        [result.insertId]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Work schedule created successfully",
+        data: attendance.normalizeSchedule(rows[0]),
+      });
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error("Error creating work schedule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create work schedule",
+      });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+);
+
+// Assign a work schedule to employees
+router.put(
+  "/schedules/:id/employees",
+  authorize("admin", "hr"),
+  validate(assignSchedule),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const [schedules] = await pool.query(
+        "SELECT id FROM work_schedules WHERE id = ?",
+        [req.params.id]
+      );
+
+      if (schedules.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Work schedule not found",
+        });
+      }
+
+      const [employees] = await pool.query(
+        "SELECT * FROM employees WHERE id IN (?) AND deleted_at IS NULL",
+        [req.body.employee_ids]
+      );
+      const found = new Set(employees.map((employee) => employee.id));
+      const missing = req.body.employee_ids.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Employees not found: ${missing.join(", ")}`,
+        });
+      }
+
+      const scheduleId = schedules[0].id;
+      const changing = employees.filter(
+        (employee) => employee.work_schedule_id !== scheduleId
+      );
+      if (changing.length > 0) {
+        await pool.query(
+          "UPDATE employees SET work_schedule_id = ?, version = version + 1 WHERE id IN (?)",
+          [scheduleId, changing.map((employee) => employee.id)]
+        );
+        const [changed] = await pool.query(
+          "SELECT * FROM employees WHERE id IN (?)",
+          [changing.map((employee) => employee.id)]
+        );
+        for (const before of changing) {
+          await audit.record(pool, req, {
+            entity: "employee",
+            entityId: before.id,
+            action: "update",
+            before,
+            after: changed.find((employee) => employee.id === before.id),
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Work schedule assigned to ${changing.length} employees`,
+        data: { updated: changing.length },
+      });
+    } catch (error) {
+      console.error("Error assigning work schedule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to assign work schedule",
+      });
+    }
+  }
+);
+
+// Get an employee's raw punches between two dates
+router.get("/punches", async (req, res) => {
+  try {
+    const { employee_id: employeeId, from, to } = req.query;
+
+    if (!employeeId || !isDateString(from) || !isDateString(to)) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_id, from and to (YYYY-MM-DD) are required",
+      });
+    }
+    if (!canViewEmployee(req.user, employeeId)) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient permissions",
+      });
+    }
+
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      `SELECT * FROM attendance_punches
+       WHERE employee_id = ? AND punched_at >= ? AND punched_at < DATE_ADD(?, INTERVAL 1 DAY)
+       ORDER BY punched_at`,
+      [employeeId, from, to]
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(attendance.formatPunch),
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching punches:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch punches",
+    });
+  }
+});
+
+// Record a single time-in or time-out punch
+router.post(
+  "/punches",
+  authorize("admin", "hr"),
+  validate(createPunch),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const { employee_id, punched_at, punch_type } = req.body;
+
+      const [employees] = await pool.query(
+        "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [employee_id]
+      );
+      if (employees.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Employee not found",
+        });
+      }
+
+      await approval.checkUnlocked(
+        pool,
+        punched_at,
+        punched_at,
+        `The punch at ${punched_at}`
+      );
+
+      const [result] = await pool.query(
+        `INSERT INTO attendance_punches (employee_id, punched_at, punch_type, source, created_by)
+         VALUES (?, ?, ?, 'manual', ?)`,
+        [employee_id, punched_at, punch_type || null, req.user.id]
+      );
+
+      const [rows] = await pool.query(
+        "SELECT * FROM attendance_punches WHERE id = ?",
+        [result.insertId]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Punch recorded successfully",
+        data: attendance.formatPunch(rows[0]),
+      });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        return res.status(400).json({
+          success: false,
+          error: "A punch at that time is already recorded",
+        });
+      }
+      console.error("Error recording punch:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to record punch",
+      });
+    }
+  }
+);
+
+// Upload a biometric device export (CSV). Every row must be valid; punches
+// already on file are skipped so the same export can be uploaded twice.
+router.post(
+  "/punches/import",
+  authorize("admin", "hr"),
+  uploadFile,
+  async (req, res) => {
+    let connection;
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: "A CSV file is required",
+        });
+      }
+
+      const rows = attendance.parsePunchFile(req.file.buffer);
+      if (rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "The file has no data rows",
+        });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: `Imports are limited to ${MAX_IMPORT_ROWS} rows`,
+        });
+      }
+
+      const pool = await getPool();
+      const [employees] = await pool.query(
+        "SELECT id, employee_id FROM employees WHERE deleted_at IS NULL"
+      );
+      const employeesByNumber = new Map(
+        employees.map((employee) => [
+          String(employee.employee_id).toLowerCase(),
+          employee.id,
+        ])
+      );
+
+      // Punches of pay periods an approved payroll run has locked
+      const punchDates = rows
+        .map((row) => toDateString(row.punched_at))
+        .filter(isDateString)
+        .sort();
+      const lockedPeriods =
+        punchDates.length > 0
+          ? await approval.getLockedPeriods(
+              pool,
+              punchDates[0],
+              punchDates[punchDates.length - 1]
+            )
+          : [];
+
+      for (const row of rows) {
+        row.employee_id = employeesByNumber.get(
+          row.employee_number.toLowerCase()
+        );
+        if (row.employee_number && !row.employee_id) {
+          row.errors.push({
+            field: "employee_id",
+            message: `employee "${row.employee_number}" does not exist`,
+          });
+        }
+
+        const locked =
+          row.punched_at &&
+          approval.lockedPeriodOf(lockedPeriods, row.punched_at);
+        if (locked) {
+          row.errors.push({
+            field: "punched_at",
+            message: `punched_at is in the locked ${approval.describePeriod(
+              locked
+            )}`,
+          });
+        }
+      }
+
+      const invalid = rows.filter((row) => row.errors.length > 0);
+      if (invalid.length > 0) {
+        return res.status(422).json({
+          success: false,
+          error: "Import has invalid rows; nothing was imported",
+          details: invalid.map(({ row, errors }) => ({ row, errors })),
+        });
+      }
+
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      let imported = 0;
+      for (const row of rows) {
+        const [result] = await connection.query(
+          `INSERT IGNORE INTO attendance_punches
+             (employee_id, punched_at, punch_type, source, device_id, created_by)
+           VALUES (?, ?, ?, 'biometric', ?, ?)`,
+          [
+            row.employee_id,
+            row.punched_at,
+            row.punch_type,
+            row.device_id,
+            req.user.id,
+          ]
+        );
+        imported += result.affectedRows;
+      }
+
+      await connection.commit();
+
+      res.status(201).json({
+        success: true,
+        message: `${imported} punches imported successfully`,
+        data: {
+          total_rows: rows.length,
+          imported,
+          duplicates: rows.length - imported,
+        },
+      });
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error("Error importing punches:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to import punches",
+      });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+);
+
+// Daily time record of one employee for a date range or pay period
+router.get("/dtr", async (req, res) => {
+  try {
+    if (!req.query.employee_id) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_id is required",
+      });
+    }
+    if (!canViewEmployee(req.user, req.query.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient permissions",
+      });
+    }
+
+    const pool = await getPool();
+    const { from, to } = await attendance.resolveRange(pool, req.query);
+    const [employees] = await pool.query(
+      "SELECT * FROM employees WHERE id = ?",
+      [req.query.employee_id]
+    );
+
+    if (employees.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      });
+    }
+
+    const [dtr] = await attendance.getDtrs(pool, employees, from, to);
+
+    res.json({
+      success: true,
+      data: dtr,
+    });
+  } catch (error) {
+    console.error("Error fetching DTR:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to fetch DTR",
+    });
+  }
+});
+
+// Overtime, night differential, rest day and holiday pay earned by one
+// employee over a date range or pay period
+router.get("/premiums", authorize(...SALARY_ROLES), async (req, res) => {
+  try {
+    if (!req.query.employee_id) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_id is required",
+      });
+    }
+
+    const pool = await getPool();
+    const { from, to } = await attendance.resolveRange(pool, req.query);
+    const [employees] = await pool.query(
+      "SELECT * FROM employees WHERE id = ?",
+      [req.query.employee_id]
+    );
+
+    if (employees.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Employee not found",
+      });
+    }
+
+    const [dtr] = await attendance.getDtrs(pool, employees, from, to);
+    const { rules } = await payRules.getRules(pool, to);
+    const timeline = compensation.timelineFor(
+      employees[0],
+      await compensation.getTimelines(pool, [employees[0].id])
+    );
+    const premiums = payRules.computePremiums(
+      dtr,
+      (date) => compensation.hourlyRateOn(timeline, date, rules),
+      rules
+    );
+
+    res.json({
+      success: true,
+      data: {
+        employee_id: dtr.employee_id,
+        from,
+        to,
+        ...premiums,
+      },
+    });
+  } catch (error) {
+    console.error("Error computing premium pay:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to compute premium pay",
+    });
+  }
+});
+
+// Attendance totals of every active or on-leave employee for a date range or pay period
+router.get("/summary", authorize(...ATTENDANCE_ROLES), async (req, res) => {
+  try {
+    const pool = await getPool();
+    const { from, to } = await attendance.resolveRange(pool, req.query);
+
+    const where = ["status IN (?)", "deleted_at IS NULL"];
+    const params = [HEADCOUNT_STATUSES];
+    if (req.query.department_id) {
+      where.push("department_id = ?");
+      params.push(req.query.department_id);
+    }
+    const [employees] = await pool.query(
+      `SELECT * FROM employees WHERE ${where.join(" AND ")}
+       ORDER BY last_name, first_name`,
+      params
+    );
+
+    const dtrs = await attendance.getDtrs(pool, employees, from, to);
+
+    res.json({
+      success: true,
+      data: dtrs.map(({ days, ...dtr }) => dtr),
+      total: dtrs.length,
+      from,
+      to,
+    });
+  } catch (error) {
+    console.error("Error fetching attendance summary:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status
+        ? error.message
+        : "Failed to fetch attendance summary",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const audit = require("../services/audit");
+const { isDateString } = require("../utilities/dates");
+
+// Search the audit trail
+router.get("/", async (req, res) => {
+  try {
+    const { entity, action, from, to } = req.query;
+
+    if (entity && !audit.ENTITIES.includes(entity)) {
+      return res.status(400).json({
+        success: false,
+        error: `entity must be one of: ${audit.ENTITIES.join(", ")}`,
+      });
+    }
+
+    if (action && !audit.ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `action must be one of: ${audit.ACTIONS.join(", ")}`,
+      });
+    }
+
+    if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be in YYYY-MM-DD format",
+      });
+    }
+
+    const result = await audit.search(req.query);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch audit logs",
+    });
+  }
+});
+
+module.exports = router;
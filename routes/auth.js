@@ -0,0 +1,81 @@
+const express = require("express");
+const router = express.Router();
+const rateLimit = require("express-rate-limit");
+const auth = require("../services/auth");
+const { authenticate } = require("../middleware/auth");
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: "Too many login attempts, please try again later",
+  },
+});
+
+// Log in with email and password
+router.post("/login", loginLimiter, async (req, res) => {
+  try {
+    const tokens = await auth.login(req.body.email, req.body.password);
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    console.error("Error logging in:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to log in",
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const tokens = await auth.refresh(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    console.error("Error refreshing token:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to refresh token",
+    });
+  }
+});
+
+// Revoke a refresh token
+router.post("/logout", async (req, res) => {
+  try {
+    await auth.logout(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log out",
+    });
+  }
+});
+
+// Get the authenticated user
+router.get("/me", authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: auth.publicUser(req.user),
+  });
+});
+
+module.exports = router;
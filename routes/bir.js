@@ -0,0 +1,129 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const bir = require("../services/bir");
+const { SALARY_ROLES, authorize, isSelf } = require("../middleware/auth");
+const { validate, sendValidationError } = require("../middleware/validate");
+const {
+  certificateQuery,
+  alphalistQuery,
+  yearQuery,
+} = require("../validators/bir");
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    error: "Insufficient permissions",
+  });
+}
+
+// Get the year's BIR Form 2316 figures of everyone paid, or of one employee
+router.get(
+  "/2316",
+  authorize(...SALARY_ROLES),
+  validate(certificateQuery, "query"),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const certificates = await bir.getCertificates(
+        pool,
+        req.query.year,
+        req.query.employee_id
+      );
+
+      res.json({
+        success: true,
+        data: certificates,
+        total: certificates.length,
+      });
+    } catch (error) {
+      console.error("Error computing BIR 2316 certificates:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to compute BIR 2316 certificates",
+      });
+    }
+  }
+);
+
+// Download an employee's BIR Form 2316 for the year as a PDF
+router.get(
+  "/2316/:employeeId.pdf",
+  validate(yearQuery, "query"),
+  async (req, res) => {
+    try {
+      if (
+        !SALARY_ROLES.includes(req.user.role) &&
+        !isSelf(req.user, req.params.employeeId)
+      ) {
+        return forbidden(res);
+      }
+
+      const pool = await getPool();
+      const [certificate] = await bir.getCertificates(
+        pool,
+        req.query.year,
+        req.params.employeeId
+      );
+      if (!certificate) {
+        return res.status(404).json({
+          success: false,
+          error: `No compensation paid to this employee in ${req.query.year}`,
+        });
+      }
+
+      const pdf = await bir.generateCertificate(req.app, certificate);
+      res.attachment(
+        `bir-2316-${certificate.year}-${certificate.employee_number}.pdf`
+      );
+      res.type("application/pdf").send(pdf);
+    } catch (error) {
+      console.error("Error generating BIR 2316:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to generate BIR 2316",
+      });
+    }
+  }
+);
+
+// Get the year's 1604-C alphalist of employees. format=file downloads the
+// alphalist data file, which is refused with the list of employees missing
+// their TIN.
+router.get(
+  "/alphalist",
+  authorize(...SALARY_ROLES),
+  validate(alphalistQuery, "query"),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const alphalist = bir.buildAlphalist(
+        req.query.year,
+        await bir.getCertificates(pool, req.query.year)
+      );
+
+      if (req.query.format === "json") {
+        return res.json({
+          success: true,
+          data: alphalist,
+        });
+      }
+
+      if (alphalist.errors.length > 0) {
+        return sendValidationError(res, alphalist.errors);
+      }
+
+      const file = bir.renderAlphalist(alphalist);
+      res.attachment(file.filename);
+      res.type("text/plain").send(file.content);
+    } catch (error) {
+      console.error("Error generating alphalist:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to generate alphalist",
+      });
+    }
+  }
+);
+
+module.exports = router;
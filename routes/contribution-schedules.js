@@ -0,0 +1,133 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const contributions = require("../services/contributions");
+const { isDateString } = require("../utilities/dates");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("admin", "payroll_officer"));
+
+// Get all contribution schedules, optionally for one agency
+router.get("/", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const params = [];
+    let where = "";
+
+    if (req.query.agency) {
+      where = "WHERE agency = ?";
+      params.push(req.query.agency);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT * FROM contribution_schedules ${where}
+       ORDER BY agency, effective_from DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching contribution schedules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch contribution schedules",
+    });
+  }
+});
+
+// Compute contributions for an arbitrary salary
+router.get("/compute", async (req, res) => {
+  try {
+    const salary = Number(req.query.salary);
+    if (!Number.isFinite(salary) || salary < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "salary must be a non-negative number",
+      });
+    }
+
+    const result = await contributions.computeForDate(salary, req.query.date);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error computing contributions:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to compute contributions",
+    });
+  }
+});
+
+// Load a new effective-dated schedule
+router.post("/", authorize("admin"), async (req, res) => {
+  try {
+    const { agency, effective_from, circular, rules } = req.body;
+
+    if (!contributions.AGENCIES.includes(agency)) {
+      return res.status(400).json({
+        success: false,
+        error: `agency must be one of: ${contributions.AGENCIES.join(", ")}`,
+      });
+    }
+
+    if (!isDateString(effective_from)) {
+      return res.status(400).json({
+        success: false,
+        error: "effective_from must be in YYYY-MM-DD format",
+      });
+    }
+
+    const errors = contributions.validateRules(agency, rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid contribution rules",
+        details: errors,
+      });
+    }
+
+    const pool = await getPool();
+    const [existing] = await pool.execute(
+      "SELECT id FROM contribution_schedules WHERE agency = ? AND effective_from = ?",
+      [agency, effective_from]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "A schedule for this agency and effective date already exists",
+      });
+    }
+
+    const [result] = await pool.execute(
+      "INSERT INTO contribution_schedules (agency, effective_from, circular, rules) VALUES (?, ?, ?, ?)",
+      [agency, effective_from, circular || null, JSON.stringify(rules)]
+    );
+
+    const [newSchedule] = await pool.execute(
+      "SELECT * FROM contribution_schedules WHERE id = ?",
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Contribution schedule created successfully",
+      data: newSchedule[0],
+    });
+  } catch (error) {
+    console.error("Error creating contribution schedule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create contribution schedule",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,37 @@
 const express = require("express");
 const router = express.Router();
 const { getPool } = require("../dbconfig");
+const { authorize } = require("../middleware/auth");
+const audit = require("../services/audit");
+const org = require("../services/org");
+const { validate, sendValidationError } = require("../middleware/validate");
+const etags = require("../utilities/etag");
+const {
+  createDepartment,
+  updateDepartment,
+  patchDepartment,
+} = require("../validators/departments");
 
-// Get all departments
+// Get all departments; deleted ones only with include_deleted=true
 router.get("/", async (req, res) => {
   try {
     const pool = await getPool();
+    const includeDeleted = String(req.query.include_deleted) === "true";
     const [rows] = await pool.execute(`
         SELECT 
           d.id,
           d.name,
+          d.description,
+          d.parent_id,
+          d.head_employee_id,
+          d.cost_center,
           d.created_at,
+          ${includeDeleted ? "d.deleted_at," : ""}
           COUNT(e.id) as employee_count
         FROM departments d
-        LEFT JOIN employees e ON d.id = e.department_id
+        LEFT JOIN employees e
+          ON d.id = e.department_id AND e.deleted_at IS NULL
+        ${includeDeleted ? "" : "WHERE d.deleted_at IS NULL"}
         GROUP BY d.id
         ORDER BY d.name
       `);
@@ -37,7 +55,7 @@ router.get("/:id", async (req, res) => {
   try {
     const pool = await getPool();
     const [rows] = await pool.execute(
-      "SELECT id, name, created_at FROM departments WHERE id = ?",
+      "SELECT id, name, description, parent_id, head_employee_id, cost_center, created_at, version FROM departments WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
     );
 
@@ -48,6 +66,7 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    res.set("ETag", etags.etag(rows[0]));
     res.json({
       success: true,
       data: rows[0],
@@ -61,136 +80,412 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// Create new department
-router.post("/", async (req, res) => {
+// Get a department with the units nested under it
+router.get("/:id/tree", async (req, res) => {
   try {
     const pool = await getPool();
-    const { name } = req.body;
+    const tree = await org.getDepartmentTree(pool, req.params.id);
 
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        error: "Department name is required",
+    res.json({
+      success: true,
+      data: tree,
+    });
+  } catch (error) {
+    console.error("Error fetching department tree:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to fetch department tree",
+    });
+  }
+});
+
+const DEPARTMENT_FIELDS = [
+  "name",
+  "description",
+  "parent_id",
+  "head_employee_id",
+  "cost_center",
+];
+
+// Message for a cost center another department already uses
+async function costCenterError(pool, costCenter, departmentId) {
+  if (!costCenter) {
+    return null;
+  }
+  const [rows] = await pool.execute(
+    "SELECT id FROM departments WHERE cost_center = ? AND id <> ?",
+    [costCenter, departmentId || 0]
+  );
+  return rows.length > 0 ? "Cost center is already in use" : null;
+}
+
+// Create new department
+router.post(
+  "/",
+  authorize("admin", "hr"),
+  validate(createDepartment),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const { name } = req.body;
+
+      const linkErrors = await org.checkDepartmentLinks(pool, null, req.body);
+      if (linkErrors.length > 0) {
+        return sendValidationError(res, linkErrors);
+      }
+
+      const [existingDept] = await pool.execute(
+        "SELECT id, deleted_at FROM departments WHERE name = ?",
+        [name]
+      );
+
+      if (existingDept.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: existingDept[0].deleted_at
+            ? "A deleted department has this name; restore it instead"
+            : "Department already exists",
+        });
+      }
+
+      const costCenterTaken = await costCenterError(pool, req.body.cost_center);
+      if (costCenterTaken) {
+        return res.status(400).json({
+          success: false,
+          error: costCenterTaken,
+        });
+      }
+
+      const [result] = await pool.execute(
+        `INSERT INTO departments (${DEPARTMENT_FIELDS.join(", ")})
+         VALUES (${DEPARTMENT_FIELDS.map(() => "?").join(", ")})`,
+        DEPARTMENT_FIELDS.map((field) => req.body[field] || null)
+      );
+
+      const [inserted] = await pool.execute(
+        "SELECT * FROM departments WHERE id = ?",
+        [result.insertId]
+      );
+      await audit.record(pool, req, {
+        entity: "department",
+        entityId: result.insertId,
+        action: "insert",
+        after: inserted[0],
       });
-    }
 
-    const [existingDept] = await pool.execute(
-      "SELECT id FROM departments WHERE name = ?",
-      [name]
-    );
+      const [newDepartment] = await pool.execute(
+        "SELECT id, name, description, parent_id, head_employee_id, cost_center, created_at FROM departments WHERE id = ?",
+        [result.insertId]
+      );
 
-    if (existingDept.length > 0) {
-      return res.status(400).json({
+      res.status(201).json({
+        success: true,
+        message: "Department created successfully",
+        data: newDepartment[0],
+      });
+    } catch (error) {
+      console.error("Error creating department:", error);
+      res.status(500).json({
         success: false,
-        error: "Department already exists",
+        error: "Failed to create department",
       });
     }
+  }
+);
 
-    const [result] = await pool.execute(
-      "INSERT INTO departments (name) VALUES (?)",
-      [name]
-    );
+const STALE_DEPARTMENT =
+  "Department was changed by someone else; reload it and try again";
 
-    const [newDepartment] = await pool.execute(
-      "SELECT id, name, created_at FROM departments WHERE id = ?",
-      [result.insertId]
-    );
-
-    res.status(201).json({
-      success: true,
-      message: "Department created successfully",
-      data: newDepartment[0],
+// Department not found, or 412 when an If-Match header names an older
+// version than the one stored
+function checkVersion(req, res, rows) {
+  if (rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: "Department not found",
     });
-  } catch (error) {
-    console.error("Error creating department:", error);
-    res.status(500).json({
+    return false;
+  }
+  if (!etags.ifMatch(req.get("If-Match"), rows[0])) {
+    res.set("ETag", etags.etag(rows[0]));
+    res.status(412).json({
       success: false,
-      error: "Failed to create department",
+      error: STALE_DEPARTMENT,
     });
+    return false;
   }
-});
+  return true;
+}
+
+// Update department. PUT replaces all fields; PATCH changes only the
+// fields sent.
+function updateDepartmentHandler({ partial }) {
+  return async (req, res) => {
+    try {
+      const pool = await getPool();
+      const fields = DEPARTMENT_FIELDS.filter(
+        (field) => !partial || req.body[field] !== undefined
+      );
+
+      const [existingDept] = await pool.execute(
+        "SELECT * FROM departments WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+      if (!checkVersion(req, res, existingDept)) {
+        return;
+      }
 
-// Update department
-router.put("/:id", async (req, res) => {
+      const linkErrors = await org.checkDepartmentLinks(
+        pool,
+        req.params.id,
+        req.body
+      );
+      if (linkErrors.length > 0) {
+        return sendValidationError(res, linkErrors);
+      }
+
+      const costCenterTaken = await costCenterError(
+        pool,
+        req.body.cost_center,
+        req.params.id
+      );
+      if (costCenterTaken) {
+        return res.status(400).json({
+          success: false,
+          error: costCenterTaken,
+        });
+      }
+
+      if (fields.includes("name")) {
+        const [duplicateDept] = await pool.execute(
+          "SELECT id, deleted_at FROM departments WHERE name = ? AND id <> ?",
+          [req.body.name, req.params.id]
+        );
+
+        if (duplicateDept.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: duplicateDept[0].deleted_at
+              ? "A deleted department has this name"
+              : "Department already exists",
+          });
+        }
+      }
+
+      const [result] = await pool.execute(
+        `UPDATE departments
+         SET ${fields.map((field) => `${field} = ?`).join(", ")},
+             version = version + 1
+         WHERE id = ? AND version = ?`,
+        [
+          ...fields.map((field) => req.body[field] || null),
+          req.params.id,
+          existingDept[0].version,
+        ]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(412).json({
+          success: false,
+          error: STALE_DEPARTMENT,
+        });
+      }
+
+      const [after] = await pool.execute(
+        "SELECT * FROM departments WHERE id = ?",
+        [req.params.id]
+      );
+      await audit.record(pool, req, {
+        entity: "department",
+        entityId: existingDept[0].id,
+        action: "update",
+        before: existingDept[0],
+        after: after[0],
+      });
+
+      const [updatedDepartment] = await pool.execute(
+        "SELECT id, name, description, parent_id, head_employee_id, cost_center, created_at FROM departments WHERE id = ?",
+        [req.params.id]
+      );
+
+      res.set("ETag", etags.etag(after[0]));
+      res.json({
+        success: true,
+        message: "Department updated successfully",
+        data: updatedDepartment[0],
+      });
+    } catch (error) {
+      console.error("Error updating department:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update department",
+      });
+    }
+  };
+}
+
+router.put(
+  "/:id",
+  authorize("admin", "hr"),
+  validate(updateDepartment),
+  updateDepartmentHandler({ partial: false })
+);
+
+router.patch(
+  "/:id",
+  authorize("admin", "hr"),
+  validate(patchDepartment),
+  updateDepartmentHandler({ partial: true })
+);
+
+// Delete department. It is only marked deleted until bin/purge removes it
+// after the retention period.
+router.delete("/:id", authorize("admin"), async (req, res) => {
   try {
     const pool = await getPool();
-    const { name } = req.body;
-
     const [existingDept] = await pool.execute(
-      "SELECT id FROM departments WHERE id = ?",
+      "SELECT * FROM departments WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
     );
+    if (!checkVersion(req, res, existingDept)) {
+      return;
+    }
 
-    if (existingDept.length === 0) {
-      return res.status(404).json({
+    const [employeesUsingDept] = await pool.execute(
+      "SELECT COUNT(*) as count FROM employees WHERE department_id = ? AND deleted_at IS NULL",
+      [req.params.id]
+    );
+
+    if (employeesUsingDept[0].count > 0) {
+      return res.status(400).json({
         success: false,
-        error: "Department not found",
+        error: "Cannot delete department that is assigned to employees",
       });
     }
 
-    await pool.execute("UPDATE departments SET name = ? WHERE id = ?", [
-      name,
-      req.params.id,
-    ]);
+    const [subDepartments] = await pool.execute(
+      "SELECT COUNT(*) as count FROM departments WHERE parent_id = ? AND deleted_at IS NULL",
+      [req.params.id]
+    );
 
-    const [updatedDepartment] = await pool.execute(
-      "SELECT id, name, created_at FROM departments WHERE id = ?",
+    if (subDepartments[0].count > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot delete department that has sub-departments",
+      });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE departments
+       SET deleted_at = NOW(), deleted_by = ?, version = version + 1
+       WHERE id = ? AND version = ?`,
+      [req.user.id, req.params.id, existingDept[0].version]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(412).json({
+        success: false,
+        error: STALE_DEPARTMENT,
+      });
+    }
+    const [after] = await pool.execute(
+      "SELECT * FROM departments WHERE id = ?",
       [req.params.id]
     );
+    await audit.record(pool, req, {
+      entity: "department",
+      entityId: existingDept[0].id,
+      action: "delete",
+      before: existingDept[0],
+      after: after[0],
+    });
 
     res.json({
       success: true,
-      message: "Department updated successfully",
-      data: updatedDepartment[0],
+      message: "Department deleted successfully",
     });
   } catch (error) {
-    console.error("Error updating department:", error);
+    console.error("Error deleting department:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update department",
+      error: "Failed to delete department",
     });
   }
 });
 
-// Delete department
-router.delete("/:id", async (req, res) => {
+// Restore a deleted department
+router.post("/:id/restore", authorize("admin"), async (req, res) => {
   try {
     const pool = await getPool();
     const [existingDept] = await pool.execute(
-      "SELECT id FROM departments WHERE id = ?",
+      "SELECT * FROM departments WHERE id = ?",
       [req.params.id]
     );
+    if (!checkVersion(req, res, existingDept)) {
+      return;
+    }
 
-    if (existingDept.length === 0) {
-      return res.status(404).json({
+    if (!existingDept[0].deleted_at) {
+      return res.status(400).json({
         success: false,
-        error: "Department not found",
+        error: "Department is not deleted",
       });
     }
 
-    const [employeesUsingDept] = await pool.execute(
-      "SELECT COUNT(*) as count FROM employees WHERE department_id = ?",
-      [req.params.id]
-    );
+    // A unit cannot come back under a parent that is still deleted
+    if (existingDept[0].parent_id !== null) {
+      const [parent] = await pool.execute(
+        "SELECT id FROM departments WHERE id = ? AND deleted_at IS NULL",
+        [existingDept[0].parent_id]
+      );
+      if (parent.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "The parent department is deleted; restore it first",
+        });
+      }
+    }
 
-    if (employeesUsingDept[0].count > 0) {
-      return res.status(400).json({
+    const [result] = await pool.execute(
+      `UPDATE departments
+       SET deleted_at = NULL, deleted_by = NULL, version = version + 1
+       WHERE id = ? AND version = ?`,
+      [req.params.id, existingDept[0].version]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(412).json({
         success: false,
-        error: "Cannot delete department that is assigned to employees",
+        error: STALE_DEPARTMENT,
       });
     }
+    const [after] = await pool.execute(
+      "SELECT * FROM departments WHERE id = ?",
+      [req.params.id]
+    );
+    await audit.record(pool, req, {
+      entity: "department",
+      entityId: existingDept[0].id,
+      action: "restore",
+      before: existingDept[0],
+      after: after[0],
+    });
 
-    await pool.execute("DELETE FROM departments WHERE id = ?", [req.params.id]);
+    const [restoredDepartment] = await pool.execute(
+      "SELECT id, name, description, parent_id, head_employee_id, cost_center, created_at FROM departments WHERE id = ?",
+      [req.params.id]
+    );
 
+    res.set("ETag", etags.etag(after[0]));
     res.json({
       success: true,
-      message: "Department deleted successfully",
+      message: "Department restored successfully",
+      data: restoredDepartment[0],
     });
   } catch (error) {
-    console.error("Error deleting department:", error);
+    console.error("Error restoring department:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to delete department",
+      error: "Failed to restore department",
     });
   }
 });
@@ -0,0 +1,211 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const { SALARY_ROLES, authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  createEarningType,
+  updateEarningType,
+} = require("../validators/earnings");
+
+// Get all earning types
+router.get("/", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      "SELECT * FROM earning_types ORDER BY taxability, name"
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching earning types:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch earning types",
+    });
+  }
+});
+
+// Get an earning type by ID
+router.get("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      "SELECT * FROM earning_types WHERE id = ?",
+      [req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Earning type not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rows[0],
+    });
+  } catch (error) {
+    console.error("Error fetching earning type:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch earning type",
+    });
+  }
+});
+
+// Create an earning type
+router.post(
+  "/",
+  authorize(...SALARY_ROLES),
+  validate(createEarningType),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const type = req.body;
+
+      const [existing] = await pool.query(
+        "SELECT id FROM earning_types WHERE code = ?",
+        [type.code]
+      );
+      if (existing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Earning type already exists",
+        });
+      }
+
+      const [result] = await pool.query(
+        `INSERT INTO earning_types
+           (code, name, taxability, de_minimis_limit, limit_period, reference)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          type.code,
+          type.name,
+          type.taxability,
+          type.de_minimis_limit || null,
+          type.limit_period || null,
+          type.reference || null,
+        ]
+      );
+
+      const [rows] = await pool.query(
+        "SELECT * FROM earning_types WHERE id = ?",
+        [result.insertId]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Earning type created successfully",
+        data: rows[0],
+      });
+    } catch (error) {
+      console.error("Error creating earning type:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create earning type",
+      });
+    }
+  }
+);
+
+// Update an earning type's name, tax treatment or ceiling. Payslips
+// already computed keep the treatment they were computed with.
+router.put(
+  "/:id",
+  authorize(...SALARY_ROLES),
+  validate(updateEarningType),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const type = req.body;
+
+      const [result] = await pool.query(
+        `UPDATE earning_types
+         SET name = ?, taxability = ?, de_minimis_limit = ?, limit_period = ?,
+             reference = ?
+         WHERE id = ?`,
+        [
+          type.name,
+          type.taxability,
+          type.de_minimis_limit || null,
+          type.limit_period || null,
+          type.reference || null,
+          req.params.id,
+        ]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Earning type not found",
+        });
+      }
+
+      const [rows] = await pool.query(
+        "SELECT * FROM earning_types WHERE id = ?",
+        [req.params.id]
+      );
+
+      res.json({
+        success: true,
+        message: "Earning type updated successfully",
+        data: rows[0],
+      });
+    } catch (error) {
+      console.error("Error updating earning type:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update earning type",
+      });
+    }
+  }
+);
+
+// Delete an earning type no employee has been given
+router.delete("/:id", authorize(...SALARY_ROLES), async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [used] = await pool.query(
+      "SELECT id FROM employee_earnings WHERE earning_type_id = ? LIMIT 1",
+      [req.params.id]
+    );
+
+    if (used.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Earning type is assigned to employees and cannot be deleted",
+      });
+    }
+
+    const [result] = await pool.query(
+      "DELETE FROM earning_types WHERE id = ?",
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Earning type not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Earning type deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting earning type:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete earning type",
+    });
+  }
+});
+
+module.exports = router;
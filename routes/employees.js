@@ -1,129 +1,1104 @@
 const express = require("express");
 const router = express.Router();
 const { pool: db } = require("../dbconfig.js");
+const contributions = require("../services/contributions");
+const tax = require("../services/tax");
+const audit = require("../services/audit");
+const employeeService = require("../services/employees");
+const employeeFiles = require("../services/employee-files");
+const compensation = require("../services/compensation");
+const earnings = require("../services/earnings");
+const approval = require("../services/payroll-approval");
+const separation = require("../services/separation");
+const finalPay = require("../services/final-pay");
+const org = require("../services/org");
+const { validate, sendValidationError } = require("../middleware/validate");
+const { uploadFile } = require("../middleware/upload");
+const { toDateString } = require("../utilities/dates");
+const etags = require("../utilities/etag");
+const {
+  createEmployee,
+  updateEmployee,
+  patchEmployee,
+  createCompensation,
+  createSeparation,
+  EMPLOYEE_FIELDS,
+} = require("../validators/employees");
+const {
+  createEmployeeEarning,
+  updateEmployeeEarning,
+} = require("../validators/earnings");
+const {
+  SALARY_ROLES,
+  PAY_FIELDS,
+  authorize,
+  authorizeSelfOr,
+  canViewSalary,
+  redactSalary,
+} = require("../middleware/auth");
 
-// 📌 Get all employees with department info
-router.get("/", async (req, res) => {
-  try {
-    const [employees] = await db.query(
-      `SELECT e.*, d.name AS department_name
-       FROM employees e
-       LEFT JOIN departments d ON e.department_id = d.id`
-    );
+const MAX_IMPORT_ROWS = 5000;
 
-    const [count] = await db.query("SELECT COUNT(*) as total FROM employees");
+// Field errors for a payload referencing a missing or deleted department
+async function checkDepartment(departmentId) {
+  if (departmentId === undefined || departmentId === null) {
+    return [];
+  }
+  const [rows] = await db.query(
+    "SELECT id FROM departments WHERE id = ? AND deleted_at IS NULL",
+    [departmentId]
+  );
+  return rows.length > 0
+    ? []
+    : [{ field: "department_id", message: "department_id does not exist" }];
+}
 
-    res.json({
-      success: true,
-      data: employees,
-      total: count[0].total,
+// Employee not found, or 412 when an If-Match header names an older
+// version than the one stored
+function checkVersion(req, res, rows) {
+  if (rows.length === 0) {
+    res.status(404).json({ success: false, error: "Employee not found" });
+    return false;
+  }
+  if (!etags.ifMatch(req.get("If-Match"), rows[0])) {
+    res.set("ETag", etags.etag(rows[0]));
+    res.status(412).json({
+      success: false,
+      error: employeeService.STALE_EMPLOYEE,
     });
-  } catch (error) {
-    console.error("Error fetching employees:", error);
-    res.status(500).json({ success: false, error: error.message });
+    return false;
   }
-});
+  return true;
+}
 
-// 📌 Get a single employee
-router.get("/:id", async (req, res) => {
-  try {
-    const [employee] = await db.query(
-      `SELECT e.*, d.name AS department_name
+// Map a unique-key violation onto the field it belongs to
+function duplicateFieldError(error) {
+  const field = ["employee_id", "email"].find((name) =>
+    error.message.includes(name)
+  );
+  return [
+    {
+      field: field || "employee",
+      message: `${field || "employee"} is already in use`,
+    },
+  ];
+}
+
+// 📌 Get employees with department info, filtered, sorted and paginated
+router.get(
+  "/",
+  authorize("admin", "payroll_officer", "hr", "viewer"),
+  async (req, res) => {
+    try {
+      const { whereSql, orderSql, params, page, limit } =
+        employeeService.buildListQuery(req.query, {
+          allowSalary: canViewSalary(req.user),
+        });
+
+      const [employees] = await db.query(
+        `SELECT e.*, d.name AS department_name
        FROM employees e
        LEFT JOIN departments d ON e.department_id = d.id
-       WHERE e.id = ?`,
-      [req.params.id]
-    );
+       ${whereSql}
+       ${orderSql}
+       LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
 
-    if (employee.length === 0) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Employee not found" });
+      const [count] = await db.query(
+        `SELECT COUNT(*) as total
+       FROM employees e
+       LEFT JOIN departments d ON e.department_id = d.id
+       ${whereSql}`,
+        params
+      );
+
+      res.json({
+        success: true,
+        data: employees.map((employee) => redactSalary(employee, req.user)),
+        total: count[0].total,
+        page,
+        limit,
+        totalPages: Math.ceil(count[0].total / limit),
+      });
+    } catch (error) {
+      console.error("Error fetching employees:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
     }
+  }
+);
 
-    res.json({ success: true, data: employee[0] });
-  } catch (error) {
-    console.error("Error fetching employee:", error);
-    res.status(500).json({ success: false, error: error.message });
+// 📌 Export employees as CSV or XLSX, honoring the list filters
+router.get(
+  "/export",
+  authorize("admin", "payroll_officer", "hr", "viewer"),
+  async (req, res) => {
+    try {
+      const format = req.query.format || "csv";
+      if (!employeeFiles.FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${employeeFiles.FORMATS.join(", ")}`,
+        });
+      }
+
+      const includeSalary = canViewSalary(req.user);
+      const { whereSql, orderSql, params } = employeeService.buildListQuery(
+        req.query,
+        { allowSalary: includeSalary }
+      );
+
+      const [employees] = await db.query(
+        `SELECT e.*, d.name AS department_name
+       FROM employees e
+       LEFT JOIN departments d ON e.department_id = d.id
+       ${whereSql}
+       ${orderSql}`,
+        params
+      );
+
+      const filename = `employees-${new Date().toISOString().slice(0, 10)}`;
+      if (format === "xlsx") {
+        const buffer = await employeeFiles.toXlsx(employees, { includeSalary });
+        res.attachment(`${filename}.xlsx`);
+        res.type(
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        return res.send(Buffer.from(buffer));
+      }
+
+      res.attachment(`${filename}.csv`);
+      res.type("text/csv");
+      res.send(employeeFiles.toCsv(employees, { includeSalary }));
+    } catch (error) {
+      console.error("Error exporting employees:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
   }
-});
+);
+
+// 📌 Export the org chart as JSON: departments nested by parent unit and
+// current employees nested by whom they report to
+router.get(
+  "/org-chart",
+  authorize("admin", "payroll_officer", "hr", "viewer"),
+  async (req, res) => {
+    try {
+      const chart = await org.getOrgChart(db);
+
+      if (String(req.query.download) === "true") {
+        res.attachment(
+          `org-chart-${new Date().toISOString().slice(0, 10)}.json`
+        );
+      }
+      res.json({ success: true, data: chart });
+    } catch (error) {
+      console.error("Error exporting org chart:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Import employees from CSV or XLSX.
+// Runs as a dry-run preview unless dry_run=false; a real import inserts
+// every row in one transaction or none at all.
+router.post(
+  "/import",
+  authorize("admin", "hr"),
+  uploadFile,
+  async (req, res) => {
+    let connection;
+    try {
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ success: false, error: "A CSV or XLSX file is required" });
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (error) {
+          return res
+            .status(400)
+            .json({ success: false, error: "mapping must be valid JSON" });
+        }
+      }
+
+      const dryRun =
+        String(req.query.dry_run ?? req.body.dry_run ?? "true") !== "false";
+
+      const table = await employeeFiles.readTable(req.file);
+      if (table.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ success: false, error: "The file has no data rows" });
+      }
+      if (table.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: `Imports are limited to ${MAX_IMPORT_ROWS} rows`,
+        });
+      }
+
+      const [departments] = await db.query(
+        "SELECT id, name FROM departments WHERE deleted_at IS NULL"
+      );
+      const [existing] = await db.query(
+        "SELECT employee_id, email FROM employees"
+      );
+
+      const results = employeeFiles.validateRows(table, {
+        mapping,
+        departments,
+        existingEmployeeIds: new Set(
+          existing.map((row) => String(row.employee_id).toLowerCase())
+        ),
+        existingEmails: new Set(
+          existing.map((row) => String(row.email).toLowerCase())
+        ),
+      });
+      // A manager must already be on file; rows cannot report to each other
+      const managers = await org.getManagers(db);
+      for (const result of results) {
+        if (result.errors.length === 0) {
+          result.errors.push(
+            ...org.managerErrors(managers, null, result.data.manager_id)
+          );
+        }
+      }
+      const invalid = results.filter((result) => result.errors.length > 0);
+      const summary = {
+        dry_run: dryRun,
+        total_rows: results.length,
+        valid_rows: results.length - invalid.length,
+        invalid_rows: invalid.length,
+      };
+
+      if (dryRun) {
+        return res.json({ success: true, data: { ...summary, rows: results } });
+      }
+
+      if (invalid.length > 0) {
+        return res.status(422).json({
+          success: false,
+          error: "Import has invalid rows; nothing was imported",
+          data: summary,
+          details: invalid.map(({ row, errors }) => ({ row, errors })),
+        });
+      }
+
+      connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      for (const { data } of results) {
+        const [result] = await connection.query(
+          `INSERT INTO employees (${EMPLOYEE_FIELDS.join(", ")})
+           VALUES (${EMPLOYEE_FIELDS.map(() => "?").join(", ")})`,
+          employeeFiles.insertValues(data)
+        );
+        const [inserted] = await connection.query(
+          "SELECT * FROM employees WHERE id = ?",
+          [result.insertId]
+        );
+        await compensation.recordHire(connection, inserted[0], req.user);
+        await audit.record(connection, req, {
+          entity: "employee",
+          entityId: result.insertId,
+          action: "insert",
+          after: inserted[0],
+        });
+      }
+
+      await connection.commit();
+
+      res.status(201).json({
+        success: true,
+        message: `${results.length} employees imported successfully`,
+        data: { ...summary, imported: results.length },
+      });
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error("Error importing employees:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+);
+
+// 📌 Get a single employee; a deleted one only with include_deleted=true
+router.get(
+  "/:id",
+  authorizeSelfOr("admin", "payroll_officer", "hr", "viewer"),
+  async (req, res) => {
+    try {
+      const [employee] = await db.query(
+        `SELECT e.*, d.name AS department_name
+       FROM employees e
+       LEFT JOIN departments d ON e.department_id = d.id
+       WHERE e.id = ?
+         ${
+           String(req.query.include_deleted) === "true"
+             ? ""
+             : "AND e.deleted_at IS NULL"
+         }`,
+        [req.params.id]
+      );
+
+      if (employee.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      // Monthly withholding tax on the current salary
+      const monthly = await contributions.computeForDate(
+        employee[0].salary,
+        req.query.date
+      );
+      const withholding = await tax.computeForDate({
+        date: monthly.date,
+        period: "monthly",
+        gross_compensation: monthly.monthly_salary,
+        mandatory_contributions: monthly.totals.employee,
+      });
+
+      res.set("ETag", etags.etag(employee[0]));
+      res.json({
+        success: true,
+        data: redactSalary(
+          { ...employee[0], withholding_tax: withholding },
+          req.user
+        ),
+      });
+    } catch (error) {
+      console.error("Error fetching employee:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Get an employee's SSS, PhilHealth and Pag-IBIG contributions
+router.get(
+  "/:id/contributions",
+  authorizeSelfOr("admin", "payroll_officer"),
+  async (req, res) => {
+    try {
+      const [employee] = await db.query(
+        "SELECT id, salary FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+
+      if (employee.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      const result = await contributions.computeForDate(
+        employee[0].salary,
+        req.query.date
+      );
+
+      res.json({
+        success: true,
+        data: { employee_id: employee[0].id, ...result },
+      });
+    } catch (error) {
+      console.error("Error computing contributions:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Get an employee's compensation history, oldest first
+router.get(
+  "/:id/compensation",
+  authorizeSelfOr(...SALARY_ROLES),
+  async (req, res) => {
+    try {
+      const [employee] = await db.query(
+        "SELECT id, salary FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+
+      if (employee.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      const timeline = await compensation.getTimeline(db, employee[0].id);
+      const today = toDateString(new Date());
+
+      res.json({
+        success: true,
+        data: {
+          employee_id: employee[0].id,
+          salary: employee[0].salary,
+          current: compensation.entryOn(timeline, today),
+          timeline,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching compensation history:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Add an effective-dated compensation change (may be future-dated)
+router.post(
+  "/:id/compensation",
+  authorize("admin", "hr"),
+  validate(createCompensation),
+  async (req, res) => {
+    try {
+      const [before] = await db.query(
+        "SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+
+      if (before.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      // 📌 A rate change reaching back into a locked pay period is paid
+      // through an adjustment run instead
+      await approval.checkUnlocked(
+        db,
+        req.body.effective_from,
+        null,
+        `effective_from ${req.body.effective_from}`
+      );
+
+      const entry = await compensation.addEntry(
+        db,
+        before[0].id,
+        req.body,
+        req.user
+      );
+
+      const [after] = await db.query("SELECT * FROM employees WHERE id = ?", [
+        req.params.id,
+      ]);
+      await audit.record(db, req, {
+        entity: "employee",
+        entityId: before[0].id,
+        action: "update",
+        before: before[0],
+        after: after[0],
+      });
+
+      res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+      console.error("Error adding compensation change:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Record that an employee left: when and why. They stay on file as
+// inactive and are paid off by the next final pay run.
+router.post(
+  "/:id/separation",
+  authorize("admin", "hr"),
+  validate(createSeparation),
+  async (req, res) => {
+    try {
+      const [before] = await db.query(
+        "SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+      if (!checkVersion(req, res, before)) {
+        return;
+      }
+
+      // 📌 Pay data behind an approved payroll run stays as it was paid
+      await approval.checkEmployeeUpdate(db, before[0], {
+        ...before[0],
+        status: "inactive",
+      });
+      await approval.checkUnlocked(
+        db,
+        req.body.separation_date,
+        req.body.separation_date,
+        `The separation date (${req.body.separation_date})`
+      );
+
+      await separation.separate(db, before[0], req.body);
+
+      const [after] = await db.query("SELECT * FROM employees WHERE id = ?", [
+        req.params.id,
+      ]);
+      await audit.record(db, req, {
+        entity: "employee",
+        entityId: before[0].id,
+        action: "update",
+        before: before[0],
+        after: after[0],
+      });
+
+      res.set("ETag", etags.etag(after[0]));
+      res.json({
+        success: true,
+        message: "Employee separated successfully",
+        data: redactSalary(after[0], req.user),
+      });
+    } catch (error) {
+      console.error("Error separating employee:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Get everyone reporting to an employee, directly or indirectly
+router.get(
+  "/:id/reports",
+  authorizeSelfOr("admin", "payroll_officer", "hr", "viewer"),
+  async (req, res) => {
+    try {
+      const { direct, total, reports } = await org.getReports(
+        db,
+        req.params.id
+      );
+      res.json({ success: true, data: reports, direct, total });
+    } catch (error) {
+      console.error("Error fetching reports:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Get a separated employee's final pay: what the final pay run paid, or
+// an estimate until one includes them
+router.get(
+  "/:id/final-pay",
+  authorizeSelfOr(...SALARY_ROLES),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await finalPay.getFinalPay(db, req.params.id),
+      });
+    } catch (error) {
+      console.error("Error computing final pay:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Download a separated employee's final pay summary as a PDF
+router.get(
+  "/:id/final-pay.pdf",
+  authorizeSelfOr(...SALARY_ROLES),
+  async (req, res) => {
+    try {
+      const summary = await finalPay.getFinalPay(db, req.params.id);
+      const pdf = await finalPay.generateSummary(req.app, summary);
+
+      res.attachment(`final-pay-${summary.employee.employee_number}.pdf`);
+      res.type("application/pdf").send(pdf);
+    } catch (error) {
+      console.error("Error generating final pay summary:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Download a certificate of employment, for current and former employees
+router.get(
+  "/:id/certificate-of-employment.pdf",
+  authorizeSelfOr("admin", "hr"),
+  async (req, res) => {
+    try {
+      const pdf = await finalPay.generateCertificate(
+        req.app,
+        db,
+        req.params.id
+      );
+
+      res.attachment(`certificate-of-employment-${req.params.id}.pdf`);
+      res.type("application/pdf").send(pdf);
+    } catch (error) {
+      console.error("Error generating certificate of employment:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Get an employee's allowances and other earnings, current and past
+router.get(
+  "/:id/earnings",
+  authorizeSelfOr(...SALARY_ROLES),
+  async (req, res) => {
+    try {
+      const [employee] = await db.query(
+        "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+
+      if (employee.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      const rows = await earnings.listForEmployee(db, employee[0].id);
+      res.json({ success: true, data: rows, total: rows.length });
+    } catch (error) {
+      console.error("Error fetching employee earnings:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Give an employee a recurring allowance or a one-time earning
+router.post(
+  "/:id/earnings",
+  authorize(...SALARY_ROLES),
+  validate(createEmployeeEarning),
+  async (req, res) => {
+    try {
+      const [employee] = await db.query(
+        "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+
+      if (employee.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      const earning = await earnings.createEarning(
+        db,
+        employee[0].id,
+        req.body,
+        req.user
+      );
+      await audit.record(db, req, {
+        entity: "employee_earning",
+        entityId: earning.id,
+        action: "insert",
+        after: earning,
+      });
+
+      res.status(201).json({ success: true, data: earning });
+    } catch (error) {
+      console.error("Error adding employee earning:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Change or end an employee earning; payslips already computed keep
+// the amount they were computed with
+router.put(
+  "/:id/earnings/:earningId",
+  authorize(...SALARY_ROLES),
+  validate(updateEmployeeEarning),
+  async (req, res) => {
+    try {
+      const before = await earnings.getEarning(
+        db,
+        req.params.id,
+        req.params.earningId
+      );
+
+      if (!before) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Earning not found" });
+      }
+
+      const after = await earnings.updateEarning(
+        db,
+        before.employee_id,
+        before.id,
+        req.body
+      );
+      await audit.record(db, req, {
+        entity: "employee_earning",
+        entityId: before.id,
+        action: "update",
+        before,
+        after,
+      });
+
+      res.json({ success: true, data: after });
+    } catch (error) {
+      console.error("Error updating employee earning:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 📌 Remove an employee earning
+router.delete(
+  "/:id/earnings/:earningId",
+  authorize(...SALARY_ROLES),
+  async (req, res) => {
+    try {
+      const before = await earnings.getEarning(
+        db,
+        req.params.id,
+        req.params.earningId
+      );
+
+      if (!before) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Earning not found" });
+      }
+
+      await db.query("DELETE FROM employee_earnings WHERE id = ?", [before.id]);
+      await audit.record(db, req, {
+        entity: "employee_earning",
+        entityId: before.id,
+        action: "delete",
+        before,
+      });
+
+      res.json({ success: true, message: "Earning removed successfully" });
+    } catch (error) {
+      console.error("Error removing employee earning:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  }
+);
 
 // 📌 Create employee
-router.post("/", async (req, res) => {
-  try {
-    const { first_name, last_name, email, phone, department_id } = req.body;
+router.post(
+  "/",
+  authorize("admin", "hr"),
+  validate(createEmployee),
+  async (req, res) => {
+    try {
+      const fieldErrors = [
+        ...(await checkDepartment(req.body.department_id)),
+        ...(await org.checkManager(db, null, req.body.manager_id)),
+      ];
+      if (fieldErrors.length > 0) {
+        return sendValidationError(res, fieldErrors);
+      }
 
-    const [result] = await db.query(
-      `INSERT INTO employees (first_name, last_name, email, phone, department_id)
-       VALUES (?, ?, ?, ?, ?)`,
-      [first_name, last_name, email, phone, department_id]
-    );
+      const [result] = await db.query(
+        `INSERT INTO employees (${EMPLOYEE_FIELDS.join(", ")})
+       VALUES (${EMPLOYEE_FIELDS.map(() => "?").join(", ")})`,
+        EMPLOYEE_FIELDS.map((field) =>
+          req.body[field] === undefined ? null : req.body[field]
+        )
+      );
 
-    const [newEmployee] = await db.query(
-      `SELECT e.*, d.name AS department_name
+      const [inserted] = await db.query(
+        "SELECT * FROM employees WHERE id = ?",
+        [result.insertId]
+      );
+      await compensation.recordHire(db, inserted[0], req.user);
+      await audit.record(db, req, {
+        entity: "employee",
+        entityId: result.insertId,
+        action: "insert",
+        after: inserted[0],
+      });
+
+      const [newEmployee] = await db.query(
+        `SELECT e.*, d.name AS department_name
        FROM employees e
        LEFT JOIN departments d ON e.department_id = d.id
        WHERE e.id = ?`,
-      [result.insertId]
-    );
+        [result.insertId]
+      );
 
-    res.status(201).json({ success: true, data: newEmployee[0] });
-  } catch (error) {
-    console.error("Error creating employee:", error);
-    res.status(500).json({ success: false, error: error.message });
+      res
+        .status(201)
+        .json({ success: true, data: redactSalary(newEmployee[0], req.user) });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        return sendValidationError(res, duplicateFieldError(error));
+      }
+      console.error("Error creating employee:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
   }
-});
+);
 
-// 📌 Update employee
-router.put("/:id", async (req, res) => {
-  try {
-    const { first_name, last_name, email, phone, department_id } = req.body;
+// 📌 Update employee. PUT replaces every field, clearing those left out
+// (except pay data the user cannot see); PATCH changes only the fields sent.
+function updateEmployeeHandler({ partial }) {
+  return async (req, res) => {
+    try {
+      const [before] = await db.query(
+        "SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+      if (!checkVersion(req, res, before)) {
+        return;
+      }
 
-    await db.query(
-      `UPDATE employees
-       SET first_name = ?, last_name = ?, email = ?, phone = ?, department_id = ?
-       WHERE id = ?`,
-      [first_name, last_name, email, phone, department_id, req.params.id]
-    );
+      const fieldErrors = [
+        ...(await checkDepartment(req.body.department_id)),
+        ...(await org.checkManager(db, req.params.id, req.body.manager_id)),
+      ];
+      if (fieldErrors.length > 0) {
+        return sendValidationError(res, fieldErrors);
+      }
 
-    const [updatedEmployee] = await db.query(
-      `SELECT e.*, d.name AS department_name
+      // Users who cannot see pay data cannot change it either; their PUT
+      // leaves it as it is
+      const hidden = canViewSalary(req.user) ? [] : PAY_FIELDS;
+      const forbidden = hidden.filter((field) => req.body[field] !== undefined);
+      if (forbidden.length > 0) {
+        return sendValidationError(
+          res,
+          forbidden.map((field) => ({
+            field,
+            message: `You are not allowed to change ${field}`,
+          }))
+        );
+      }
+
+      const fields = EMPLOYEE_FIELDS.filter((field) =>
+        partial ? req.body[field] !== undefined : !hidden.includes(field)
+      );
+      const values = fields.reduce((row, field) => {
+        row[field] = req.body[field] === undefined ? null : req.body[field];
+        return row;
+      }, {});
+
+      // 📌 Pay data behind an approved payroll run stays as it was paid
+      await approval.checkEmployeeUpdate(db, before[0], {
+        ...before[0],
+        ...values,
+      });
+
+      // The version guard keeps a concurrent update from being overwritten
+      const [result] = await db.query(
+        `UPDATE employees
+       SET ${fields.map((field) => `${field} = ?`).join(", ")},
+           version = version + 1
+       WHERE id = ? AND version = ?`,
+        [
+          ...fields.map((field) => values[field]),
+          req.params.id,
+          before[0].version,
+        ]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(412).json({
+          success: false,
+          error: employeeService.STALE_EMPLOYEE,
+        });
+      }
+
+      // Keep the old rate in the compensation history
+      if (
+        req.body.salary !== undefined &&
+        req.body.salary !== null &&
+        Number(req.body.salary) !== Number(before[0].salary)
+      ) {
+        await compensation.recordSalaryChange(
+          db,
+          before[0].id,
+          req.body.salary,
+          req.user
+        );
+      }
+
+      const [after] = await db.query("SELECT * FROM employees WHERE id = ?", [
+        req.params.id,
+      ]);
+      await audit.record(db, req, {
+        entity: "employee",
+        entityId: before[0].id,
+        action: "update",
+        before: before[0],
+        after: after[0],
+      });
+
+      const [updatedEmployee] = await db.query(
+        `SELECT e.*, d.name AS department_name
        FROM employees e
        LEFT JOIN departments d ON e.department_id = d.id
        WHERE e.id = ?`,
+        [req.params.id]
+      );
+
+      if (updatedEmployee.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Employee not found" });
+      }
+
+      res.set("ETag", etags.etag(updatedEmployee[0]));
+      res.json({
+        success: true,
+        data: redactSalary(updatedEmployee[0], req.user),
+      });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        return sendValidationError(res, duplicateFieldError(error));
+      }
+      console.error("Error updating employee:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  };
+}
+
+router.put(
+  "/:id",
+  authorize("admin", "hr"),
+  validate(updateEmployee),
+  updateEmployeeHandler({ partial: false })
+);
+
+router.patch(
+  "/:id",
+  authorize("admin", "hr"),
+  validate(patchEmployee),
+  updateEmployeeHandler({ partial: true })
+);
+
+// 📌 Delete employee. The record is only marked deleted: payslips and
+// everything else kept for the retention period stay until bin/purge.
+router.delete("/:id", authorize("admin"), async (req, res) => {
+  try {
+    const [before] = await db.query(
+      "SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
     );
+    if (!checkVersion(req, res, before)) {
+      return;
+    }
 
-    if (updatedEmployee.length === 0) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Employee not found" });
+    const [result] = await db.query(
+      `UPDATE employees
+       SET deleted_at = NOW(), deleted_by = ?, version = version + 1
+       WHERE id = ? AND version = ?`,
+      [req.user.id, req.params.id, before[0].version]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(412).json({
+        success: false,
+        error: employeeService.STALE_EMPLOYEE,
+      });
     }
+    const [after] = await db.query("SELECT * FROM employees WHERE id = ?", [
+      req.params.id,
+    ]);
+    await audit.record(db, req, {
+      entity: "employee",
+      entityId: before[0].id,
+      action: "delete",
+      before: before[0],
+      after: after[0],
+    });
 
-    res.json({ success: true, data: updatedEmployee[0] });
+    res.json({ success: true, message: "Employee deleted successfully" });
   } catch (error) {
-    console.error("Error updating employee:", error);
+    console.error("Error deleting employee:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// 📌 Delete employee
-router.delete("/:id", async (req, res) => {
+// 📌 Restore a deleted employee
+router.post("/:id/restore", authorize("admin"), async (req, res) => {
   try {
-    const [result] = await db.query("DELETE FROM employees WHERE id = ?", [
+    const [before] = await db.query("SELECT * FROM employees WHERE id = ?", [
       req.params.id,
     ]);
+    if (!checkVersion(req, res, before)) {
+      return;
+    }
+    if (!before[0].deleted_at) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Employee is not deleted" });
+    }
 
+    const [result] = await db.query(
+      `UPDATE employees
+       SET deleted_at = NULL, deleted_by = NULL, version = version + 1
+       WHERE id = ? AND version = ?`,
+      [req.params.id, before[0].version]
+    );
     if (result.affectedRows === 0) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Employee not found" });
+      return res.status(412).json({
+        success: false,
+        error: employeeService.STALE_EMPLOYEE,
+      });
     }
+    const [after] = await db.query("SELECT * FROM employees WHERE id = ?", [
+      req.params.id,
+    ]);
+    await audit.record(db, req, {
+      entity: "employee",
+      entityId: before[0].id,
+      action: "restore",
+      before: before[0],
+      after: after[0],
+    });
 
-    res.json({ success: true, message: "Employee deleted successfully" });
+    const [restored] = await db.query(
+      `SELECT e.*, d.name AS department_name
+       FROM employees e
+       LEFT JOIN departments d ON e.department_id = d.id
+       WHERE e.id = ?`,
+      [req.params.id]
+    );
+
+    res.set("ETag", etags.etag(restored[0]));
+    res.json({ success: true, data: redactSalary(restored[0], req.user) });
   } catch (error) {
-    console.error("Error deleting employee:", error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error("Error restoring employee:", error);
+    res
+      .status(error.status || 500)
+      .json({ success: false, error: error.message });
   }
 });
 
@@ -0,0 +1,125 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const holidays = require("../services/holidays");
+const { authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { isDateString } = require("../utilities/dates");
+const { createHoliday } = require("../validators/holidays");
+
+// Get the holiday calendar for a year (default: this year) or a date range
+router.get("/", async (req, res) => {
+  try {
+    let { from, to } = req.query;
+
+    if (from || to) {
+      if (!isDateString(from) || !isDateString(to)) {
+        return res.status(400).json({
+          success: false,
+          error: "from and to must be in YYYY-MM-DD format",
+        });
+      }
+    } else {
+      const year = Number(req.query.year || new Date().getFullYear());
+      if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        return res.status(400).json({
+          success: false,
+          error: "year must be a valid four-digit year",
+        });
+      }
+      from = `${year}-01-01`;
+      to = `${year}-12-31`;
+    }
+
+    const pool = await getPool();
+    const rows = await holidays.list(pool, from, to);
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch holidays",
+    });
+  }
+});
+
+// Add a proclaimed holiday
+router.post(
+  "/",
+  authorize("admin", "hr"),
+  validate(createHoliday),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const { holiday_date, name, type, proclamation } = req.body;
+
+      const [existing] = await pool.query(
+        "SELECT id FROM holidays WHERE holiday_date = ? AND name = ?",
+        [holiday_date, name]
+      );
+
+      if (existing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Holiday already exists",
+        });
+      }
+
+      const [result] = await pool.query(
+        "INSERT INTO holidays (holiday_date, name, type, proclamation) VALUES (?, ?, ?, ?)",
+        [holiday_date, name, type, proclamation || null]
+      );
+
+      const [rows] = await pool.query("SELECT * FROM holidays WHERE id = ?", [
+        result.insertId,
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: "Holiday created successfully",
+        data: holidays.normalizeHoliday(rows[0]),
+      });
+    } catch (error) {
+      console.error("Error creating holiday:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create holiday",
+      });
+    }
+  }
+);
+
+// Remove a holiday, e.g. one moved by a later proclamation
+router.delete("/:id", authorize("admin", "hr"), async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [result] = await pool.query("DELETE FROM holidays WHERE id = ?", [
+      req.params.id,
+    ]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Holiday not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Holiday deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting holiday:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete holiday",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,425 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const leaves = require("../services/leaves");
+const audit = require("../services/audit");
+const { authorize, isSelf } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { isDateString } = require("../utilities/dates");
+const {
+  createLeaveType,
+  createLeaveRequest,
+  reviewLeaveRequest,
+  accrueLeave,
+  closeLeaveYear,
+} = require("../validators/leaves");
+
+// Roles that approve leave and manage balances
+const LEAVE_ADMIN_ROLES = ["admin", "hr"];
+
+// Roles that can see everyone's leave
+const LEAVE_VIEW_ROLES = ["admin", "hr", "payroll_officer"];
+
+function canViewEmployee(user, employeeId) {
+  return LEAVE_VIEW_ROLES.includes(user.role) || isSelf(user, employeeId);
+}
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    error: "Insufficient permissions",
+  });
+}
+
+function sendError(res, error, message) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : message,
+  });
+}
+
+// Get all leave types
+router.get("/types", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query("SELECT * FROM leave_types ORDER BY code");
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching leave types:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave types",
+    });
+  }
+});
+
+// Create a leave type
+router.post(
+  "/types",
+  authorize(...LEAVE_ADMIN_ROLES),
+  validate(createLeaveType),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const type = req.body;
+
+      const [existing] = await pool.query(
+        "SELECT id FROM leave_types WHERE code = ?",
+        [type.code]
+      );
+      if (existing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Leave type already exists",
+        });
+      }
+
+      const [result] = await pool.query(
+        `INSERT INTO leave_types
+           (code, name, is_paid, accrual, entitlement_days, max_carry_over_days, convertible)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          type.code,
+          type.name,
+          type.is_paid,
+          type.accrual,
+          type.entitlement_days,
+          type.max_carry_over_days,
+          type.convertible,
+        ]
+      );
+
+      const created = await leaves.getType(pool, result.insertId);
+
+      res.status(201).json({
+        success: true,
+        message: "Leave type created successfully",
+        data: created,
+      });
+    } catch (error) {
+      console.error("Error creating leave type:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create leave type",
+      });
+    }
+  }
+);
+
+// Get an employee's leave balances for a year (default: own, this year)
+router.get("/balances", async (req, res) => {
+  try {
+    const employeeId = req.query.employee_id || req.user.employee_id;
+    const year = Number(req.query.year || new Date().getFullYear());
+
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_id is required",
+      });
+    }
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({
+        success: false,
+        error: "year must be a valid four-digit year",
+      });
+    }
+    if (!canViewEmployee(req.user, employeeId)) {
+      return forbidden(res);
+    }
+
+    const pool = await getPool();
+    const balances = await leaves.getBalances(pool, employeeId, year);
+
+    res.json({
+      success: true,
+      data: balances,
+      total: balances.length,
+    });
+  } catch (error) {
+    console.error("Error fetching leave balances:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave balances",
+    });
+  }
+});
+
+// Credit a month's leave accrual to every active or on-leave employee
+router.post(
+  "/accruals",
+  authorize(...LEAVE_ADMIN_ROLES),
+  validate(accrueLeave),
+  async (req, res) => {
+    try {
+      const result = await leaves.runAccrual(
+        req.body.year,
+        req.body.month,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Leave accrued successfully",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error accruing leave:", error);
+      sendError(res, error, "Failed to accrue leave");
+    }
+  }
+);
+
+// Close a leave year: carry over, convert to cash or forfeit what is left
+router.post(
+  "/year-end",
+  authorize(...LEAVE_ADMIN_ROLES),
+  validate(closeLeaveYear),
+  async (req, res) => {
+    try {
+      const result = await leaves.closeYear(req.body.year);
+
+      res.json({
+        success: true,
+        message: "Leave year closed successfully",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error closing leave year:", error);
+      sendError(res, error, "Failed to close leave year");
+    }
+  }
+);
+
+// Get leave requests. Employees without a leave role only see their own.
+router.get("/", async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    let employeeId = req.query.employee_id;
+
+    if (!LEAVE_VIEW_ROLES.includes(req.user.role)) {
+      if (!req.user.employee_id) {
+        return forbidden(res);
+      }
+      employeeId = req.user.employee_id;
+    }
+
+    if (req.query.status) {
+      if (!leaves.REQUEST_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${leaves.REQUEST_STATUSES.join(", ")}`,
+        });
+      }
+      where.push("lr.status = ?");
+      params.push(req.query.status);
+    }
+    if (employeeId) {
+      where.push("lr.employee_id = ?");
+      params.push(employeeId);
+    }
+    if (req.query.leave_type_id) {
+      where.push("lr.leave_type_id = ?");
+      params.push(req.query.leave_type_id);
+    }
+    for (const [key, clause] of [
+      ["from", "lr.end_date >= ?"],
+      ["to", "lr.start_date <= ?"],
+    ]) {
+      if (req.query[key] !== undefined) {
+        if (!isDateString(req.query[key])) {
+          return res.status(400).json({
+            success: false,
+            error: `${key} must be in YYYY-MM-DD format`,
+          });
+        }
+        where.push(clause);
+        params.push(req.query[key]);
+      }
+    }
+
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      `SELECT lr.*, lt.code AS leave_code, lt.name AS leave_name, lt.is_paid,
+              e.employee_id AS employee_number, e.first_name, e.last_name
+       FROM leave_requests lr
+       JOIN leave_types lt ON lr.leave_type_id = lt.id
+       JOIN employees e ON lr.employee_id = e.id
+       ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY lr.start_date DESC, lr.id DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(leaves.formatRequest),
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching leave requests:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave requests",
+    });
+  }
+});
+
+// Get a leave request by ID
+router.get("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const request = await leaves.getRequest(pool, req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave request not found",
+      });
+    }
+    if (!canViewEmployee(req.user, request.employee_id)) {
+      return forbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data: request,
+    });
+  } catch (error) {
+    console.error("Error fetching leave request:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch leave request",
+    });
+  }
+});
+
+// File a leave request, for oneself or (leave admins) for any employee
+router.post("/", validate(createLeaveRequest), async (req, res) => {
+  try {
+    const employeeId = req.body.employee_id || req.user.employee_id;
+
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_id is required",
+      });
+    }
+    if (
+      !LEAVE_ADMIN_ROLES.includes(req.user.role) &&
+      !isSelf(req.user, employeeId)
+    ) {
+      return forbidden(res);
+    }
+
+    const pool = await getPool();
+    const request = await leaves.fileRequest(
+      pool,
+      { ...req.body, employee_id: employeeId },
+      req.user
+    );
+    await audit.record(pool, req, {
+      entity: "leave_request",
+      entityId: request.id,
+      action: "insert",
+      after: request,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Leave request filed successfully",
+      data: request,
+    });
+  } catch (error) {
+    console.error("Error filing leave request:", error);
+    sendError(res, error, "Failed to file leave request");
+  }
+});
+
+// Approve or reject a pending request; nobody reviews their own leave
+for (const [action, review] of [
+  ["approve", leaves.approveRequest],
+  ["reject", leaves.rejectRequest],
+]) {
+  router.post(
+    `/:id/${action}`,
+    authorize(...LEAVE_ADMIN_ROLES),
+    validate(reviewLeaveRequest),
+    async (req, res) => {
+      try {
+        const pool = await getPool();
+        const request = await leaves.getRequest(pool, req.params.id);
+
+        if (!request) {
+          return res.status(404).json({
+            success: false,
+            error: "Leave request not found",
+          });
+        }
+        if (isSelf(req.user, request.employee_id)) {
+          return res.status(403).json({
+            success: false,
+            error: "You cannot review your own leave request",
+          });
+        }
+
+        const updated = await review(req.params.id, req, req.body.notes);
+
+        res.json({
+          success: true,
+          message: `Leave request ${updated.status}`,
+          data: updated,
+        });
+      } catch (error) {
+        console.error(`Error trying to ${action} leave request:`, error);
+        sendError(res, error, `Failed to ${action} leave request`);
+      }
+    }
+  );
+}
+
+// Cancel a request. Employees may withdraw their own pending requests;
+// leave admins may also cancel approved ones, restoring the balance.
+router.post("/:id/cancel", validate(reviewLeaveRequest), async (req, res) => {
+  try {
+    const pool = await getPool();
+    const request = await leaves.getRequest(pool, req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave request not found",
+      });
+    }
+
+    const isAdmin = LEAVE_ADMIN_ROLES.includes(req.user.role);
+    if (
+      !isAdmin &&
+      !(isSelf(req.user, request.employee_id) && request.status === "pending")
+    ) {
+      return forbidden(res);
+    }
+
+    const updated = await leaves.cancelRequest(
+      req.params.id,
+      req,
+      req.body.notes
+    );
+
+    res.json({
+      success: true,
+      message: "Leave request cancelled",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("Error cancelling leave request:", error);
+    sendError(res, error, "Failed to cancel leave request");
+  }
+});
+
+module.exports = router;
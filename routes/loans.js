@@ -0,0 +1,272 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const loans = require("../services/loans");
+const audit = require("../services/audit");
+const { SALARY_ROLES, authorize, isSelf } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  createLoan,
+  updateLoan,
+  createLoanEntry,
+} = require("../validators/loans");
+
+function canViewEmployee(user, employeeId) {
+  return SALARY_ROLES.includes(user.role) || isSelf(user, employeeId);
+}
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    error: "Insufficient permissions",
+  });
+}
+
+function sendError(res, error, message) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : message,
+  });
+}
+
+// Get loans. Employees without a payroll role only see their own.
+router.get("/", async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    let employeeId = req.query.employee_id;
+
+    if (!SALARY_ROLES.includes(req.user.role)) {
+      if (!req.user.employee_id) {
+        return forbidden(res);
+      }
+      employeeId = req.user.employee_id;
+    }
+
+    if (employeeId) {
+      where.push("l.employee_id = ?");
+      params.push(employeeId);
+    }
+    if (req.query.status) {
+      if (!loans.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${loans.STATUSES.join(", ")}`,
+        });
+      }
+      where.push("l.status = ?");
+      params.push(req.query.status);
+    }
+    if (req.query.loan_type) {
+      if (!loans.LOAN_TYPES[req.query.loan_type]) {
+        return res.status(400).json({
+          success: false,
+          error: `loan_type must be one of: ${Object.keys(
+            loans.LOAN_TYPES
+          ).join(", ")}`,
+        });
+      }
+      where.push("l.loan_type = ?");
+      params.push(req.query.loan_type);
+    }
+
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      `SELECT l.*, e.employee_id AS employee_number, e.first_name, e.last_name
+       FROM loans l
+       JOIN employees e ON l.employee_id = e.id
+       ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY e.last_name, e.first_name, l.start_date, l.id`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(loans.formatLoan),
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching loans:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch loans",
+    });
+  }
+});
+
+// Get the running ledger of every loan an employee has (default: own)
+router.get("/ledger", async (req, res) => {
+  try {
+    const employeeId = req.query.employee_id || req.user.employee_id;
+
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        error: "employee_id is required",
+      });
+    }
+    if (!canViewEmployee(req.user, employeeId)) {
+      return forbidden(res);
+    }
+
+    const pool = await getPool();
+    const entries = await loans.getLedger(pool, { employeeId });
+
+    res.json({
+      success: true,
+      data: entries,
+      total: entries.length,
+    });
+  } catch (error) {
+    console.error("Error fetching loan ledger:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch loan ledger",
+    });
+  }
+});
+
+// Get a loan with its ledger
+router.get("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const loan = await loans.getLoan(pool, req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        error: "Loan not found",
+      });
+    }
+    if (!canViewEmployee(req.user, loan.employee_id)) {
+      return forbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...loan,
+        ledger: await loans.getLedger(pool, { loanId: loan.id }),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching loan:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch loan",
+    });
+  }
+});
+
+// Grant a loan or cash advance, or carry over one still being paid
+router.post(
+  "/",
+  authorize(...SALARY_ROLES),
+  validate(createLoan),
+  async (req, res) => {
+    const pool = await getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      const loan = await loans.createLoan(connection, req.body, req.user);
+      await audit.record(connection, req, {
+        entity: "loan",
+        entityId: loan.id,
+        action: "insert",
+        after: loan,
+      });
+      await connection.commit();
+
+      res.status(201).json({
+        success: true,
+        message: "Loan created successfully",
+        data: loan,
+      });
+    } catch (error) {
+      await connection.rollback();
+      console.error("Error creating loan:", error);
+      sendError(res, error, "Failed to create loan");
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// Change a loan's amortization, pause or resume its deduction, or cancel it
+router.put(
+  "/:id",
+  authorize(...SALARY_ROLES),
+  validate(updateLoan),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const before = await loans.getLoan(pool, req.params.id);
+
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          error: "Loan not found",
+        });
+      }
+      if (["paid", "cancelled"].includes(before.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot change a ${before.status} loan`,
+        });
+      }
+
+      const fields = Object.keys(req.body);
+      await pool.query(
+        `UPDATE loans SET ${fields
+          .map((field) => `${field} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...fields.map((field) => req.body[field]), before.id]
+      );
+
+      const after = await loans.getLoan(pool, before.id);
+      await audit.record(pool, req, {
+        entity: "loan",
+        entityId: before.id,
+        action: "update",
+        before,
+        after,
+      });
+
+      res.json({
+        success: true,
+        message: "Loan updated successfully",
+        data: after,
+      });
+    } catch (error) {
+      console.error("Error updating loan:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update loan",
+      });
+    }
+  }
+);
+
+// Post a payment made outside payroll or a balance adjustment
+router.post(
+  "/:id/entries",
+  authorize(...SALARY_ROLES),
+  validate(createLoanEntry),
+  async (req, res) => {
+    try {
+      const loan = await loans.recordEntry(req.params.id, req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: "Loan ledger entry posted successfully",
+        data: loan,
+      });
+    } catch (error) {
+      console.error("Error posting loan ledger entry:", error);
+      sendError(res, error, "Failed to post loan ledger entry");
+    }
+  }
+);
+
+module.exports = router;
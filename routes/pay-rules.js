@@ -0,0 +1,90 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const payRules = require("../services/pay-rules");
+const { isDateString } = require("../utilities/dates");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("admin", "payroll_officer"));
+
+// Get all pay rule revisions
+router.get("/", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      "SELECT * FROM pay_rules ORDER BY effective_from DESC"
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching pay rules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch pay rules",
+    });
+  }
+});
+
+// Load a new effective-dated set of premium rates
+router.post("/", authorize("admin"), async (req, res) => {
+  try {
+    const { effective_from, reference, rules } = req.body;
+
+    if (!isDateString(effective_from)) {
+      return res.status(400).json({
+        success: false,
+        error: "effective_from must be in YYYY-MM-DD format",
+      });
+    }
+
+    const errors = payRules.validateRules(rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pay rules",
+        details: errors,
+      });
+    }
+
+    const pool = await getPool();
+    const [existing] = await pool.execute(
+      "SELECT id FROM pay_rules WHERE effective_from = ?",
+      [effective_from]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Pay rules with this effective date already exist",
+      });
+    }
+
+    const [result] = await pool.execute(
+      "INSERT INTO pay_rules (effective_from, reference, rules) VALUES (?, ?, ?)",
+      [effective_from, reference || null, JSON.stringify(rules)]
+    );
+
+    const [newRules] = await pool.execute(
+      "SELECT * FROM pay_rules WHERE id = ?",
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Pay rules created successfully",
+      data: newRules[0],
+    });
+  } catch (error) {
+    console.error("Error creating pay rules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create pay rules",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,490 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const payroll = require("../services/payroll");
+const thirteenthMonth = require("../services/thirteenth-month");
+const loans = require("../services/loans");
+const disbursement = require("../services/disbursement");
+const approval = require("../services/payroll-approval");
+const audit = require("../services/audit");
+const { round2 } = require("../utilities/money");
+const { authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  createDisbursement,
+  createAdjustmentRun,
+  createAdjustment,
+  createReversal,
+} = require("../validators/payroll-runs");
+
+router.use(authorize("admin", "payroll_officer"));
+
+// Get all payroll runs
+router.get("/", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      `SELECT r.*, p.frequency, p.cutoff, p.period_start, p.period_end, p.pay_date
+       FROM payroll_runs r
+       JOIN pay_periods p ON r.pay_period_id = p.id
+       ORDER BY p.period_start DESC, r.id DESC`
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching payroll runs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payroll runs",
+    });
+  }
+});
+
+// Preview each employee's 13th month pay for a year (default: this year).
+// Release it with a run_type "thirteenth_month" run, or merge it into the
+// December payroll by creating that run with include_thirteenth_month.
+router.get("/thirteenth-month", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const rows = await thirteenthMonth.compute(
+      pool,
+      req.query.year || new Date().getFullYear(),
+      req.query.employee_id
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+      totals: {
+        amount: round2(rows.reduce((total, row) => total + row.amount, 0)),
+        non_taxable: round2(
+          rows.reduce((total, row) => total + row.non_taxable, 0)
+        ),
+        taxable: round2(rows.reduce((total, row) => total + row.taxable, 0)),
+      },
+    });
+  } catch (error) {
+    console.error("Error computing 13th month pay:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to compute 13th month pay",
+    });
+  }
+});
+
+// List the banks a disbursement file can be generated for
+router.get("/bank-formats", (req, res) => {
+  const data = Object.values(disbursement.FORMATS).map((format) => ({
+    code: format.code,
+    name: format.name,
+    description: format.description,
+    type: format.type,
+    extension: format.extension,
+    account_lengths: format.account_lengths,
+  }));
+
+  res.json({
+    success: true,
+    data,
+    total: data.length,
+  });
+});
+
+// Get payroll run by ID
+router.get("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const run = await payroll.getRun(pool, req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll run not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    console.error("Error fetching payroll run:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payroll run",
+    });
+  }
+});
+
+// Create a payroll run for a semi-monthly or monthly pay period.
+// run_type "thirteenth_month" opens a standalone 13th month release, and
+// "final_pay" pays off the employees separated by the end of the period.
+router.post("/", async (req, res) => {
+  try {
+    const run = await payroll.createRun(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Payroll run created successfully",
+      data: run,
+    });
+  } catch (error) {
+    console.error("Error creating payroll run:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to create payroll run",
+    });
+  }
+});
+
+// Compute payslips for the run
+router.post("/:id/compute", async (req, res) => {
+  try {
+    const run = await payroll.computeRun(req.params.id, req);
+
+    res.json({
+      success: true,
+      message: "Payroll run computed successfully",
+      data: run,
+    });
+  } catch (error) {
+    console.error("Error computing payroll run:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to compute payroll run",
+    });
+  }
+});
+
+// Move a computed run through review, approval and release, or return it
+// for correction. An approved run locks its pay period.
+router.post(
+  `/:id/:action(${Object.keys(approval.TRANSITIONS).join("|")})`,
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const { before, after } = await approval.transition(
+        pool,
+        req.params.id,
+        req.params.action,
+        req.user
+      );
+      await audit.record(pool, req, {
+        entity: "payroll_run",
+        entityId: after.id,
+        action: "update",
+        before,
+        after,
+      });
+
+      res.json({
+        success: true,
+        message: `Payroll run ${after.status}`,
+        data: after,
+      });
+    } catch (error) {
+      console.error(`Error moving payroll run (${req.params.action}):`, error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status
+          ? error.message
+          : `Failed to ${req.params.action} payroll run`,
+      });
+    }
+  }
+);
+
+// Open an adjustment run in the next pay period to correct a released run
+router.post("/:id/adjust", validate(createAdjustmentRun), async (req, res) => {
+  try {
+    const run = await payroll.createAdjustmentRun(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Adjustment run created successfully",
+      data: run,
+    });
+  } catch (error) {
+    console.error("Error creating adjustment run:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to create adjustment run",
+    });
+  }
+});
+
+// Get the corrections entered on an adjustment run
+router.get("/:id/adjustments", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const rows = await approval.getAdjustments(pool, req.params.id);
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching adjustments:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch adjustments",
+    });
+  }
+});
+
+// Enter a correction on an adjustment run; the run goes back to draft
+// until it is recomputed
+router.post(
+  "/:id/adjustments",
+  validate(createAdjustment),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const adjustment = await approval.addAdjustment(
+        pool,
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Adjustment added successfully",
+        data: adjustment,
+      });
+    } catch (error) {
+      console.error("Error adding adjustment:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to add adjustment",
+      });
+    }
+  }
+);
+
+// Reverse an employee's whole payslip from the run being adjusted
+router.post(
+  "/:id/adjustments/reversals",
+  validate(createReversal),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const rows = await approval.reversePayslip(
+        pool,
+        req.params.id,
+        req.body.employee_id,
+        req.user
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Payslip reversal added successfully",
+        data: rows,
+        total: rows.length,
+      });
+    } catch (error) {
+      console.error("Error reversing payslip:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : "Failed to reverse payslip",
+      });
+    }
+  }
+);
+
+// Remove a correction; removing any line of a reversal removes all of it
+router.delete("/:id/adjustments/:adjustmentId", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const deleted = await approval.deleteAdjustment(
+      pool,
+      req.params.id,
+      req.params.adjustmentId
+    );
+
+    res.json({
+      success: true,
+      message: `${deleted} adjustment line(s) deleted`,
+    });
+  } catch (error) {
+    console.error("Error deleting adjustment:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to delete adjustment",
+    });
+  }
+});
+
+// Get all payslips in a run
+router.get("/:id/payslips", async (req, res) => {
+  try {
+    const payslips = await payroll.getPayslips(req.params.id);
+
+    res.json({
+      success: true,
+      data: payslips,
+      total: payslips.length,
+    });
+  } catch (error) {
+    console.error("Error fetching payslips:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payslips",
+    });
+  }
+});
+
+// Get one employee's payslip in a run
+router.get("/:id/payslips/:employeeId", async (req, res) => {
+  try {
+    const payslips = await payroll.getPayslips(
+      req.params.id,
+      req.params.employeeId
+    );
+
+    if (payslips.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Payslip not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payslips[0],
+    });
+  } catch (error) {
+    console.error("Error fetching payslip:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payslip",
+    });
+  }
+});
+
+// Summarize how a run's net pay is disbursed: each bank's control totals,
+// employees whose accounts a bank file would reject, and employees without
+// bank details who must be paid by check or cash
+router.get("/:id/disbursement", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const run = await payroll.getRun(pool, req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll run not found",
+      });
+    }
+
+    const payees = await disbursement.getPayees(pool, run.id);
+
+    res.json({
+      success: true,
+      data: {
+        payroll_run_id: run.id,
+        status: run.status,
+        pay_date: run.pay_date,
+        ...disbursement.summarize(payees),
+      },
+    });
+  } catch (error) {
+    console.error("Error summarizing disbursement:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to summarize disbursement",
+    });
+  }
+});
+
+// Download a bank's payroll credit file for the run
+router.post(
+  "/:id/disbursement",
+  validate(createDisbursement),
+  async (req, res) => {
+    try {
+      const pool = await getPool();
+      const run = await payroll.getRun(pool, req.params.id);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: "Payroll run not found",
+        });
+      }
+      disbursement.checkRun(run);
+
+      const file = disbursement.buildFile(
+        run,
+        await disbursement.getPayees(pool, run.id),
+        req.body
+      );
+
+      res.attachment(file.filename);
+      res.type("text/plain").send(file.content);
+    } catch (error) {
+      console.error("Error generating disbursement file:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status
+          ? error.message
+          : "Failed to generate disbursement file",
+      });
+    }
+  }
+);
+
+// Delete a payroll run that has not gone to review
+router.delete("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const run = await payroll.getRun(pool, req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll run not found",
+      });
+    }
+
+    if (!payroll.EDITABLE_STATUSES.includes(run.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete a ${run.status} payroll run`,
+      });
+    }
+
+    // Give back loan amortizations the run deducted
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await loans.releaseRun(connection, run.id);
+      await connection.query("DELETE FROM payroll_runs WHERE id = ?", [run.id]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({
+      success: true,
+      message: "Payroll run deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting payroll run:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete payroll run",
+    });
+  }
+});
+
+module.exports = router;
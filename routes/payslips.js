@@ -0,0 +1,220 @@
+const express = require("express");
+const router = express.Router();
+const archiver = require("archiver");
+const { getPool } = require("../dbconfig");
+const payroll = require("../services/payroll");
+const payslips = require("../services/payslips");
+const { SALARY_ROLES, authorize, isSelf } = require("../middleware/auth");
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    error: "Insufficient permissions",
+  });
+}
+
+function checkPasswordScheme(req, res) {
+  const scheme = req.query.password;
+  if (scheme && !payslips.PASSWORD_SCHEMES.includes(scheme)) {
+    res.status(400).json({
+      success: false,
+      error: `password must be one of: ${payslips.PASSWORD_SCHEMES.join(", ")}`,
+    });
+    return false;
+  }
+  return true;
+}
+
+// List payslips, newest first. Employees without a payroll role only see
+// their own, once the run is released.
+router.get("/", async (req, res) => {
+  try {
+    let employeeId = req.query.employee_id;
+    const where = [];
+    const params = [];
+
+    if (!SALARY_ROLES.includes(req.user.role)) {
+      if (!req.user.employee_id) {
+        return forbidden(res);
+      }
+      employeeId = req.user.employee_id;
+      where.push("r.status = 'released'");
+    }
+
+    if (employeeId) {
+      where.push("ps.employee_id = ?");
+      params.push(employeeId);
+    }
+    if (req.query.year) {
+      where.push("YEAR(p.period_end) = ?");
+      params.push(req.query.year);
+    }
+
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      `SELECT ps.payroll_run_id, ps.employee_id, e.employee_id AS employee_number,
+              e.first_name, e.last_name, r.run_type, r.status, p.period_start, p.period_end,
+              p.pay_date, ps.gross_pay, ps.total_deductions, ps.net_pay
+       FROM payslips ps
+       JOIN payroll_runs r ON ps.payroll_run_id = r.id
+       JOIN pay_periods p ON r.pay_period_id = p.id
+       JOIN employees e ON ps.employee_id = e.id
+       ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY p.period_end DESC, r.id DESC, e.last_name, e.first_name`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching payslips:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payslips",
+    });
+  }
+});
+
+// Download every payslip in a run as a ZIP of PDFs, each optionally locked
+// with the employee's birth date (YYYYMMDD) or employee number
+router.get("/:runId.zip", authorize(...SALARY_ROLES), async (req, res) => {
+  try {
+    if (!checkPasswordScheme(req, res)) {
+      return;
+    }
+
+    const pool = await getPool();
+    const run = await payroll.getRun(pool, req.params.runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll run not found",
+      });
+    }
+
+    const rows = await payroll.getPayslips(run.id);
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Payroll run has no payslips",
+      });
+    }
+
+    const scheme = req.query.password;
+    if (scheme) {
+      const missing = rows.filter(
+        (payslip) => !payslips.passwordFor(payslip, scheme)
+      );
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `No ${scheme} on file for: ${missing
+            .map((payslip) => payslip.employee_number)
+            .join(", ")}`,
+        });
+      }
+    }
+
+    const ytd = await payslips.getYearToDate(
+      pool,
+      run,
+      rows.map((payslip) => payslip.employee_id)
+    );
+
+    // Render before streaming so a failure can still be reported as JSON
+    const files = [];
+    for (const payslip of rows) {
+      files.push({
+        name: payslips.filenameFor(run, payslip),
+        pdf: await payslips.generate(
+          req.app,
+          run,
+          payslip,
+          ytd[payslip.employee_id],
+          scheme && payslips.passwordFor(payslip, scheme)
+        ),
+      });
+    }
+
+    const archive = archiver("zip");
+    archive.on("error", (error) => {
+      console.error("Error zipping payslips:", error);
+      res.destroy(error);
+    });
+
+    res.attachment(`payslips-run-${run.id}.zip`);
+    archive.pipe(res);
+    for (const file of files) {
+      archive.append(file.pdf, { name: file.name });
+    }
+    await archive.finalize();
+  } catch (error) {
+    console.error("Error generating payslips:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate payslips",
+    });
+  }
+});
+
+// Download one employee's payslip in a run as a PDF; employees get theirs
+// once the run is released
+router.get("/:runId/:employeeId.pdf", async (req, res) => {
+  try {
+    if (
+      !SALARY_ROLES.includes(req.user.role) &&
+      !isSelf(req.user, req.params.employeeId)
+    ) {
+      return forbidden(res);
+    }
+    if (!checkPasswordScheme(req, res)) {
+      return;
+    }
+
+    const pool = await getPool();
+    const run = await payroll.getRun(pool, req.params.runId);
+    const [payslip] =
+      run && (SALARY_ROLES.includes(req.user.role) || run.status === "released")
+        ? await payroll.getPayslips(run.id, req.params.employeeId)
+        : [];
+
+    if (!payslip) {
+      return res.status(404).json({
+        success: false,
+        error: "Payslip not found",
+      });
+    }
+
+    const scheme = req.query.password;
+    const password = scheme && payslips.passwordFor(payslip, scheme);
+    if (scheme && !password) {
+      return res.status(400).json({
+        success: false,
+        error: `No ${scheme} on file for this employee`,
+      });
+    }
+
+    const ytd = await payslips.getYearToDate(pool, run, [payslip.employee_id]);
+    const pdf = await payslips.generate(
+      req.app,
+      run,
+      payslip,
+      ytd[payslip.employee_id],
+      password
+    );
+
+    res.attachment(payslips.filenameFor(run, payslip));
+    res.type("application/pdf").send(pdf);
+  } catch (error) {
+    console.error("Error generating payslip:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate payslip",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const remittances = require("../services/remittances");
+const { SALARY_ROLES, authorize } = require("../middleware/auth");
+const { validate, sendValidationError } = require("../middleware/validate");
+const { remittanceQuery } = require("../validators/remittances");
+
+router.use(authorize(...SALARY_ROLES));
+
+// Get an agency's contribution list for a month (sss, philhealth or
+// pagibig). format=file downloads the agency's file layout, which is
+// refused with the list of employees missing their member ID.
+router.get("/:agency", validate(remittanceQuery, "query"), async (req, res) => {
+  try {
+    if (!remittances.AGENCIES[req.params.agency]) {
+      return res.status(404).json({
+        success: false,
+        error: `agency must be one of: ${Object.keys(remittances.AGENCIES).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const pool = await getPool();
+    const report = remittances.buildReport(
+      req.params.agency,
+      req.query.month,
+      await remittances.getContributions(pool, req.query.month)
+    );
+
+    if (req.query.format === "json") {
+      return res.json({
+        success: true,
+        data: report,
+      });
+    }
+
+    if (report.errors.length > 0) {
+      return sendValidationError(res, report.errors);
+    }
+
+    const file = remittances.renderFile(report);
+    res.attachment(file.filename);
+    res.type("text/plain").send(file.content);
+  } catch (error) {
+    console.error("Error generating remittance report:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status
+        ? error.message
+        : "Failed to generate remittance report",
+    });
+  }
+});
+
+module.exports = router;
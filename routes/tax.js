@@ -0,0 +1,117 @@
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const tax = require("../services/tax");
+const { isDateString } = require("../utilities/dates");
+const { authorize } = require("../middleware/auth");
+
+router.use(authorize("admin", "payroll_officer"));
+
+// Compute withholding tax on a compensation amount
+router.post("/compute", async (req, res) => {
+  try {
+    const gross = Number(req.body.gross_compensation);
+    if (!Number.isFinite(gross) || gross < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "gross_compensation must be a non-negative number",
+      });
+    }
+
+    const result = await tax.computeForDate(req.body);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error computing withholding tax:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to compute withholding tax",
+    });
+  }
+});
+
+// Get all tax tables
+router.get("/tables", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      "SELECT * FROM tax_tables ORDER BY effective_from DESC"
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching tax tables:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch tax tables",
+    });
+  }
+});
+
+// Load a new effective-dated tax table
+router.post("/tables", authorize("admin"), async (req, res) => {
+  try {
+    const { effective_from, description, brackets } = req.body;
+
+    if (!isDateString(effective_from)) {
+      return res.status(400).json({
+        success: false,
+        error: "effective_from must be in YYYY-MM-DD format",
+      });
+    }
+
+    const missing = tax.TAX_PERIODS.filter(
+      (period) => !brackets || !Array.isArray(brackets[period])
+    );
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `brackets must define: ${missing.join(", ")}`,
+      });
+    }
+
+    const pool = await getPool();
+    const [existing] = await pool.execute(
+      "SELECT id FROM tax_tables WHERE effective_from = ?",
+      [effective_from]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "A tax table with this effective date already exists",
+      });
+    }
+
+    const [result] = await pool.execute(
+      "INSERT INTO tax_tables (effective_from, description, brackets) VALUES (?, ?, ?)",
+      [effective_from, description || null, JSON.stringify(brackets)]
+    );
+
+    const [newTable] = await pool.execute(
+      "SELECT * FROM tax_tables WHERE id = ?",
+      [result.insertId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Tax table created successfully",
+      data: newTable[0],
+    });
+  } catch (error) {
+    console.error("Error creating tax table:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create tax table",
+    });
+  }
+});
+
+module.exports = router;
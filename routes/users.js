@@ -1,9 +1,239 @@
-var express = require("express");
-var router = express.Router();
+const express = require("express");
+const router = express.Router();
+const { getPool } = require("../dbconfig");
+const auth = require("../services/auth");
 
-/* GET users listing. */
-router.get("/", function (req, res, next) {
-  res.send("respond with a resource");
+const MIN_PASSWORD_LENGTH = 8;
+
+// Get all users
+router.get("/", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.execute("SELECT * FROM users ORDER BY email");
+
+    res.json({
+      success: true,
+      data: rows.map(auth.publicUser),
+      total: rows.length,
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch users",
+    });
+  }
+});
+
+// Get user by ID
+router.get("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.execute("SELECT * FROM users WHERE id = ?", [
+      req.params.id,
+    ]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: auth.publicUser(rows[0]),
+    });
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch user",
+    });
+  }
+});
+
+// Create new user
+router.post("/", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const { email, name, password, role, employee_id } = req.body;
+
+    if (!email || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        error: "Email, password and role are required",
+      });
+    }
+
+    if (!auth.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${auth.ROLES.join(", ")}`,
+      });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const [existingUser] = await pool.execute(
+      "SELECT id FROM users WHERE email = ?",
+      [email]
+    );
+
+    if (existingUser.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "User already exists",
+      });
+    }
+
+    const [result] = await pool.execute(
+      "INSERT INTO users (email, name, password_hash, role, employee_id) VALUES (?, ?, ?, ?, ?)",
+      [
+        email,
+        name || null,
+        await auth.hashPassword(String(password)),
+        role,
+        employee_id || null,
+      ]
+    );
+
+    const [newUser] = await pool.execute("SELECT * FROM users WHERE id = ?", [
+      result.insertId,
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      data: auth.publicUser(newUser[0]),
+    });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create user",
+    });
+  }
+});
+
+// Update user role, status or password
+router.put("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const { name, password, role, employee_id, is_active } = req.body;
+
+    const [existingUser] = await pool.execute(
+      "SELECT * FROM users WHERE id = ?",
+      [req.params.id]
+    );
+
+    if (existingUser.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    if (role !== undefined && !auth.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${auth.ROLES.join(", ")}`,
+      });
+    }
+
+    if (
+      password !== undefined &&
+      String(password).length < MIN_PASSWORD_LENGTH
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = existingUser[0];
+    await pool.execute(
+      `UPDATE users
+       SET name = ?, role = ?, employee_id = ?, is_active = ?, password_hash = ?
+       WHERE id = ?`,
+      [
+        name !== undefined ? name : user.name,
+        role !== undefined ? role : user.role,
+        employee_id !== undefined ? employee_id : user.employee_id,
+        is_active !== undefined ? Boolean(is_active) : Boolean(user.is_active),
+        password !== undefined
+          ? await auth.hashPassword(String(password))
+          : user.password_hash,
+        req.params.id,
+      ]
+    );
+
+    // Force re-login when credentials or access are changed
+    if (password !== undefined || is_active === false) {
+      await pool.execute(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [req.params.id]
+      );
+    }
+
+    const [updatedUser] = await pool.execute(
+      "SELECT * FROM users WHERE id = ?",
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      data: auth.publicUser(updatedUser[0]),
+    });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update user",
+    });
+  }
+});
+
+// Delete user
+router.delete("/:id", async (req, res) => {
+  try {
+    const pool = await getPool();
+
+    if (String(req.user.id) === String(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot delete your own account",
+      });
+    }
+
+    const [result] = await pool.execute("DELETE FROM users WHERE id = ?", [
+      req.params.id,
+    ]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete user",
+    });
+  }
 });
 
 module.exports = router;
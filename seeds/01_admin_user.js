@@ -0,0 +1,31 @@
+const bcrypt = require("bcryptjs");
+
+// Bootstrap the first administrator from ADMIN_EMAIL / ADMIN_PASSWORD
+module.exports = {
+  production: true,
+
+  async run(connection) {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      console.warn(
+        "⚠️ No ADMIN_EMAIL/ADMIN_PASSWORD set, no admin user was created"
+      );
+      return;
+    }
+
+    const [existing] = await connection.query(
+      "SELECT id FROM users WHERE email = ?",
+      [ADMIN_EMAIL]
+    );
+    if (existing.length > 0) {
+      console.log(`Note: admin user ${ADMIN_EMAIL} already exists`);
+      return;
+    }
+
+    await connection.query(
+      "INSERT INTO users (email, name, password_hash, role) VALUES (?, ?, ?, 'admin')",
+      [ADMIN_EMAIL, "Administrator", await bcrypt.hash(ADMIN_PASSWORD, 12)]
+    );
+    console.log(`✅ Admin user ${ADMIN_EMAIL} created`);
+  },
+};
@@ -0,0 +1,40 @@
+// Demo departments and employees for local development only
+module.exports = {
+  production: false,
+
+  async run(connection) {
+    const [departments] = await connection.query(
+      "SELECT COUNT(*) AS count FROM departments"
+    );
+    if (departments[0].count === 0) {
+      await connection.query(`
+        INSERT INTO departments (name, description) VALUES
+        ('Human Resources', 'Manages employee relations and policies'),
+        ('Information Technology', 'Handles technology infrastructure and development'),
+        ('Finance', 'Manages financial operations and accounting'),
+        ('Marketing', 'Handles marketing and promotional activities'),
+        ('Operations', 'Manages day-to-day business operations')
+      `);
+      console.log("✅ Sample departments inserted");
+    }
+
+    const [employees] = await connection.query(
+      "SELECT COUNT(*) AS count FROM employees"
+    );
+    if (employees[0].count === 0) {
+      await connection.query(`
+        INSERT INTO employees (employee_id, first_name, last_name, email, phone, department_id, position, salary, hire_date)
+        SELECT v.employee_id, v.first_name, v.last_name, v.email, v.phone, d.id, v.position, v.salary, v.hire_date
+        FROM (
+          SELECT 'EMP001' AS employee_id, 'Juan' AS first_name, 'Dela Cruz' AS last_name, 'juan.delacruz@manilapayroll.com' AS email, '+63-912-345-6789' AS phone, 'Human Resources' AS department, 'HR Manager' AS position, 75000.00 AS salary, '2023-01-15' AS hire_date
+          UNION ALL SELECT 'EMP002', 'Maria', 'Santos', 'maria.santos@manilapayroll.com', '+63-917-234-5678', 'Information Technology', 'Senior Developer', 85000.00, '2023-02-01'
+          UNION ALL SELECT 'EMP003', 'Jose', 'Rizal', 'jose.rizal@manilapayroll.com', '+63-918-345-6789', 'Finance', 'Finance Analyst', 65000.00, '2023-03-10'
+          UNION ALL SELECT 'EMP004', 'Ana', 'Garcia', 'ana.garcia@manilapayroll.com', '+63-919-456-7890', 'Marketing', 'Marketing Specialist', 60000.00, '2023-04-05'
+          UNION ALL SELECT 'EMP005', 'Pedro', 'Morales', 'pedro.morales@manilapayroll.com', '+63-920-567-8901', 'Operations', 'Operations Manager', 80000.00, '2023-05-20'
+        ) v
+        LEFT JOIN departments d ON d.name = v.department
+      `);
+      console.log("✅ Sample employees inserted");
+    }
+  },
+};
@@ -0,0 +1,563 @@
+const { parse } = require("csv-parse/sync");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const holidays = require("./holidays");
+const {
+  toDateString,
+  isDateString,
+  toDateTimeString,
+  isDateTimeString,
+  addDays,
+} = require("../utilities/dates");
+
+const PUNCH_TYPES = ["in", "out"];
+const SOURCES = ["manual", "biometric"];
+
+// A punch belongs to the work day whose shift starts within the next
+// WINDOW_LEAD_MINUTES, so night shifts that end after midnight stay on
+// the day they started.
+const WINDOW_LEAD_MINUTES = 4 * 60;
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_RANGE_DAYS = 62;
+
+// Night-shift hours under Art. 86 of the Labor Code: 10pm to 6am
+const NIGHT_BEFORE_MIDNIGHT = 2 * 60;
+const NIGHT_AFTER_MIDNIGHT = 6 * 60;
+
+// "HH:MM[:SS]" to minutes after midnight
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Wall-clock "YYYY-MM-DD HH:MM:SS" to minutes since the epoch, ignoring
+// time zones so that shifts never move with the server's zone
+function dateTimeToMinutes(value) {
+  const [date, time = "00:00:00"] = toDateTimeString(value).split(" ");
+  const [year, month, day] = date.split("-").map(Number);
+  return (
+    Date.UTC(year, month - 1, day) / 60000 + timeToMinutes(time.slice(0, 5))
+  );
+}
+
+function dayStartMinutes(date) {
+  return dateTimeToMinutes(`${date} 00:00:00`);
+}
+
+function minutesToDate(minutes) {
+  return new Date(minutes * 60000).toISOString().slice(0, 10);
+}
+
+function overlap(startA, endA, startB, endB) {
+  return Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+}
+
+function normalizeSchedule(row) {
+  return {
+    ...row,
+    rest_days:
+      typeof row.rest_days === "string"
+        ? JSON.parse(row.rest_days)
+        : row.rest_days || [],
+    grace_minutes: Number(row.grace_minutes) || 0,
+  };
+}
+
+async function getSchedules(db) {
+  const [rows] = await db.query(
+    "SELECT * FROM work_schedules ORDER BY is_default DESC, name"
+  );
+  return rows.map(normalizeSchedule);
+}
+
+// The employee's own schedule, or the default one
+function scheduleFor(employee, schedules) {
+  const schedule =
+    schedules.find((item) => item.id === employee.work_schedule_id) ||
+    schedules.find((item) => item.is_default) ||
+    schedules[0];
+  if (!schedule) {
+    throw httpError(400, "No work schedule is defined");
+  }
+  return schedule;
+}
+
+function isRestDay(date, schedule) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return schedule.rest_days.includes(weekday);
+}
+
+// Scheduled shift, break and rest-day flag of one calendar day, in
+// epoch minutes. Shifts and breaks that wrap past midnight end next day.
+function shiftOn(date, schedule) {
+  const dayStart = dayStartMinutes(date);
+  const timeIn = timeToMinutes(schedule.time_in);
+  let timeOut = timeToMinutes(schedule.time_out);
+  if (timeOut <= timeIn) {
+    timeOut += MINUTES_PER_DAY;
+  }
+
+  let breakStart = null;
+  let breakEnd = null;
+  if (schedule.break_start && schedule.break_end) {
+    breakStart = timeToMinutes(schedule.break_start);
+    breakEnd = timeToMinutes(schedule.break_end);
+    if (breakStart < timeIn) {
+      breakStart += MINUTES_PER_DAY;
+    }
+    if (breakEnd <= breakStart) {
+      breakEnd += MINUTES_PER_DAY;
+    }
+  }
+
+  return {
+    date,
+    rest_day: isRestDay(date, schedule),
+    start: dayStart + timeIn,
+    end: dayStart + timeOut,
+    break_start: breakStart === null ? null : dayStart + breakStart,
+    break_end: breakEnd === null ? null : dayStart + breakEnd,
+  };
+}
+
+function workDateOf(punchedAt, schedule) {
+  return minutesToDate(
+    dateTimeToMinutes(punchedAt) -
+      timeToMinutes(schedule.time_in) +
+      WINDOW_LEAD_MINUTES
+  );
+}
+
+// Group punches into work days. Time in is the first "in" punch (or the
+// first punch), time out the last "out" punch (or the last punch).
+function groupPunches(punches, schedule) {
+  const days = new Map();
+  const sorted = [...punches].sort(
+    (a, b) => dateTimeToMinutes(a.punched_at) - dateTimeToMinutes(b.punched_at)
+  );
+
+  for (const punch of sorted) {
+    const date = workDateOf(punch.punched_at, schedule);
+    if (!days.has(date)) {
+      days.set(date, []);
+    }
+    days.get(date).push(punch);
+  }
+
+  return days;
+}
+
+function breakOverlap(shift, start, end) {
+  if (shift.break_start === null) {
+    return 0;
+  }
+  return overlap(start, end, shift.break_start, shift.break_end);
+}
+
+// Minutes of start..end that fall within night-shift hours (10pm-6am)
+function nightMinutes(start, end) {
+  let total = 0;
+  const firstDay = Math.floor(start / MINUTES_PER_DAY);
+  const lastDay = Math.floor(end / MINUTES_PER_DAY) + 1;
+  for (let day = firstDay; day <= lastDay; day++) {
+    const midnight = day * MINUTES_PER_DAY;
+    total += overlap(
+      start,
+      end,
+      midnight - NIGHT_BEFORE_MIDNIGHT,
+      midnight + NIGHT_AFTER_MIDNIGHT
+    );
+  }
+  return total;
+}
+
+// Worked minutes of start..end, less the scheduled break
+function workedMinutes(shift, start, end) {
+  if (end <= start) {
+    return { minutes: 0, night: 0 };
+  }
+  let night = nightMinutes(start, end);
+  if (breakOverlap(shift, start, end) > 0) {
+    night -= nightMinutes(
+      Math.max(start, shift.break_start),
+      Math.min(end, shift.break_end)
+    );
+  }
+  return { minutes: end - start - breakOverlap(shift, start, end), night };
+}
+
+// Regular, late, undertime, overtime, rest-day and night-shift minutes for
+// one day. On rest days the first shift-length of work is rest-day time and
+// the rest is overtime; on holidays tardiness and undertime do not apply.
+// leave is the approved leave covering the day, if any.
+function computeDay(date, punches, schedule, holidays = [], leave = null) {
+  const shift = shiftOn(date, schedule);
+  const ins = punches.filter((punch) => punch.punch_type === "in");
+  const outs = punches.filter((punch) => punch.punch_type === "out");
+  const first = ins[0] || punches[0];
+  const last = outs[outs.length - 1] || punches[punches.length - 1];
+
+  const day = {
+    work_date: date,
+    rest_day: shift.rest_day,
+    holidays: holidays.map(({ name, type }) => ({ name, type })),
+    leave: null,
+    time_in: first ? toDateTimeString(first.punched_at) : null,
+    time_out: last && last !== first ? toDateTimeString(last.punched_at) : null,
+    punches: punches.length,
+    status: "absent",
+    regular_minutes: 0,
+    late_minutes: 0,
+    undertime_minutes: 0,
+    overtime_minutes: 0,
+    rest_day_minutes: 0,
+    night_minutes: 0,
+    overtime_night_minutes: 0,
+  };
+
+  // Leave only covers scheduled workdays that are not holidays
+  if (leave && !shift.rest_day && holidays.length === 0) {
+    day.leave = leave;
+  }
+
+  if (punches.length === 0) {
+    if (shift.rest_day) {
+      day.status = "rest_day";
+    } else if (holidays.length > 0) {
+      day.status = "holiday";
+    } else if (day.leave) {
+      day.status = "on_leave";
+    }
+    return day;
+  }
+  if (!day.time_out) {
+    day.status = "incomplete";
+    return day;
+  }
+
+  const timeIn = dateTimeToMinutes(day.time_in);
+  const timeOut = dateTimeToMinutes(day.time_out);
+  if (timeOut <= timeIn) {
+    day.status = "incomplete";
+    return day;
+  }
+  day.status = "present";
+
+  if (shift.rest_day) {
+    const shiftLength = workedMinutes(shift, shift.start, shift.end).minutes;
+    const cutoff =
+      timeIn + shiftLength + breakOverlap(shift, timeIn, timeIn + shiftLength);
+    const restDay = workedMinutes(shift, timeIn, Math.min(timeOut, cutoff));
+    const overtime = workedMinutes(shift, cutoff, timeOut);
+
+    day.rest_day_minutes = restDay.minutes;
+    day.night_minutes = restDay.night;
+    day.overtime_minutes = overtime.minutes;
+    day.overtime_night_minutes = overtime.night;
+    return day;
+  }
+
+  const regular = workedMinutes(
+    shift,
+    Math.max(timeIn, shift.start),
+    Math.min(timeOut, shift.end)
+  );
+  day.regular_minutes = regular.minutes;
+  day.night_minutes = regular.night;
+
+  if (holidays.length === 0 && timeIn > shift.start + schedule.grace_minutes) {
+    const lateUntil = Math.min(timeIn, shift.end);
+    day.late_minutes =
+      lateUntil - shift.start - breakOverlap(shift, shift.start, lateUntil);
+  }
+
+  if (holidays.length === 0 && timeOut < shift.end) {
+    const leftAt = Math.max(timeOut, shift.start);
+    day.undertime_minutes =
+      shift.end - leftAt - breakOverlap(shift, leftAt, shift.end);
+  }
+
+  const overtimeStart = Math.max(shift.end, timeIn);
+  day.overtime_minutes = Math.max(0, timeOut - overtimeStart);
+  day.overtime_night_minutes =
+    day.overtime_minutes > 0 ? nightMinutes(overtimeStart, timeOut) : 0;
+  return day;
+}
+
+// Daily time record of one employee for a date range, with totals.
+// holidays and leaves map YYYY-MM-DD to the holidays and approved leave
+// of each day. Days before the employee's hire date are left out.
+function buildDtr(
+  employee,
+  punches,
+  schedule,
+  { from, to, holidays = new Map(), leaves = new Map() }
+) {
+  const grouped = groupPunches(punches, schedule);
+  const hireDate = toDateString(employee.hire_date);
+  const days = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (hireDate && date < hireDate) {
+      continue;
+    }
+    days.push(
+      computeDay(
+        date,
+        grouped.get(date) || [],
+        schedule,
+        holidays.get(date) || [],
+        leaves.get(date) || null
+      )
+    );
+  }
+
+  return {
+    employee_id: employee.id,
+    employee_number: employee.employee_id,
+    first_name: employee.first_name,
+    last_name: employee.last_name,
+    from,
+    to,
+    schedule: {
+      id: schedule.id,
+      name: schedule.name,
+      time_in: schedule.time_in,
+      time_out: schedule.time_out,
+    },
+    days,
+    totals: summarizeDays(days),
+  };
+}
+
+function summarizeDays(days) {
+  const sum = (field) => days.reduce((total, day) => total + day[field], 0);
+  const count = (predicate) => days.filter(predicate).length;
+  const sumLeave = (predicate) =>
+    days.filter(predicate).reduce((total, day) => total + day.leave.days, 0);
+
+  return {
+    days_present: count((day) => day.status === "present" && !day.rest_day),
+    days_absent: count((day) => day.status === "absent"),
+    days_incomplete: count((day) => day.status === "incomplete"),
+    days_on_leave: sumLeave((day) => day.status === "on_leave"),
+    unpaid_leave_days: sumLeave(
+      (day) => day.status === "on_leave" && !day.leave.is_paid
+    ),
+    holidays_not_worked: count((day) => day.status === "holiday"),
+    rest_days_worked: count((day) => day.status === "present" && day.rest_day),
+    regular_hours: round2(sum("regular_minutes") / 60),
+    late_minutes: sum("late_minutes"),
+    undertime_minutes: sum("undertime_minutes"),
+    overtime_hours: round2(sum("overtime_minutes") / 60),
+    rest_day_hours: round2(sum("rest_day_minutes") / 60),
+    night_hours: round2(sum("night_minutes") / 60),
+    overtime_night_hours: round2(sum("overtime_night_minutes") / 60),
+  };
+}
+
+// Punch rows with wall-clock times rather than Date objects
+function formatPunch(row) {
+  return { ...row, punched_at: toDateTimeString(row.punched_at) };
+}
+
+// Work-day range from ?from=&to= or from a pay period's cutoff
+async function resolveRange(db, query) {
+  if (query.pay_period_id) {
+    const [rows] = await db.query(
+      "SELECT period_start, period_end FROM pay_periods WHERE id = ?",
+      [query.pay_period_id]
+    );
+    if (rows.length === 0) {
+      throw httpError(404, "Pay period not found");
+    }
+    return {
+      from: toDateString(rows[0].period_start),
+      to: toDateString(rows[0].period_end),
+    };
+  }
+
+  const { from, to } = query;
+  if (!isDateString(from) || !isDateString(to)) {
+    throw httpError(
+      400,
+      "from and to (YYYY-MM-DD) or pay_period_id are required"
+    );
+  }
+  if (from > to) {
+    throw httpError(400, "from must not be after to");
+  }
+  if (addDays(from, MAX_RANGE_DAYS) <= to) {
+    throw httpError(400, `The range may span at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { from, to };
+}
+
+// Punches of the given employees that can fall on work days from..to
+async function getPunches(db, employeeIds, from, to) {
+  if (employeeIds.length === 0) {
+    return [];
+  }
+  const [rows] = await db.query(
+    `SELECT * FROM attendance_punches
+     WHERE employee_id IN (?) AND punched_at >= ? AND punched_at < ?
+     ORDER BY punched_at`,
+    [employeeIds, `${addDays(from, -1)} 00:00:00`, `${addDays(to, 2)} 00:00:00`]
+  );
+  return rows;
+}
+
+// Approved leave per employee, as a map of YYYY-MM-DD to the leave taken
+async function getLeaveCalendars(db, employeeIds, from, to) {
+  const calendars = new Map();
+  if (employeeIds.length === 0) {
+    return calendars;
+  }
+
+  const [rows] = await db.query(
+    `SELECT lr.employee_id, lr.start_date, lr.end_date, lr.half_day,
+            lt.code, lt.is_paid
+     FROM leave_requests lr
+     JOIN leave_types lt ON lr.leave_type_id = lt.id
+     WHERE lr.employee_id IN (?) AND lr.status = 'approved'
+       AND lr.start_date <= ? AND lr.end_date >= ?`,
+    [employeeIds, to, from]
+  );
+
+  for (const row of rows) {
+    if (!calendars.has(row.employee_id)) {
+      calendars.set(row.employee_id, new Map());
+    }
+    const calendar = calendars.get(row.employee_id);
+    const end = toDateString(row.end_date);
+    for (
+      let date = toDateString(row.start_date);
+      date <= end;
+      date = addDays(date, 1)
+    ) {
+      calendar.set(date, {
+        code: row.code,
+        is_paid: Boolean(row.is_paid),
+        days: row.half_day ? 0.5 : 1,
+      });
+    }
+  }
+  return calendars;
+}
+
+// DTRs for the given employees; punches outside from..to are dropped
+// once they have been assigned to a work day
+async function getDtrs(db, employees, from, to) {
+  const schedules = await getSchedules(db);
+  const calendar = await holidays.getCalendar(db, from, to);
+  const employeeIds = employees.map((employee) => employee.id);
+  const punches = await getPunches(db, employeeIds, from, to);
+  const leaves = await getLeaveCalendars(db, employeeIds, from, to);
+
+  return employees.map((employee) =>
+    buildDtr(
+      employee,
+      punches.filter((punch) => punch.employee_id === employee.id),
+      scheduleFor(employee, schedules),
+      {
+        from,
+        to,
+        holidays: calendar,
+        leaves: leaves.get(employee.id),
+      }
+    )
+  );
+}
+
+// Parse a biometric CSV export. Accepts employee_id (the employee number)
+// plus either punched_at or separate date and time columns, and optional
+// type (in/out, or 0/1 as most devices write it) and device columns.
+function parsePunchFile(buffer) {
+  let records;
+  try {
+    records = parse(buffer, {
+      bom: true,
+      columns: (headers) =>
+        headers.map((header) =>
+          String(header)
+            .trim()
+            .toLowerCase()
+            .replace(/[\s.-]+/g, "_")
+        ),
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw httpError(400, `The file is not a readable CSV: ${error.message}`);
+  }
+
+  return records.map((record, index) => {
+    const row = index + 2;
+    const errors = [];
+    const employeeNumber =
+      record.employee_id || record.employee_no || record.emp_no || "";
+    const punchedAt = toPunchTime(record);
+    const type = toPunchType(record.type || record.punch_type || record.state);
+
+    if (!employeeNumber) {
+      errors.push({ field: "employee_id", message: "employee_id is required" });
+    }
+    if (!punchedAt) {
+      errors.push({
+        field: "punched_at",
+        message: "punched_at must be a date and time (YYYY-MM-DD HH:MM)",
+      });
+    }
+    if (type === undefined) {
+      errors.push({ field: "type", message: "type must be in or out" });
+    }
+
+    return {
+      row,
+      employee_number: employeeNumber,
+      punched_at: punchedAt,
+      punch_type: type || null,
+      device_id: record.device || record.device_id || null,
+      errors,
+    };
+  });
+}
+
+function toPunchTime(record) {
+  const value =
+    record.punched_at ||
+    record.timestamp ||
+    (record.date && record.time ? `${record.date} ${record.time}` : "");
+  return isDateTimeString(value) ? toDateTimeString(value) : null;
+}
+
+// undefined marks an unrecognized type
+function toPunchType(value) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (["in", "0", "check_in", "c/in"].includes(normalized)) {
+    return "in";
+  }
+  if (["out", "1", "check_out", "c/out"].includes(normalized)) {
+    return "out";
+  }
+  return undefined;
+}
+
+module.exports = {
+  PUNCH_TYPES,
+  SOURCES,
+  normalizeSchedule,
+  getSchedules,
+  scheduleFor,
+  isRestDay,
+  computeDay,
+  buildDtr,
+  resolveRange,
+  formatPunch,
+  getDtrs,
+  parsePunchFile,
+};
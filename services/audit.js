@@ -0,0 +1,128 @@
+const { getPool } = require("../dbconfig");
+const { toDateString } = require("../utilities/dates");
+
+const ENTITIES = [
+  "employee",
+  "department",
+  "leave_request",
+  "loan",
+  "employee_earning",
+  "payroll_run",
+];
+const ACTIONS = ["insert", "update", "delete", "restore", "purge"];
+
+// Make a row JSON-safe: Dates become strings, DECIMAL strings stay as-is
+function snapshot(row) {
+  if (!row) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(row));
+}
+
+// Fields whose value differs between two snapshots
+function changedFields(before, after) {
+  if (!before || !after) {
+    return null;
+  }
+  return Object.keys({ ...before, ...after }).filter(
+    (key) =>
+      key !== "updated_at" &&
+      JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+// Record one change made on behalf of a request
+async function record(db, req, { entity, entityId, action, before, after }) {
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+  const changed = changedFields(beforeSnapshot, afterSnapshot);
+
+  // Nothing actually changed on update
+  if (action === "update" && changed && changed.length === 0) {
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO audit_logs
+       (entity, entity_id, action, actor_id, actor_email, request_id, ip_address,
+        before_data, after_data, changed_fields)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entity,
+      entityId,
+      action,
+      req.user ? req.user.id : null,
+      req.user ? req.user.email : null,
+      req.id || null,
+      req.ip || null,
+      beforeSnapshot ? JSON.stringify(beforeSnapshot) : null,
+      afterSnapshot ? JSON.stringify(afterSnapshot) : null,
+      changed ? JSON.stringify(changed) : null,
+    ]
+  );
+}
+
+// Query the audit trail with optional entity, actor and date filters
+async function search(filters) {
+  const where = [];
+  const params = [];
+
+  if (filters.entity) {
+    where.push("entity = ?");
+    params.push(filters.entity);
+  }
+  if (filters.entity_id) {
+    where.push("entity_id = ?");
+    params.push(filters.entity_id);
+  }
+  if (filters.action) {
+    where.push("action = ?");
+    params.push(filters.action);
+  }
+  if (filters.actor_id) {
+    where.push("actor_id = ?");
+    params.push(filters.actor_id);
+  }
+  if (filters.actor) {
+    where.push("actor_email = ?");
+    params.push(filters.actor);
+  }
+  if (filters.request_id) {
+    where.push("request_id = ?");
+    params.push(filters.request_id);
+  }
+  if (filters.from) {
+    where.push("created_at >= ?");
+    params.push(toDateString(filters.from));
+  }
+  if (filters.to) {
+    where.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(toDateString(filters.to));
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM audit_logs ${whereSql}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const [count] = await pool.query(
+    `SELECT COUNT(*) AS total FROM audit_logs ${whereSql}`,
+    params
+  );
+
+  return { rows, total: count[0].total, page, limit };
+}
+
+module.exports = {
+  ENTITIES,
+  ACTIONS,
+  changedFields,
+  record,
+  search,
+};
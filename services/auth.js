@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { getPool } = require("../dbconfig");
+const httpError = require("../utilities/httperror");
+
+const ROLES = ["admin", "payroll_officer", "hr", "viewer", "employee"];
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+const BCRYPT_ROUNDS = 12;
+
+// Every cluster worker, and the server after a restart, must verify tokens
+// with the same secret; only development falls back to a random one
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+  console.warn(
+    "⚠️ JWT_SECRET is not set, using a random secret. Tokens will not survive a restart."
+  );
+  jwtSecret = crypto.randomBytes(32).toString("hex");
+}
+
+let dummyHash;
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Refresh tokens are opaque; only their SHA-256 digest is stored
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    employee_id: user.employee_id,
+    is_active: Boolean(user.is_active),
+    last_login_at: user.last_login_at,
+    created_at: user.created_at,
+  };
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, role: user.role, employee_id: user.employee_id },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function verifyAccessToken(token) {
+  return jwt.verify(token, jwtSecret);
+}
+
+// Issue an access token and a new refresh token for a user
+async function issueTokens(db, user) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000);
+
+  await db.query(
+    "INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [user.id, hashToken(refreshToken), expiresAt]
+  );
+
+  return {
+    access_token: signAccessToken(user),
+    token_type: "Bearer",
+    expires_in: ACCESS_TOKEN_TTL,
+    refresh_token: refreshToken,
+    refresh_expires_at: expiresAt.toISOString(),
+    user: publicUser(user),
+  };
+}
+
+async function login(email, password) {
+  if (!email || !password) {
+    throw httpError(400, "Email and password are required");
+  }
+
+  const pool = await getPool();
+  const [users] = await pool.query("SELECT * FROM users WHERE email = ?", [
+    email,
+  ]);
+  const user = users[0];
+
+  // Compare even when the user is missing so response timing does not leak accounts
+  if (!user && !dummyHash) {
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  const valid = await bcrypt.compare(
+    String(password),
+    user ? user.password_hash : dummyHash
+  );
+
+  if (!user || !valid || !user.is_active) {
+    throw httpError(401, "Invalid email or password");
+  }
+
+  await pool.query("UPDATE users SET last_login_at = NOW() WHERE id = ?", [
+    user.id,
+  ]);
+
+  return issueTokens(pool, user);
+}
+
+// Rotate a refresh token: the old one is revoked and a new pair issued
+async function refresh(refreshToken) {
+  if (!refreshToken) {
+    throw httpError(400, "Refresh token is required");
+  }
+
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT rt.id AS token_id, u.*
+     FROM refresh_tokens rt
+     JOIN users u ON rt.user_id = u.id
+     WHERE rt.token_hash = ? AND rt.revoked_at IS NULL AND rt.expires_at > NOW()`,
+    [hashToken(refreshToken)]
+  );
+
+  if (rows.length === 0 || !rows[0].is_active) {
+    throw httpError(401, "Invalid or expired refresh token");
+  }
+
+  // Only one of two concurrent refreshes with the same token gets through
+  const { token_id, ...user } = rows[0];
+  const [result] = await pool.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [token_id]
+  );
+  if (result.affectedRows === 0) {
+    throw httpError(401, "Invalid or expired refresh token");
+  }
+
+  return issueTokens(pool, user);
+}
+
+async function logout(refreshToken) {
+  if (!refreshToken) {
+    return;
+  }
+
+  const pool = await getPool();
+  await pool.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL",
+    [hashToken(refreshToken)]
+  );
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  publicUser,
+  verifyAccessToken,
+  login,
+  refresh,
+  logout,
+};
@@ -0,0 +1,365 @@
+const { stringify } = require("csv-stringify/sync");
+const httpError = require("../utilities/httperror");
+const { round2, formatMoney } = require("../utilities/money");
+const { toDateString } = require("../utilities/dates");
+const patterns = require("../validators/patterns");
+const { COMPANY, toFileName } = require("./company");
+const { HEADCOUNT_STATUSES, getSeparationDates } = require("./employees");
+const {
+  REPORTABLE_STATUSES,
+  CONTRIBUTION_CODES,
+  ABSENCE_CODES,
+} = require("./payroll");
+const tax = require("./tax");
+const earnings = require("./earnings");
+const thirteenthMonth = require("./thirteenth-month");
+const separation = require("./separation");
+const pdf = require("./pdf");
+
+// Alphalist schedules of the 1604-C: employees separated before December 31,
+// and employees as of December 31 with no previous employer in the year
+const SCHEDULES = {
+  separated: "7.1",
+  current: "7.3",
+};
+
+// A TIN split into its 9-digit number and branch code
+function splitTin(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  return {
+    tin: digits.slice(0, 9),
+    branch: digits.slice(9).padStart(4, "0"),
+  };
+}
+
+// MM/DD/YYYY, as BIR forms and files write dates
+function formatBirDate(date) {
+  const [year, month, day] = toDateString(date).split("-");
+  return `${month}/${day}/${year}`;
+}
+
+// One employee's Form 2316 figures for the year, from their payslips'
+// column totals (employee) and line totals by code (lines)
+function buildCertificate(year, employee, lines, context) {
+  const total = (predicate) =>
+    round2(
+      lines
+        .filter(predicate)
+        .reduce((sum, line) => sum + Number(line.amount), 0)
+    );
+  const byCode = (...codes) => total((line) => codes.includes(line.code));
+
+  const absences = byCode(...ABSENCE_CODES);
+  const earned = (line) =>
+    line.line_type === "earning" && line.code !== "TAX_REFUND";
+  const grossCompensation = round2(total(earned) - absences);
+
+  const deMinimis = round2(Number(employee.de_minimis_exempt));
+  const otherBenefitsExempt = round2(Number(employee.other_benefits_exempt));
+  const contributions = total(
+    (line) =>
+      line.line_type === "deduction" && CONTRIBUTION_CODES.includes(line.code)
+  );
+  const separationPay = byCode(...Object.values(separation.CODES));
+  const nonTaxable = round2(
+    deMinimis + otherBenefitsExempt + contributions + separationPay
+  );
+  const taxable = round2(grossCompensation - nonTaxable);
+
+  // 13th month pay and benefits above what was exempt are taxable
+  const benefits = total(
+    (line) =>
+      earned(line) &&
+      (Object.values(thirteenthMonth.CODES).includes(line.code) ||
+        ["de_minimis", "other_benefits"].includes(
+          (context.earningTypes[line.code] || {}).taxability
+        ))
+  );
+  const taxableBenefits = round2(
+    Math.max(benefits - deMinimis - otherBenefitsExempt, 0)
+  );
+  // The form reports taxable basic salary net of the employee's contributions
+  const basicSalary = round2(byCode("BASIC") - absences - contributions);
+  const overtimePay = byCode("OT");
+
+  const lastPaid = toDateString(employee.last_paid);
+  const separatedOn =
+    context.separations[employee.employee_id] ||
+    (!HEADCOUNT_STATUSES.includes(employee.status) && lastPaid < `${year}-12-31`
+      ? lastPaid
+      : null);
+  const hireDate = toDateString(employee.hire_date);
+
+  const taxDue = tax.applyBrackets(context.taxTable.brackets.annual, taxable);
+  const taxWithheld = round2(Number(employee.withholding_tax));
+
+  return {
+    year,
+    employee_id: employee.employee_id,
+    employee_number: employee.employee_number,
+    tin: employee.tin,
+    last_name: employee.last_name,
+    first_name: employee.first_name,
+    middle_name: employee.middle_name,
+    birth_date: toDateString(employee.birth_date),
+    period_from:
+      hireDate && hireDate > `${year}-01-01` ? hireDate : `${year}-01-01`,
+    period_to: separatedOn || `${year}-12-31`,
+    separated_on: separatedOn,
+    schedule: separatedOn ? SCHEDULES.separated : SCHEDULES.current,
+    gross_compensation: grossCompensation,
+    non_taxable: {
+      thirteenth_month_and_other_benefits: otherBenefitsExempt,
+      de_minimis: deMinimis,
+      contributions,
+      separation_pay: separationPay,
+      total: nonTaxable,
+    },
+    taxable: {
+      basic_salary: basicSalary,
+      overtime_pay: overtimePay,
+      thirteenth_month_and_other_benefits: taxableBenefits,
+      others: round2(taxable - basicSalary - overtimePay - taxableBenefits),
+      total: taxable,
+    },
+    tax_due: taxDue,
+    tax_withheld: taxWithheld,
+    tax_difference: round2(taxDue - taxWithheld),
+    // A single employer that withheld the whole tax due files for the
+    // employee, who then need not file an annual return
+    substituted_filing: !separatedOn && round2(taxDue - taxWithheld) === 0,
+  };
+}
+
+// Form 2316 figures of everyone paid in the year, or of one employee
+async function getCertificates(db, year, employeeId) {
+  const range = [`${year}-01-01`, `${year}-12-31`];
+  const [employees] = await db.query(
+    `SELECT e.id AS employee_id, e.employee_id AS employee_number,
+            e.last_name, e.first_name, e.middle_name, e.birth_date, e.tin,
+            e.hire_date, e.status,
+            SUM(ps.de_minimis_exempt) AS de_minimis_exempt,
+            SUM(ps.other_benefits_exempt) AS other_benefits_exempt,
+            SUM(ps.withholding_tax) AS withholding_tax,
+            MAX(p.period_end) AS last_paid
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     JOIN employees e ON ps.employee_id = e.id
+     WHERE p.period_end BETWEEN ? AND ? AND r.status IN (?)
+       ${employeeId ? "AND e.id = ?" : ""}
+     GROUP BY e.id
+     ORDER BY e.last_name, e.first_name`,
+    [...range, REPORTABLE_STATUSES, ...(employeeId ? [employeeId] : [])]
+  );
+  if (employees.length === 0) {
+    return [];
+  }
+
+  const employeeIds = employees.map((employee) => employee.employee_id);
+  const [lines] = await db.query(
+    `SELECT ps.employee_id, l.line_type, l.code, SUM(l.amount) AS amount
+     FROM payslip_lines l
+     JOIN payslips ps ON l.payslip_id = ps.id
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id IN (?) AND p.period_end BETWEEN ? AND ?
+       AND r.status IN (?)
+     GROUP BY ps.employee_id, l.line_type, l.code`,
+    [employeeIds, ...range, REPORTABLE_STATUSES]
+  );
+
+  const context = {
+    earningTypes: await earnings.getTypes(db),
+    separations: await getSeparationDates(db, employeeIds, ...range),
+    taxTable: await tax.getTable(db, range[1]),
+  };
+
+  return employees.map((employee) =>
+    buildCertificate(
+      year,
+      employee,
+      lines.filter((line) => line.employee_id === employee.employee_id),
+      context
+    )
+  );
+}
+
+// Everything the Form 2316 template shows, with amounts formatted
+function certificateView(certificate) {
+  const money = (group) =>
+    Object.entries(group).reduce((formatted, [key, value]) => {
+      formatted[key] = formatMoney(value);
+      return formatted;
+    }, {});
+
+  return {
+    title: `BIR Form 2316 ${certificate.year} ${certificate.employee_number}`,
+    year: certificate.year,
+    employer: {
+      name: COMPANY.name,
+      address: COMPANY.address,
+      tin: COMPANY.tin,
+    },
+    employee: {
+      tin: certificate.tin || "",
+      name: [
+        certificate.last_name,
+        certificate.first_name,
+        certificate.middle_name,
+      ]
+        .filter(Boolean)
+        .join(", "),
+      birth_date: certificate.birth_date
+        ? formatBirDate(certificate.birth_date)
+        : "",
+    },
+    period_from: formatBirDate(certificate.period_from),
+    period_to: formatBirDate(certificate.period_to),
+    gross_compensation: formatMoney(certificate.gross_compensation),
+    non_taxable: money(certificate.non_taxable),
+    taxable: money(certificate.taxable),
+    tax_due: formatMoney(certificate.tax_due),
+    tax_withheld: formatMoney(certificate.tax_withheld),
+    tax_difference: formatMoney(certificate.tax_difference),
+  };
+}
+
+function generateCertificate(app, certificate) {
+  return pdf.generate(app, "bir-2316", certificateView(certificate));
+}
+
+// The 1604-C alphalist: certificates split into schedules, each with its
+// control totals, and the employees who cannot be listed without a TIN
+function buildAlphalist(year, certificates) {
+  const sum = (rows, pick) =>
+    round2(rows.reduce((total, row) => total + pick(row), 0));
+
+  const schedules = Object.values(SCHEDULES).map((schedule) => {
+    const rows = certificates.filter((row) => row.schedule === schedule);
+    return {
+      schedule,
+      rows,
+      totals: {
+        employees: rows.length,
+        gross_compensation: sum(rows, (row) => row.gross_compensation),
+        non_taxable: sum(rows, (row) => row.non_taxable.total),
+        taxable: sum(rows, (row) => row.taxable.total),
+        tax_due: sum(rows, (row) => row.tax_due),
+        tax_withheld: sum(rows, (row) => row.tax_withheld),
+      },
+    };
+  });
+
+  const errors = certificates
+    .filter((row) => !row.tin || !patterns.TIN.test(row.tin))
+    .map((row) => ({
+      employee_id: row.employee_id,
+      employee_number: row.employee_number,
+      name: `${row.last_name}, ${row.first_name}`,
+      field: "tin",
+      message: row.tin ? `tin ${row.tin} is not valid` : "tin is missing",
+    }));
+
+  return { year, schedules, errors };
+}
+
+// Amount columns of a detail record, in schedule order
+function amountColumns(row) {
+  return [
+    row.gross_compensation,
+    row.non_taxable.thirteenth_month_and_other_benefits,
+    row.non_taxable.de_minimis,
+    row.non_taxable.contributions,
+    row.non_taxable.separation_pay,
+    row.non_taxable.total,
+    row.taxable.basic_salary,
+    row.taxable.thirteenth_month_and_other_benefits,
+    round2(row.taxable.overtime_pay + row.taxable.others),
+    row.taxable.total,
+    row.tax_due,
+    row.tax_withheld,
+    row.tax_difference,
+  ].map((amount) => amount.toFixed(2));
+}
+
+// The alphalist data file: an H1604C header, then per schedule its D
+// detail records and C control record, comma separated
+function renderAlphalist(alphalist) {
+  if (alphalist.errors.length > 0) {
+    throw httpError(
+      422,
+      `${alphalist.errors.length} employee(s) have no valid tin`
+    );
+  }
+  const employer = splitTin(COMPANY.tin);
+  if (employer.tin.length !== 9) {
+    throw httpError(400, "COMPANY_TIN is not configured");
+  }
+  if (alphalist.schedules.every(({ rows }) => rows.length === 0)) {
+    throw httpError(400, `No compensation paid in ${alphalist.year}`);
+  }
+
+  const returnPeriod = formatBirDate(`${alphalist.year}-12-31`);
+  const prefix = ["1604C", employer.tin, employer.branch, returnPeriod];
+  const records = [
+    ["H1604C", employer.tin, employer.branch, returnPeriod, COMPANY.rdo_code],
+  ];
+
+  for (const { schedule, rows } of alphalist.schedules) {
+    if (rows.length === 0) {
+      continue;
+    }
+    rows.forEach((row, index) => {
+      const employee = splitTin(row.tin);
+      records.push([
+        `D${schedule}`,
+        ...prefix,
+        index + 1,
+        employee.tin,
+        employee.branch,
+        toFileName(row.last_name),
+        toFileName(row.first_name),
+        toFileName(row.middle_name),
+        formatBirDate(row.period_from),
+        formatBirDate(row.period_to),
+        ...amountColumns(row),
+        row.substituted_filing ? "Y" : "N",
+      ]);
+    });
+
+    const totals = amountColumns(
+      rows.reduce((sum, row) => ({
+        gross_compensation: sum.gross_compensation + row.gross_compensation,
+        non_taxable: Object.keys(sum.non_taxable).reduce((group, key) => {
+          group[key] = sum.non_taxable[key] + row.non_taxable[key];
+          return group;
+        }, {}),
+        taxable: Object.keys(sum.taxable).reduce((group, key) => {
+          group[key] = sum.taxable[key] + row.taxable[key];
+          return group;
+        }, {}),
+        tax_due: sum.tax_due + row.tax_due,
+        tax_withheld: sum.tax_withheld + row.tax_withheld,
+        tax_difference: sum.tax_difference + row.tax_difference,
+      }))
+    );
+    records.push([`C${schedule}`, ...prefix, ...totals]);
+  }
+
+  return {
+    filename: `${employer.tin}${employer.branch}1231${alphalist.year}1604C.dat`,
+    content: stringify(records, { record_delimiter: "\r\n" }),
+  };
+}
+
+module.exports = {
+  SCHEDULES,
+  splitTin,
+  buildCertificate,
+  getCertificates,
+  certificateView,
+  generateCertificate,
+  buildAlphalist,
+  renderAlphalist,
+};
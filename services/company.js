@@ -0,0 +1,27 @@
+// The employer as it appears on payslips, bank files and government reports
+const COMPANY = {
+  name: process.env.COMPANY_NAME || "Manila Payroll",
+  address: process.env.COMPANY_ADDRESS || "",
+  tin: process.env.COMPANY_TIN || "",
+  rdo_code: process.env.COMPANY_RDO_CODE || "",
+  sss_number: process.env.COMPANY_SSS_NUMBER || "",
+  philhealth_number: process.env.COMPANY_PHILHEALTH_NUMBER || "",
+  pagibig_number: process.env.COMPANY_PAGIBIG_NUMBER || "",
+};
+
+// Plain uppercase ASCII, as government and bank files expect, e.g.
+// "Dela Peña, Niño" becomes "DELA PENA, NINO"
+function toFileName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9 ,.'-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toUpperCase();
+}
+
+module.exports = {
+  COMPANY,
+  toFileName,
+};
@@ -0,0 +1,237 @@
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, isDateString } = require("../utilities/dates");
+const payRules = require("./pay-rules");
+
+const PAY_BASES = ["monthly", "daily", "hourly"];
+const REASONS = [
+  "hire",
+  "promotion",
+  "merit_increase",
+  "wage_order",
+  "adjustment",
+  "correction",
+];
+
+function normalizeEntry(row) {
+  return {
+    ...row,
+    effective_from: toDateString(row.effective_from),
+    rate: Number(row.rate),
+  };
+}
+
+// The entry in effect on a date, from a timeline sorted oldest first
+function entryOn(timeline, date) {
+  let current = null;
+  for (const entry of timeline) {
+    if (entry.effective_from > date) {
+      break;
+    }
+    current = entry;
+  }
+  return current;
+}
+
+// Monthly equivalent of a rate on any pay basis
+function monthlyEquivalent(entry, rules) {
+  if (!entry) {
+    return 0;
+  }
+  if (entry.pay_basis === "monthly") {
+    return entry.rate;
+  }
+  return round2(
+    (payRules.dailyRate(entry.rate, rules, entry.pay_basis) *
+      rules.days_per_year) /
+      12
+  );
+}
+
+// Hourly rate of the entry in effect on a date; 0 before the first entry
+function hourlyRateOn(timeline, date, rules) {
+  const entry = entryOn(timeline, date);
+  return entry ? payRules.hourlyRate(entry.rate, rules, entry.pay_basis) : 0;
+}
+
+// Monthly equivalent of the rate in effect on a date; 0 before the first
+// entry
+function monthlyRateOn(timeline, date, rules) {
+  return monthlyEquivalent(entryOn(timeline, date), rules);
+}
+
+// Employees without any history are paid their current salary, monthly
+function timelineFor(employee, timelines) {
+  const timeline = timelines && timelines[employee.id];
+  if (timeline && timeline.length > 0) {
+    return timeline;
+  }
+  return employee.salary === null || employee.salary === undefined
+    ? []
+    : [
+        {
+          effective_from: "0000-01-01",
+          pay_basis: "monthly",
+          rate: Number(employee.salary),
+        },
+      ];
+}
+
+// One employee's compensation history, oldest first
+async function getTimeline(db, employeeId) {
+  const [rows] = await db.query(
+    `SELECT * FROM employee_compensation
+     WHERE employee_id = ?
+     ORDER BY effective_from`,
+    [employeeId]
+  );
+  return rows.map(normalizeEntry);
+}
+
+// Compensation histories of several employees, keyed by employee id
+async function getTimelines(db, employeeIds) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM employee_compensation
+     WHERE employee_id IN (?)
+     ORDER BY employee_id, effective_from`,
+    [employeeIds]
+  );
+  return rows.reduce((timelines, row) => {
+    (timelines[row.employee_id] = timelines[row.employee_id] || []).push(
+      normalizeEntry(row)
+    );
+    return timelines;
+  }, {});
+}
+
+// Bring employees.salary up to date with changes that have taken effect
+// since it was last written, e.g. a future-dated wage order adjustment.
+// Returns the employees whose salary changed, as they were before.
+async function syncSalaries(db, employees, timelines, rules) {
+  const today = toDateString(new Date());
+  const changed = [];
+
+  for (const employee of employees) {
+    const current = entryOn(timelines[employee.id] || [], today);
+    if (!current) {
+      continue;
+    }
+    const salary = monthlyEquivalent(current, rules);
+    if (salary !== Number(employee.salary)) {
+      await db.query(
+        "UPDATE employees SET salary = ?, version = version + 1 WHERE id = ?",
+        [salary, employee.id]
+      );
+      changed.push(employee);
+    }
+  }
+  return changed;
+}
+
+// Point one employee's salary at the monthly equivalent of today's rate
+async function syncSalary(db, employeeId) {
+  const [employees] = await db.query(
+    "SELECT id, salary FROM employees WHERE id = ?",
+    [employeeId]
+  );
+  const { rules } = await payRules.getRules(db, toDateString(new Date()));
+  await syncSalaries(
+    db,
+    employees,
+    { [employeeId]: await getTimeline(db, employeeId) },
+    rules
+  );
+}
+
+// Add a compensation change; one change per employee and effective date
+async function addEntry(db, employeeId, entry, user) {
+  if (!isDateString(entry.effective_from)) {
+    throw httpError(400, "effective_from must be in YYYY-MM-DD format");
+  }
+
+  const [existing] = await db.query(
+    `SELECT id FROM employee_compensation
+     WHERE employee_id = ? AND effective_from = ?`,
+    [employeeId, entry.effective_from]
+  );
+  if (existing.length > 0) {
+    throw httpError(
+      400,
+      `A compensation change is already effective on ${entry.effective_from}`
+    );
+  }
+
+  const [result] = await db.query(
+    `INSERT INTO employee_compensation
+       (employee_id, effective_from, pay_basis, rate, reason, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      employeeId,
+      entry.effective_from,
+      entry.pay_basis || "monthly",
+      entry.rate,
+      entry.reason,
+      entry.notes || null,
+      user ? user.id : null,
+    ]
+  );
+  await syncSalary(db, employeeId);
+
+  const [rows] = await db.query(
+    "SELECT * FROM employee_compensation WHERE id = ?",
+    [result.insertId]
+  );
+  return normalizeEntry(rows[0]);
+}
+
+// A monthly salary set directly on the employee record takes effect today,
+// replacing the rate of any other change made today
+async function recordSalaryChange(db, employeeId, salary, user) {
+  await db.query(
+    `INSERT INTO employee_compensation
+       (employee_id, effective_from, pay_basis, rate, reason, created_by)
+     VALUES (?, ?, 'monthly', ?, 'adjustment', ?)
+     ON DUPLICATE KEY UPDATE pay_basis = 'monthly', rate = VALUES(rate)`,
+    [employeeId, toDateString(new Date()), salary, user ? user.id : null]
+  );
+  await syncSalary(db, employeeId);
+}
+
+// First entry of a new hire's history, from the salary they were created with
+async function recordHire(db, employee, user) {
+  if (employee.salary === null || employee.salary === undefined) {
+    return;
+  }
+  await db.query(
+    `INSERT IGNORE INTO employee_compensation
+       (employee_id, effective_from, pay_basis, rate, reason, created_by)
+     VALUES (?, ?, 'monthly', ?, 'hire', ?)`,
+    [
+      employee.id,
+      toDateString(employee.hire_date) || toDateString(new Date()),
+      employee.salary,
+      user ? user.id : null,
+    ]
+  );
+}
+
+module.exports = {
+  PAY_BASES,
+  REASONS,
+  entryOn,
+  monthlyEquivalent,
+  monthlyRateOn,
+  hourlyRateOn,
+  timelineFor,
+  getTimeline,
+  getTimelines,
+  syncSalary,
+  syncSalaries,
+  addEntry,
+  recordSalaryChange,
+  recordHire,
+};
@@ -0,0 +1,206 @@
+const { getPool } = require("../dbconfig");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, isDateString } = require("../utilities/dates");
+
+const AGENCIES = ["sss", "philhealth", "pagibig"];
+
+// Pick the first tier whose bound the value falls under; the last tier is the catch-all
+function pickTier(tiers, value, boundKey) {
+  return (
+    tiers.find(
+      (tier) => tier[boundKey] === undefined || value < tier[boundKey]
+    ) || tiers[tiers.length - 1]
+  );
+}
+
+// Monthly salary credit for a compensation amount.
+// Explicit brackets win; otherwise MSCs step from msc_min to msc_max, with
+// each bracket centred on its MSC (e.g. 5,250 - 5,749.99 => 5,500).
+function resolveMsc(rules, compensation) {
+  if (Array.isArray(rules.brackets) && rules.brackets.length > 0) {
+    const bracket =
+      rules.brackets.find(
+        (row) =>
+          compensation >= row.min &&
+          (row.max === undefined || row.max === null || compensation <= row.max)
+      ) || rules.brackets[rules.brackets.length - 1];
+    return bracket.msc;
+  }
+
+  const stepped =
+    Math.floor(compensation / rules.msc_step + 0.5) * rules.msc_step;
+  return Math.min(Math.max(stepped, rules.msc_min), rules.msc_max);
+}
+
+// SSS: regular Social Security on MSC up to regular_msc_max, and the
+// Mandatory Provident Fund (WISP) on the excess
+function computeSss(rules, compensation) {
+  const msc = resolveMsc(rules, compensation);
+  const mscRegular = Math.min(msc, rules.regular_msc_max);
+  const mscMpf = Math.max(msc - rules.regular_msc_max, 0);
+  const ec = pickTier(rules.ec || [{ amount: 0 }], msc, "msc_below").amount;
+
+  const employee = {
+    regular: round2(mscRegular * rules.employee_rate),
+    mpf: round2(mscMpf * rules.employee_rate),
+  };
+  employee.total = round2(employee.regular + employee.mpf);
+
+  const employer = {
+    regular: round2(mscRegular * rules.employer_rate),
+    mpf: round2(mscMpf * rules.employer_rate),
+    ec: round2(ec),
+  };
+  employer.total = round2(employer.regular + employer.mpf + employer.ec);
+
+  return { msc, msc_regular: mscRegular, msc_mpf: mscMpf, employee, employer };
+}
+
+// PhilHealth: premium rate on basic salary clamped between floor and ceiling
+function computePhilhealth(rules, compensation) {
+  const base = Math.min(Math.max(compensation, rules.floor), rules.ceiling);
+  const premium = round2(base * rules.rate);
+  const employee = round2(premium * rules.employee_share);
+
+  return {
+    base,
+    rate: rules.rate,
+    premium,
+    employee,
+    employer: round2(premium - employee),
+  };
+}
+
+// Pag-IBIG: employee rate depends on salary, both shares capped at the fund salary
+function computePagibig(rules, compensation) {
+  const base = Math.min(compensation, rules.max_fund_salary);
+  const employeeRate = (
+    rules.employee_rates.find(
+      (tier) =>
+        tier.salary_up_to === undefined || compensation <= tier.salary_up_to
+    ) || rules.employee_rates[rules.employee_rates.length - 1]
+  ).rate;
+
+  return {
+    base,
+    employee_rate: employeeRate,
+    employer_rate: rules.employer_rate,
+    employee: round2(base * employeeRate),
+    employer: round2(base * rules.employer_rate),
+  };
+}
+
+const CALCULATORS = {
+  sss: computeSss,
+  philhealth: computePhilhealth,
+  pagibig: computePagibig,
+};
+
+// Compute monthly employee and employer shares from a monthly salary and
+// the schedules in force ({ sss, philhealth, pagibig } rows)
+function computeContributions(monthlySalary, schedules) {
+  const compensation = Math.max(Number(monthlySalary) || 0, 0);
+  const result = { monthly_salary: compensation, schedules: {} };
+  const totals = { employee: 0, employer: 0 };
+
+  for (const agency of AGENCIES) {
+    const schedule = schedules[agency];
+    if (!schedule) {
+      throw httpError(400, `No ${agency} contribution schedule in effect`);
+    }
+
+    const share = CALCULATORS[agency](schedule.rules, compensation);
+    result[agency] = share;
+    result.schedules[agency] = {
+      id: schedule.id,
+      effective_from: toDateString(schedule.effective_from),
+      circular: schedule.circular,
+    };
+
+    totals.employee += share.employee.total ?? share.employee;
+    totals.employer += share.employer.total ?? share.employer;
+  }
+
+  result.totals = {
+    employee: round2(totals.employee),
+    employer: round2(totals.employer),
+  };
+  return result;
+}
+
+// Load the schedule of each agency in force on a date
+async function getSchedules(db, date) {
+  const [rows] = await db.query(
+    `SELECT cs.*
+     FROM contribution_schedules cs
+     WHERE cs.effective_from = (
+       SELECT MAX(latest.effective_from)
+       FROM contribution_schedules latest
+       WHERE latest.agency = cs.agency AND latest.effective_from <= ?
+     )`,
+    [date]
+  );
+
+  return rows.reduce((schedules, row) => {
+    schedules[row.agency] = {
+      ...row,
+      rules: typeof row.rules === "string" ? JSON.parse(row.rules) : row.rules,
+    };
+    return schedules;
+  }, {});
+}
+
+// Compute contributions for a salary using the rates effective on a date
+async function computeForDate(monthlySalary, date) {
+  date = date || toDateString(new Date());
+  if (!isDateString(date)) {
+    throw httpError(400, "date must be in YYYY-MM-DD format");
+  }
+
+  const pool = await getPool();
+  const schedules = await getSchedules(pool, date);
+  return { date, ...computeContributions(monthlySalary, schedules) };
+}
+
+// Validate the rules of a schedule before it is stored
+function validateRules(agency, rules) {
+  const required = {
+    sss: ["employee_rate", "employer_rate", "regular_msc_max"],
+    philhealth: ["rate", "floor", "ceiling", "employee_share"],
+    pagibig: ["max_fund_salary", "employer_rate", "employee_rates"],
+  };
+
+  if (!rules || typeof rules !== "object") {
+    return ["rules must be an object"];
+  }
+
+  const errors = required[agency]
+    .filter((key) => rules[key] === undefined)
+    .map((key) => `rules.${key} is required`);
+
+  if (
+    agency === "sss" &&
+    !Array.isArray(rules.brackets) &&
+    ["msc_min", "msc_max", "msc_step"].some((key) => rules[key] === undefined)
+  ) {
+    errors.push("rules must define brackets or msc_min, msc_max and msc_step");
+  }
+  if (agency === "pagibig" && !Array.isArray(rules.employee_rates)) {
+    errors.push("rules.employee_rates must be an array");
+  }
+
+  return errors;
+}
+
+module.exports = {
+  AGENCIES,
+  resolveMsc,
+  computeSss,
+  computePhilhealth,
+  computePagibig,
+  computeContributions,
+  getSchedules,
+  computeForDate,
+  validateRules,
+};
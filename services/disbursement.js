@@ -0,0 +1,376 @@
+const { stringify } = require("csv-stringify/sync");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString } = require("../utilities/dates");
+const { toFileName } = require("./company");
+const bankFormats = require("../data/bank-formats.json");
+
+// Runs whose net pay may be sent to the bank: approved, and released
+// runs whose file is downloaded again
+const DISBURSABLE_STATUSES = ["approved", "released"];
+
+const FORMAT_TYPES = ["fixed", "csv"];
+const DATE_FORMATS = ["YYYYMMDD", "MMDDYYYY", "MMDDYY", "MM/DD/YYYY"];
+const AMOUNT_FORMATS = ["cents", "decimal"];
+
+// Values a format's header and trailer may draw on; detail records may
+// also use the per-employee sources
+const BATCH_SOURCES = [
+  "company_code",
+  "company_account",
+  "credit_date",
+  "batch_number",
+  "record_count",
+  "total_amount",
+  "hash_total",
+];
+const RECORD_SOURCES = [
+  "account_number",
+  "account_name",
+  "amount",
+  "employee_number",
+  "sequence",
+];
+
+// Problems with one format definition from data/bank-formats.json
+function validateFormat(format) {
+  const errors = [];
+  const at = `bank format ${format.code || "(no code)"}`;
+
+  if (!/^[A-Z0-9_]{2,20}$/.test(format.code || "")) {
+    errors.push(`${at}: code must be a bank code`);
+  }
+  if (!FORMAT_TYPES.includes(format.type)) {
+    errors.push(`${at}: type must be one of: ${FORMAT_TYPES.join(", ")}`);
+  }
+  if (!DATE_FORMATS.includes(format.date_format)) {
+    errors.push(
+      `${at}: date_format must be one of: ${DATE_FORMATS.join(", ")}`
+    );
+  }
+  if (!AMOUNT_FORMATS.includes(format.amount_format)) {
+    errors.push(
+      `${at}: amount_format must be one of: ${AMOUNT_FORMATS.join(", ")}`
+    );
+  }
+  if (
+    !Array.isArray(format.account_lengths) ||
+    !format.account_lengths.every((length) => Number.isInteger(length))
+  ) {
+    errors.push(`${at}: account_lengths must be a list of digit counts`);
+  }
+
+  const sections = { header: BATCH_SOURCES, trailer: BATCH_SOURCES };
+  sections.detail = [...BATCH_SOURCES, ...RECORD_SOURCES];
+  for (const [section, sources] of Object.entries(sections)) {
+    const fields = format[section];
+    if (fields === null && section !== "detail") {
+      continue;
+    }
+    if (!Array.isArray(fields) || fields.length === 0) {
+      errors.push(`${at}: ${section} must be a list of fields`);
+      continue;
+    }
+    fields.forEach((field, index) => {
+      const where = `${at}: ${section}[${index}]`;
+      if (field.value === undefined && !sources.includes(field.source)) {
+        errors.push(`${where} needs a value or one of: ${sources.join(", ")}`);
+      }
+      if (
+        format.type === "fixed" &&
+        field.value === undefined &&
+        !(field.width > 0)
+      ) {
+        errors.push(`${where} needs a width`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Supported formats keyed by bank code. A bank is added by describing its
+// file layout in data/bank-formats.json.
+const FORMATS = bankFormats.reduce((formats, format) => {
+  const errors = validateFormat(format);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  formats[format.code] = format;
+  return formats;
+}, {});
+
+function formatDate(date, pattern) {
+  const [year, month, day] = toDateString(date).split("-");
+  return pattern
+    .replace("YYYY", year)
+    .replace("YY", year.slice(2))
+    .replace("MM", month)
+    .replace("DD", day);
+}
+
+function formatAmount(cents, amountFormat) {
+  return amountFormat === "cents" ? String(cents) : (cents / 100).toFixed(2);
+}
+
+// Hash total: the sum of every credited account number. The bank recomputes
+// it from the records to detect a tampered or corrupted file.
+function hashTotal(records) {
+  return records
+    .reduce((total, record) => total + BigInt(record.account_number), 0n)
+    .toString();
+}
+
+// Control totals of a batch: record count, total in centavos and hash
+function controlTotals(records) {
+  return {
+    record_count: records.length,
+    total_amount: records.reduce((total, record) => total + record.amount, 0),
+    hash_total: hashTotal(records),
+  };
+}
+
+// Why a payee cannot be credited through a format, or null
+function accountProblem(payee, format) {
+  const account = payee.bank_account_number || "";
+  if (!/^\d+$/.test(account)) {
+    return "bank_account_number is missing or not numeric";
+  }
+  if (
+    format.account_lengths.length > 0 &&
+    !format.account_lengths.includes(account.length)
+  ) {
+    return `${format.code} account numbers have ${format.account_lengths.join(
+      " or "
+    )} digits`;
+  }
+  return null;
+}
+
+function toRecord(payee, index) {
+  return {
+    account_number: payee.bank_account_number,
+    account_name: toFileName(
+      payee.bank_account_name || `${payee.last_name}, ${payee.first_name}`
+    ),
+    amount: Math.round(Number(payee.net_pay) * 100),
+    employee_number: payee.employee_number,
+    sequence: index + 1,
+  };
+}
+
+// One field's text; numbers that do not fit are an error, text is cut short
+function fieldText(field, values, format) {
+  let text;
+  if (field.value !== undefined) {
+    text = String(field.value);
+  } else if (field.source === "credit_date") {
+    text = formatDate(values.credit_date, format.date_format);
+  } else if (["amount", "total_amount"].includes(field.source)) {
+    text = formatAmount(values[field.source], format.amount_format);
+  } else {
+    text = String(values[field.source] ?? "");
+  }
+
+  if (format.type !== "fixed" || !field.width) {
+    return text;
+  }
+  if (text.length > field.width) {
+    if (field.source === "hash_total") {
+      return text.slice(-field.width);
+    }
+    if (field.pad === "0") {
+      throw httpError(
+        400,
+        `${field.source} ${text} does not fit the ${format.code} file`
+      );
+    }
+    text = text.slice(0, field.width);
+  }
+  return field.align === "right"
+    ? text.padStart(field.width, field.pad || " ")
+    : text.padEnd(field.width, field.pad || " ");
+}
+
+function renderRow(fields, values, format) {
+  const texts = fields.map((field) => fieldText(field, values, format));
+  return format.type === "fixed"
+    ? texts.join("")
+    : stringify([texts], { record_delimiter: "" });
+}
+
+// The file's lines: header, one detail record per payee, trailer
+function renderFile(format, batch, records) {
+  const lines = [];
+  if (format.labels) {
+    lines.push(
+      stringify([format.detail.map((field) => field.label || field.source)], {
+        record_delimiter: "",
+      })
+    );
+  }
+  if (format.header) {
+    lines.push(renderRow(format.header, batch, format));
+  }
+  for (const record of records) {
+    lines.push(renderRow(format.detail, { ...batch, ...record }, format));
+  }
+  if (format.trailer) {
+    lines.push(renderRow(format.trailer, batch, format));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function payeeSummary(payee) {
+  return {
+    employee_id: payee.employee_id,
+    employee_number: payee.employee_number,
+    name: `${payee.last_name}, ${payee.first_name}`,
+    bank: payee.bank,
+    bank_account_number: payee.bank_account_number,
+    net_pay: Number(payee.net_pay),
+  };
+}
+
+// Employees paid in a run, with where their net pay goes
+async function getPayees(db, runId) {
+  const [rows] = await db.query(
+    `SELECT ps.employee_id, ps.net_pay, e.employee_id AS employee_number,
+            e.first_name, e.last_name, e.bank, e.bank_account_number,
+            e.bank_account_name
+     FROM payslips ps
+     JOIN employees e ON ps.employee_id = e.id
+     WHERE ps.payroll_run_id = ? AND ps.net_pay > 0
+     ORDER BY e.last_name, e.first_name`,
+    [runId]
+  );
+  return rows;
+}
+
+function checkRun(run) {
+  if (!DISBURSABLE_STATUSES.includes(run.status)) {
+    throw httpError(400, `Cannot disburse a ${run.status} payroll run`);
+  }
+}
+
+// How a run's net pay is split across banks, with each bank's control
+// totals, plus the employees without bank details who are paid by check
+// or cash
+function summarize(payees) {
+  const banks = {};
+  const unbanked = [];
+
+  for (const payee of payees) {
+    if (!payee.bank || !payee.bank_account_number) {
+      unbanked.push(payeeSummary(payee));
+      continue;
+    }
+    (banks[payee.bank] = banks[payee.bank] || []).push(payee);
+  }
+
+  return {
+    total_net_pay: round2(
+      payees.reduce((total, payee) => total + Number(payee.net_pay), 0)
+    ),
+    banks: Object.keys(banks)
+      .sort()
+      .map((bank) => {
+        const format = FORMATS[bank];
+        const valid = banks[bank].filter(
+          (payee) => format && !accountProblem(payee, format)
+        );
+        const totals = controlTotals(valid.map(toRecord));
+        return {
+          bank,
+          format: format ? format.name : null,
+          record_count: totals.record_count,
+          total_amount: totals.total_amount / 100,
+          hash_total: totals.hash_total,
+          rejected: banks[bank]
+            .filter((payee) => !valid.includes(payee))
+            .map((payee) => ({
+              ...payeeSummary(payee),
+              reason: format
+                ? accountProblem(payee, format)
+                : `No disbursement file format for ${bank}`,
+            })),
+        };
+      }),
+    unbanked: {
+      employees: unbanked,
+      total_amount: round2(
+        unbanked.reduce((total, payee) => total + payee.net_pay, 0)
+      ),
+    },
+  };
+}
+
+// Build one bank's disbursement file for a run. Every employee banking
+// there must have a valid account, or the file is refused.
+function buildFile(run, payees, options) {
+  const format = FORMATS[options.bank];
+  if (!format) {
+    throw httpError(400, `No disbursement file format for ${options.bank}`);
+  }
+  const usesCompanyCode = [
+    ...(format.header || []),
+    ...format.detail,
+    ...(format.trailer || []),
+  ].some((field) => field.source === "company_code");
+  if (usesCompanyCode && !options.company_code) {
+    throw httpError(400, `company_code is required for ${format.code} files`);
+  }
+
+  const banked = payees.filter(
+    (payee) => payee.bank === format.code && payee.bank_account_number
+  );
+  if (banked.length === 0) {
+    throw httpError(400, `No employees in this run bank with ${format.code}`);
+  }
+
+  const invalid = banked.filter((payee) => accountProblem(payee, format));
+  if (invalid.length > 0) {
+    throw httpError(
+      400,
+      `Fix these bank accounts first: ${invalid
+        .map(
+          (payee) =>
+            `${payee.employee_number} (${accountProblem(payee, format)})`
+        )
+        .join(", ")}`
+    );
+  }
+
+  const records = banked.map(toRecord);
+  const totals = controlTotals(records);
+  const batch = {
+    company_code: options.company_code || "",
+    company_account: options.company_account,
+    credit_date: options.credit_date || toDateString(run.pay_date),
+    batch_number: options.batch_number || 1,
+    ...totals,
+  };
+
+  return {
+    filename: `${format.code.toLowerCase()}-payroll-${toDateString(
+      batch.credit_date
+    )}-${batch.batch_number}.${format.extension}`,
+    content: renderFile(format, batch, records),
+    ...totals,
+  };
+}
+
+module.exports = {
+  DISBURSABLE_STATUSES,
+  FORMATS,
+  validateFormat,
+  formatDate,
+  hashTotal,
+  controlTotals,
+  accountProblem,
+  renderFile,
+  getPayees,
+  checkRun,
+  summarize,
+  buildFile,
+};
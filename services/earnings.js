@@ -0,0 +1,289 @@
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, isDateString } = require("../utilities/dates");
+const loans = require("./loans");
+const thirteenthMonth = require("./thirteenth-month");
+
+// How an earning is treated for withholding tax: fully taxable, exempt as a
+// de minimis benefit up to its ceiling, or exempt as one of the "13th month
+// and other benefits" up to the shared annual ceiling
+const TAXABILITIES = ["taxable", "de_minimis", "other_benefits"];
+const LIMIT_PERIODS = ["month", "semester", "year"];
+const RECURRENCES = ["recurring", "one_time"];
+
+// Payslip codes written by payroll itself, which earning types may not reuse
+const RESERVED_CODES = [
+  "BASIC",
+  "OT",
+  "NIGHT_DIFF",
+  "REST_DAY",
+  "HOLIDAY",
+  "LWOP",
+  "LEAVE_CASH",
+  "SSS",
+  "PHILHEALTH",
+  "PAGIBIG",
+  "SSS_ER",
+  "SSS_EC",
+  "PHILHEALTH_ER",
+  "PAGIBIG_ER",
+  "TAX",
+  "TAX_REFUND",
+  ...Object.values(thirteenthMonth.CODES),
+  ...Object.values(loans.LOAN_TYPES).map((type) => type.code),
+];
+
+function formatEarning(row) {
+  return {
+    ...row,
+    amount: Number(row.amount),
+    start_date: toDateString(row.start_date),
+    end_date: toDateString(row.end_date),
+  };
+}
+
+// Earning lines of a pay period. A recurring amount is monthly and is split
+// across the month's pay periods; a one-time amount is paid in the period
+// its start date falls in.
+function earningLines(earnings, period, periods) {
+  const start = toDateString(period.period_start);
+  const end = toDateString(period.period_end);
+
+  return earnings
+    .map(formatEarning)
+    .filter((earning) =>
+      earning.recurrence === "one_time"
+        ? earning.start_date >= start && earning.start_date <= end
+        : earning.start_date <= end &&
+          (!earning.end_date || earning.end_date >= start)
+    )
+    .map((earning) => ({
+      line_type: "earning",
+      code: earning.code,
+      description: earning.name,
+      amount: round2(
+        earning.recurrence === "one_time"
+          ? earning.amount
+          : earning.amount / periods
+      ),
+    }))
+    .filter((line) => line.amount > 0);
+}
+
+// The month, half-year or year a de minimis ceiling applies to
+function limitWindow(date, limitPeriod) {
+  if (limitPeriod === "month") {
+    return date.slice(0, 7);
+  }
+  if (limitPeriod === "semester") {
+    return `${date.slice(0, 4)}-H${date.slice(5, 7) <= "06" ? 1 : 2}`;
+  }
+  return date.slice(0, 4);
+}
+
+// Split a payslip's earning lines by tax treatment. De minimis amounts are
+// exempt up to what is left of their ceiling after earlier payslips (usage:
+// { code, period_end, amount } rows); the excess, like other benefits,
+// counts toward the 13th month and other benefits ceiling.
+function classifyEarnings(lines, types, usage, periodEnd) {
+  const paid = {};
+  for (const row of usage) {
+    const type = types[row.code];
+    if (
+      type &&
+      limitWindow(toDateString(row.period_end), type.limit_period) ===
+        limitWindow(periodEnd, type.limit_period)
+    ) {
+      paid[row.code] = (paid[row.code] || 0) + Number(row.amount);
+    }
+  }
+
+  const result = { de_minimis_exempt: 0, other_benefits: 0 };
+  for (const line of lines) {
+    const type = types[line.code];
+    if (!type || type.taxability === "taxable") {
+      continue;
+    }
+    if (type.taxability === "other_benefits") {
+      result.other_benefits += line.amount;
+      continue;
+    }
+
+    const room = Math.max(
+      Number(type.de_minimis_limit) - (paid[line.code] || 0),
+      0
+    );
+    const exempt = Math.min(line.amount, room);
+    paid[line.code] = (paid[line.code] || 0) + line.amount;
+    result.de_minimis_exempt += exempt;
+    result.other_benefits += line.amount - exempt;
+  }
+
+  return {
+    de_minimis_exempt: round2(result.de_minimis_exempt),
+    other_benefits: round2(result.other_benefits),
+  };
+}
+
+// Earning types keyed by code
+async function getTypes(db) {
+  const [rows] = await db.query("SELECT * FROM earning_types");
+  return rows.reduce((types, row) => {
+    types[row.code] = row;
+    return types;
+  }, {});
+}
+
+// Earnings of the given employees that overlap a pay period
+async function getPeriodEarnings(db, employeeIds, periodStart, periodEnd) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT ee.*, et.code, et.name
+     FROM employee_earnings ee
+     JOIN earning_types et ON ee.earning_type_id = et.id
+     WHERE ee.employee_id IN (?) AND ee.start_date <= ?
+       AND (ee.end_date IS NULL OR ee.end_date >= ?)
+     ORDER BY ee.employee_id, et.code, ee.id`,
+    [employeeIds, periodEnd, periodStart]
+  );
+  return rows.reduce((byEmployee, row) => {
+    (byEmployee[row.employee_id] = byEmployee[row.employee_id] || []).push(row);
+    return byEmployee;
+  }, {});
+}
+
+// De minimis amounts already paid in the year, from every other run
+async function getDeMinimisUsage(db, employeeIds, year, excludeRunId) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT ps.employee_id, l.code, p.period_end, SUM(l.amount) AS amount
+     FROM payslip_lines l
+     JOIN payslips ps ON l.payslip_id = ps.id
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     JOIN earning_types et ON et.code = l.code AND et.taxability = 'de_minimis'
+     WHERE ps.employee_id IN (?) AND r.id <> ?
+       AND p.period_end BETWEEN ? AND ?
+     GROUP BY ps.employee_id, l.code, p.period_end`,
+    [employeeIds, excludeRunId, `${year}-01-01`, `${year}-12-31`]
+  );
+  return rows.reduce((byEmployee, row) => {
+    (byEmployee[row.employee_id] = byEmployee[row.employee_id] || []).push(row);
+    return byEmployee;
+  }, {});
+}
+
+// One employee's earnings, current and past
+async function listForEmployee(db, employeeId) {
+  const [rows] = await db.query(
+    `SELECT ee.*, et.code, et.name, et.taxability
+     FROM employee_earnings ee
+     JOIN earning_types et ON ee.earning_type_id = et.id
+     WHERE ee.employee_id = ?
+     ORDER BY ee.start_date DESC, ee.id DESC`,
+    [employeeId]
+  );
+  return rows.map(formatEarning);
+}
+
+async function getEarning(db, employeeId, id) {
+  const [rows] = await db.query(
+    `SELECT ee.*, et.code, et.name, et.taxability
+     FROM employee_earnings ee
+     JOIN earning_types et ON ee.earning_type_id = et.id
+     JOIN employees e ON ee.employee_id = e.id AND e.deleted_at IS NULL
+     WHERE ee.employee_id = ? AND ee.id = ?`,
+    [employeeId, id]
+  );
+  return rows[0] ? formatEarning(rows[0]) : null;
+}
+
+// Check an employee earning's dates and type before it is written
+async function checkEarning(db, input) {
+  if (!isDateString(input.start_date)) {
+    throw httpError(400, "start_date must be in YYYY-MM-DD format");
+  }
+  if (input.end_date) {
+    if (!isDateString(input.end_date)) {
+      throw httpError(400, "end_date must be in YYYY-MM-DD format");
+    }
+    if (input.end_date < input.start_date) {
+      throw httpError(400, "end_date cannot be before start_date");
+    }
+  }
+
+  const [types] = await db.query("SELECT id FROM earning_types WHERE id = ?", [
+    input.earning_type_id,
+  ]);
+  if (types.length === 0) {
+    throw httpError(400, "earning_type_id does not exist");
+  }
+}
+
+async function createEarning(db, employeeId, input, user) {
+  await checkEarning(db, input);
+
+  const [result] = await db.query(
+    `INSERT INTO employee_earnings
+       (employee_id, earning_type_id, amount, recurrence, start_date, end_date,
+        notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      employeeId,
+      input.earning_type_id,
+      input.amount,
+      input.recurrence,
+      input.start_date,
+      input.end_date || null,
+      input.notes || null,
+      user ? user.id : null,
+    ]
+  );
+  return getEarning(db, employeeId, result.insertId);
+}
+
+async function updateEarning(db, employeeId, id, input) {
+  await checkEarning(db, input);
+
+  await db.query(
+    `UPDATE employee_earnings
+     SET earning_type_id = ?, amount = ?, recurrence = ?, start_date = ?,
+         end_date = ?, notes = ?
+     WHERE employee_id = ? AND id = ?`,
+    [
+      input.earning_type_id,
+      input.amount,
+      input.recurrence,
+      input.start_date,
+      input.end_date || null,
+      input.notes || null,
+      employeeId,
+      id,
+    ]
+  );
+  return getEarning(db, employeeId, id);
+}
+
+module.exports = {
+  TAXABILITIES,
+  LIMIT_PERIODS,
+  RECURRENCES,
+  RESERVED_CODES,
+  formatEarning,
+  earningLines,
+  limitWindow,
+  classifyEarnings,
+  getTypes,
+  getPeriodEarnings,
+  getDeMinimisUsage,
+  listForEmployee,
+  getEarning,
+  createEarning,
+  updateEarning,
+};
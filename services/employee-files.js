@@ -0,0 +1,336 @@
+const ExcelJS = require("exceljs");
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify/sync");
+const httpError = require("../utilities/httperror");
+const { toDateString } = require("../utilities/dates");
+const { createEmployee, EMPLOYEE_FIELDS } = require("../validators/employees");
+
+const FORMATS = ["csv", "xlsx"];
+
+// Header spellings accepted for each employee field (compared lowercased,
+// with spaces, dashes and dots collapsed to underscores)
+const HEADER_ALIASES = {
+  employee_id: [
+    "employee_id",
+    "employee_no",
+    "employee_number",
+    "emp_id",
+    "emp_no",
+  ],
+  first_name: ["first_name", "firstname", "given_name"],
+  middle_name: ["middle_name", "middlename"],
+  last_name: ["last_name", "lastname", "surname", "family_name"],
+  email: ["email", "email_address"],
+  phone: ["phone", "phone_number", "mobile", "mobile_number", "contact_number"],
+  department: ["department", "department_name", "dept"],
+  department_id: ["department_id", "dept_id"],
+  position: ["position", "job_title", "title"],
+  salary: ["salary", "monthly_salary", "basic_salary"],
+  hire_date: ["hire_date", "date_hired", "start_date"],
+  birth_date: ["birth_date", "birthdate", "date_of_birth", "dob"],
+  status: ["status"],
+  tin: ["tin", "tin_number"],
+  sss_number: ["sss_number", "sss", "sss_no"],
+  philhealth_number: [
+    "philhealth_number",
+    "philhealth",
+    "philhealth_no",
+    "pin",
+  ],
+  pagibig_number: [
+    "pagibig_number",
+    "pagibig",
+    "pag_ibig",
+    "hdmf",
+    "pagibig_no",
+  ],
+  bank: ["bank", "bank_name", "bank_code"],
+  bank_account_number: [
+    "bank_account_number",
+    "account_number",
+    "account_no",
+    "bank_account",
+  ],
+  bank_account_name: ["bank_account_name", "account_name"],
+};
+
+// Columns written on export, in order
+const EXPORT_COLUMNS = [
+  { key: "employee_id", header: "Employee ID" },
+  { key: "first_name", header: "First Name" },
+  { key: "middle_name", header: "Middle Name" },
+  { key: "last_name", header: "Last Name" },
+  { key: "email", header: "Email" },
+  { key: "phone", header: "Phone" },
+  { key: "department_name", header: "Department" },
+  { key: "position", header: "Position" },
+  { key: "salary", header: "Salary", salary: true },
+  { key: "hire_date", header: "Hire Date" },
+  { key: "birth_date", header: "Birth Date" },
+  { key: "status", header: "Status" },
+  { key: "tin", header: "TIN" },
+  { key: "sss_number", header: "SSS Number" },
+  { key: "philhealth_number", header: "PhilHealth Number" },
+  { key: "pagibig_number", header: "Pag-IBIG Number" },
+  { key: "bank", header: "Bank" },
+  { key: "bank_account_number", header: "Bank Account Number", salary: true },
+  { key: "bank_account_name", header: "Bank Account Name", salary: true },
+];
+
+function normalizeHeader(header) {
+  return String(header || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s.-]+/g, "_");
+}
+
+// Map each file header to an employee field; explicit mapping entries win
+function resolveColumns(headers, mapping = {}) {
+  const explicit = Object.entries(mapping).reduce((map, [header, field]) => {
+    map[normalizeHeader(header)] = field;
+    return map;
+  }, {});
+
+  return headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    if (explicit[normalized]) {
+      return explicit[normalized];
+    }
+    return (
+      Object.keys(HEADER_ALIASES).find((field) =>
+        HEADER_ALIASES[field].includes(normalized)
+      ) || null
+    );
+  });
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === "object") {
+    // ExcelJS rich text, hyperlink and formula cells
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join("");
+    }
+  }
+  const text = String(value).trim();
+  return text === "" ? undefined : text;
+}
+
+// Read an uploaded file into a header row and data rows
+async function readTable(file) {
+  const name = (file.originalname || "").toLowerCase();
+
+  if (name.endsWith(".xlsx")) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      throw httpError(400, "The workbook has no worksheets");
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values is 1-based
+      rows.push(row.values.slice(1).map(cellValue));
+    });
+    return { headers: rows[0] || [], rows: rows.slice(1) };
+  }
+
+  if (name.endsWith(".csv")) {
+    const records = parse(file.buffer, {
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+    });
+    return {
+      headers: records[0] || [],
+      rows: records.slice(1).map((record) => record.map(cellValue)),
+    };
+  }
+
+  throw httpError(400, "File must be a .csv or .xlsx file");
+}
+
+// Validate every row of an import. Returns one entry per row with either
+// the normalized employee or a list of field errors.
+function validateRows(
+  { headers, rows },
+  { mapping, departments, existingEmployeeIds, existingEmails }
+) {
+  const columns = resolveColumns(headers, mapping);
+  if (!columns.includes("employee_id") || !columns.includes("email")) {
+    throw httpError(
+      400,
+      "The file must have employee ID and email columns (see the mapping option)"
+    );
+  }
+
+  const departmentsByName = new Map(
+    departments.map((department) => [
+      department.name.trim().toLowerCase(),
+      department.id,
+    ])
+  );
+  const departmentIds = new Set(departments.map((department) => department.id));
+  const seenEmployeeIds = new Set();
+  const seenEmails = new Set();
+
+  return rows.map((cells, index) => {
+    // Header is row 1 in the spreadsheet
+    const rowNumber = index + 2;
+    const raw = {};
+    columns.forEach((field, column) => {
+      if (field && cells[column] !== undefined) {
+        raw[field] = cells[column];
+      }
+    });
+
+    const errors = [];
+    const { department, ...payload } = raw;
+
+    if (department !== undefined) {
+      const departmentId = departmentsByName.get(department.toLowerCase());
+      if (departmentId) {
+        payload.department_id = departmentId;
+      } else {
+        errors.push({
+          field: "department",
+          message: `department "${department}" does not exist`,
+        });
+      }
+    }
+
+    const { error, value } = createEmployee.validate(payload, {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } },
+    });
+    if (error) {
+      errors.push(
+        ...error.details.map((detail) => ({
+          field: detail.path.join("."),
+          message: detail.message,
+        }))
+      );
+    }
+
+    if (
+      value &&
+      value.department_id &&
+      !departmentIds.has(value.department_id)
+    ) {
+      errors.push({
+        field: "department_id",
+        message: "department_id does not exist",
+      });
+    }
+
+    if (value && value.employee_id) {
+      const key = value.employee_id.toLowerCase();
+      if (existingEmployeeIds.has(key)) {
+        errors.push({
+          field: "employee_id",
+          message: "employee_id already exists",
+        });
+      } else if (seenEmployeeIds.has(key)) {
+        errors.push({
+          field: "employee_id",
+          message: "employee_id is repeated in the file",
+        });
+      }
+      seenEmployeeIds.add(key);
+    }
+
+    if (value && value.email) {
+      const key = value.email.toLowerCase();
+      if (existingEmails.has(key)) {
+        errors.push({ field: "email", message: "email already exists" });
+      } else if (seenEmails.has(key)) {
+        errors.push({
+          field: "email",
+          message: "email is repeated in the file",
+        });
+      }
+      seenEmails.add(key);
+    }
+
+    return errors.length > 0
+      ? { row: rowNumber, data: raw, errors }
+      : { row: rowNumber, data: value, errors: [] };
+  });
+}
+
+// Values for an INSERT of EMPLOYEE_FIELDS from a validated row
+function insertValues(employee) {
+  return EMPLOYEE_FIELDS.map((field) =>
+    employee[field] === undefined ? null : employee[field]
+  );
+}
+
+function exportColumns({ includeSalary }) {
+  return EXPORT_COLUMNS.filter((column) => includeSalary || !column.salary);
+}
+
+function exportRow(employee, columns) {
+  return columns.map(({ key }) => {
+    const value = employee[key];
+    if (key === "hire_date" || key === "birth_date") {
+      return toDateString(value);
+    }
+    if (key === "salary" && value !== null && value !== undefined) {
+      return Number(value);
+    }
+    return value === null || value === undefined ? "" : value;
+  });
+}
+
+function toCsv(employees, options) {
+  const columns = exportColumns(options);
+  return stringify(
+    [
+      columns.map((column) => column.header),
+      ...employees.map((employee) => exportRow(employee, columns)),
+    ],
+    { bom: true }
+  );
+}
+
+async function toXlsx(employees, options) {
+  const columns = exportColumns(options);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Employees");
+
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 4, 14),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  employees.forEach((employee) => sheet.addRow(exportRow(employee, columns)));
+
+  const salaryColumn = columns.findIndex((column) => column.key === "salary");
+  if (salaryColumn >= 0) {
+    sheet.getColumn(salaryColumn + 1).numFmt = "#,##0.00";
+  }
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  FORMATS,
+  HEADER_ALIASES,
+  resolveColumns,
+  readTable,
+  validateRows,
+  insertValues,
+  toCsv,
+  toXlsx,
+};
@@ -0,0 +1,191 @@
+const httpError = require("../utilities/httperror");
+const { isDateString, toDateString } = require("../utilities/dates");
+
+const STATUSES = ["active", "on_leave", "inactive"];
+
+// Statuses that still count toward the active headcount and payroll
+const HEADCOUNT_STATUSES = ["active", "on_leave"];
+
+// Refusal of a write made from an outdated copy of an employee
+const STALE_EMPLOYEE =
+  "Employee was changed by someone else; reload it and try again";
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Sortable fields exposed to clients, mapped to SQL columns
+const SORT_FIELDS = {
+  id: "e.id",
+  employee_id: "e.employee_id",
+  first_name: "e.first_name",
+  last_name: "e.last_name",
+  email: "e.email",
+  position: "e.position",
+  department: "d.name",
+  hire_date: "e.hire_date",
+  status: "e.status",
+  salary: "e.salary",
+  created_at: "e.created_at",
+};
+
+// Filters that reveal compensation
+const SALARY_PARAMS = ["salary_min", "salary_max"];
+
+function toList(value) {
+  if (value === undefined || value === "") {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+// Turn list query parameters into WHERE/ORDER BY clauses.
+// Supports status, department_id, hire_from/hire_to, salary_min/salary_max,
+// a free-text q over name, email and employee number, and sort such as
+// "last_name,-hire_date" (a leading "-" sorts descending). Deleted employees
+// are left out unless include_deleted=true.
+function buildListQuery(query, { allowSalary }) {
+  const where = [];
+  const params = [];
+
+  if (String(query.include_deleted) !== "true") {
+    where.push("e.deleted_at IS NULL");
+  }
+
+  const statuses = toList(query.status);
+  if (statuses.length > 0) {
+    const invalid = statuses.filter((status) => !STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw httpError(400, `status must be one of: ${STATUSES.join(", ")}`);
+    }
+    where.push(`e.status IN (${statuses.map(() => "?").join(", ")})`);
+    params.push(...statuses);
+  }
+
+  const departmentIds = toList(query.department_id);
+  if (departmentIds.length > 0) {
+    if (departmentIds.some((id) => !/^\d+$/.test(id))) {
+      throw httpError(400, "department_id must be numeric");
+    }
+    where.push(
+      `e.department_id IN (${departmentIds.map(() => "?").join(", ")})`
+    );
+    params.push(...departmentIds.map(Number));
+  }
+
+  for (const [key, clause] of [
+    ["hire_from", "e.hire_date >= ?"],
+    ["hire_to", "e.hire_date <= ?"],
+  ]) {
+    if (query[key] !== undefined) {
+      if (!isDateString(query[key])) {
+        throw httpError(400, `${key} must be in YYYY-MM-DD format`);
+      }
+      where.push(clause);
+      params.push(query[key]);
+    }
+  }
+
+  for (const [key, clause] of [
+    ["salary_min", "e.salary >= ?"],
+    ["salary_max", "e.salary <= ?"],
+  ]) {
+    if (query[key] !== undefined) {
+      const amount = Number(query[key]);
+      if (!Number.isFinite(amount)) {
+        throw httpError(400, `${key} must be a number`);
+      }
+      where.push(clause);
+      params.push(amount);
+    }
+  }
+
+  if (!allowSalary && SALARY_PARAMS.some((key) => query[key] !== undefined)) {
+    throw httpError(403, "Insufficient permissions to filter by salary");
+  }
+
+  if (query.q) {
+    const term = `%${String(query.q)
+      .trim()
+      .replace(/[\\%_]/g, "\\$&")}%`;
+    where.push(
+      `(e.first_name LIKE ? OR e.last_name LIKE ? OR CONCAT(e.first_name, ' ', e.last_name) LIKE ?
+        OR e.email LIKE ? OR e.employee_id LIKE ?)`
+    );
+    params.push(term, term, term, term, term);
+  }
+
+  const order = toList(query.sort || "last_name,first_name").map((field) => {
+    const descending = field.startsWith("-");
+    const name = descending ? field.slice(1) : field;
+
+    if (!SORT_FIELDS[name]) {
+      throw httpError(
+        400,
+        `sort must use: ${Object.keys(SORT_FIELDS).join(", ")}`
+      );
+    }
+    if (name === "salary" && !allowSalary) {
+      throw httpError(403, "Insufficient permissions to sort by salary");
+    }
+    return `${SORT_FIELDS[name]} ${descending ? "DESC" : "ASC"}`;
+  });
+  // Stable ordering across pages
+  order.push("e.id ASC");
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return {
+    whereSql: where.length > 0 ? `WHERE ${where.join(" AND ")}` : "",
+    orderSql: `ORDER BY ${order.join(", ")}`,
+    params,
+    page,
+    limit,
+  };
+}
+
+// When each of the given employees was separated within a date range,
+// keyed by employee id: their recorded separation date or, for employees
+// made inactive without one, the latest change of their status to inactive
+async function getSeparationDates(db, employeeIds, from, to) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [recorded] = await db.query(
+    `SELECT id AS employee_id, separation_date AS separated_on
+     FROM employees
+     WHERE id IN (?) AND separation_date BETWEEN ? AND ?`,
+    [employeeIds, from, to]
+  );
+  const [changes] = await db.query(
+    `SELECT entity_id AS employee_id, MAX(DATE(created_at)) AS separated_on
+     FROM audit_logs
+     WHERE entity = 'employee' AND action = 'update' AND entity_id IN (?)
+       AND JSON_UNQUOTE(JSON_EXTRACT(after_data, '$.status')) = 'inactive'
+       AND JSON_UNQUOTE(JSON_EXTRACT(before_data, '$.status')) <> 'inactive'
+       AND entity_id NOT IN (
+             SELECT id FROM employees WHERE separation_date IS NOT NULL
+           )
+       AND created_at >= ? AND created_at < DATE_ADD(?, INTERVAL 1 DAY)
+     GROUP BY entity_id`,
+    [employeeIds, from, to]
+  );
+  return [...changes, ...recorded].reduce((dates, row) => {
+    dates[row.employee_id] = toDateString(row.separated_on);
+    return dates;
+  }, {});
+}
+
+module.exports = {
+  STATUSES,
+  HEADCOUNT_STATUSES,
+  STALE_EMPLOYEE,
+  SORT_FIELDS,
+  buildListQuery,
+  getSeparationDates,
+};
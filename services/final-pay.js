@@ -0,0 +1,202 @@
+const httpError = require("../utilities/httperror");
+const { formatMoney } = require("../utilities/money");
+const { toDateString } = require("../utilities/dates");
+const payroll = require("./payroll");
+const payRules = require("./pay-rules");
+const loans = require("./loans");
+const separation = require("./separation");
+const compensation = require("./compensation");
+const { formatDate } = require("./payslips");
+const { COMPANY } = require("./company");
+const pdf = require("./pdf");
+
+async function getEmployee(db, employeeId) {
+  const [rows] = await db.query(
+    `SELECT e.*, d.name AS department_name
+     FROM employees e
+     LEFT JOIN departments d ON e.department_id = d.id
+     WHERE e.id = ?`,
+    [employeeId]
+  );
+  if (rows.length === 0) {
+    throw httpError(404, "Employee not found");
+  }
+  return rows[0];
+}
+
+// The payslip a final pay run paid or is paying the employee, if any
+async function getFinalPayslip(db, employeeId) {
+  const [rows] = await db.query(
+    `SELECT ps.*, r.status AS run_status, p.pay_date
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id = ? AND r.run_type = 'final_pay'`,
+    [employeeId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [lines] = await db.query(
+    "SELECT * FROM payslip_lines WHERE payslip_id = ? ORDER BY id",
+    [rows[0].id]
+  );
+  return {
+    ...rows[0],
+    lines: lines.map((line) => ({ ...line, amount: Number(line.amount) })),
+  };
+}
+
+// A separated employee's final pay: the payslip of the final pay run that
+// includes them or, until one does, an estimate computed the same way as of
+// the separation date. Loans final pay could not cover stay outstanding.
+async function getFinalPay(db, employeeId) {
+  const employee = await getEmployee(db, employeeId);
+  const separationDate = toDateString(employee.separation_date);
+  if (!separationDate) {
+    throw httpError(400, "Employee has not been separated");
+  }
+
+  let payslip = await getFinalPayslip(db, employee.id);
+  let outstandingLoans;
+  if (payslip) {
+    outstandingLoans = loans.offsetLoans(
+      0,
+      (await loans.getOutstandingLoans(db, [employee.id]))[employee.id] || []
+    ).outstanding;
+  } else {
+    const { context } = await payroll.getFinalPayContext(db, [employee], {
+      id: 0,
+      period_start: separationDate,
+      period_end: separationDate,
+    });
+    payslip = payroll.computeFinalPayPayslip(employee, context);
+    outstandingLoans = payslip.outstanding_loans;
+  }
+
+  const { rules } = await payRules.getRules(db, separationDate);
+  const severance = separation.separationPay(
+    employee,
+    rules,
+    compensation.monthlyRateOn(
+      compensation.timelineFor(
+        employee,
+        await compensation.getTimelines(db, [employee.id])
+      ),
+      separationDate,
+      rules
+    )
+  );
+  const lines = (predicate) =>
+    payslip.lines
+      .filter(predicate)
+      .map(({ code, description, amount }) => ({ code, description, amount }));
+
+  return {
+    employee: {
+      id: employee.id,
+      employee_number: employee.employee_id,
+      first_name: employee.first_name,
+      middle_name: employee.middle_name,
+      last_name: employee.last_name,
+      position: employee.position,
+      department_name: employee.department_name,
+      hire_date: toDateString(employee.hire_date),
+      separation_date: separationDate,
+      separation_reason: employee.separation_reason,
+      separation_notes: employee.separation_notes,
+    },
+    reason: severance.label,
+    service: severance.service,
+    separation_pay: {
+      code: severance.code,
+      amount: severance.amount,
+      basis: severance.basis,
+    },
+    payroll_run_id: payslip.payroll_run_id || null,
+    status: payslip.run_status || "estimate",
+    pay_date: toDateString(payslip.pay_date),
+    earnings: lines((line) => line.line_type === "earning"),
+    deductions: lines((line) => line.line_type === "deduction"),
+    gross_pay: Number(payslip.gross_pay),
+    total_deductions: Number(payslip.total_deductions),
+    net_pay: Number(payslip.net_pay),
+    taxable_income: Number(payslip.taxable_income),
+    withholding_tax: Number(payslip.withholding_tax),
+    outstanding_loans: outstandingLoans,
+  };
+}
+
+function employeeName(employee) {
+  return [employee.first_name, employee.middle_name, employee.last_name]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Everything the final pay summary template shows, with amounts formatted
+function summaryView(finalPay) {
+  const rows = (lines) =>
+    lines.map((line) => ({
+      description: line.description,
+      amount: formatMoney(line.amount),
+    }));
+  const { employee } = finalPay;
+
+  return {
+    title: `Final pay ${employee.employee_number}`,
+    company: { name: COMPANY.name, address: COMPANY.address },
+    estimate: finalPay.status === "estimate",
+    status: finalPay.status,
+    pay_date: formatDate(finalPay.pay_date),
+    employee: {
+      number: employee.employee_number,
+      name: employeeName(employee),
+      position: employee.position || "",
+      department: employee.department_name || "",
+      hire_date: formatDate(employee.hire_date),
+      separation_date: formatDate(employee.separation_date),
+    },
+    reason: finalPay.reason,
+    service: finalPay.service,
+    separation_pay_basis: finalPay.separation_pay.basis,
+    earnings: rows(finalPay.earnings),
+    deductions: rows(finalPay.deductions),
+    gross_pay: formatMoney(finalPay.gross_pay),
+    total_deductions: formatMoney(finalPay.total_deductions),
+    net_pay: formatMoney(finalPay.net_pay),
+    outstanding_loans: rows(finalPay.outstanding_loans),
+    generated_on: formatDate(new Date()),
+  };
+}
+
+function generateSummary(app, finalPay) {
+  return pdf.generate(app, "final-pay", summaryView(finalPay));
+}
+
+// A certificate of employment states when the employee worked here and as
+// what, and nothing about pay; current employees may ask for one too
+async function generateCertificate(app, db, employeeId) {
+  const employee = await getEmployee(db, employeeId);
+  const separationDate = toDateString(employee.separation_date);
+
+  return pdf.generate(app, "certificate-of-employment", {
+    title: `Certificate of employment ${employee.employee_id}`,
+    company: { name: COMPANY.name, address: COMPANY.address },
+    employee: {
+      name: employeeName(employee),
+      position: employee.position || "",
+      department: employee.department_name || "",
+      hire_date: formatDate(employee.hire_date),
+      separation_date: separationDate ? formatDate(separationDate) : null,
+    },
+    issued_on: formatDate(new Date()),
+  });
+}
+
+module.exports = {
+  getFinalPay,
+  summaryView,
+  generateSummary,
+  generateCertificate,
+};
@@ -0,0 +1,38 @@
+const { toDateString } = require("../utilities/dates");
+
+// Regular holidays and special (non-working) days
+const TYPES = ["regular", "special"];
+
+function normalizeHoliday(row) {
+  return { ...row, holiday_date: toDateString(row.holiday_date) };
+}
+
+// Holidays between two dates, oldest first
+async function list(db, from, to) {
+  const [rows] = await db.query(
+    `SELECT * FROM holidays
+     WHERE holiday_date >= ? AND holiday_date <= ?
+     ORDER BY holiday_date, type, name`,
+    [from, to]
+  );
+  return rows.map(normalizeHoliday);
+}
+
+// Holidays keyed by YYYY-MM-DD; a date can carry more than one
+async function getCalendar(db, from, to) {
+  const calendar = new Map();
+  for (const holiday of await list(db, from, to)) {
+    if (!calendar.has(holiday.holiday_date)) {
+      calendar.set(holiday.holiday_date, []);
+    }
+    calendar.get(holiday.holiday_date).push(holiday);
+  }
+  return calendar;
+}
+
+module.exports = {
+  TYPES,
+  normalizeHoliday,
+  list,
+  getCalendar,
+};
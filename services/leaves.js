@@ -0,0 +1,519 @@
+const { getPool } = require("../dbconfig");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, isDateString, addDays } = require("../utilities/dates");
+const attendance = require("./attendance");
+const holidays = require("./holidays");
+const payRules = require("./pay-rules");
+const audit = require("./audit");
+const { HEADCOUNT_STATUSES } = require("./employees");
+
+const ACCRUALS = ["monthly", "annual", "none"];
+const REQUEST_STATUSES = ["pending", "approved", "rejected", "cancelled"];
+
+// Leave types with an accrual keep a yearly balance; the others (maternity,
+// paternity, leave without pay) are only capped per request
+function tracksBalance(type) {
+  return type.accrual !== "none";
+}
+
+function availableDays(balance) {
+  return round2(
+    Number(balance.carried_over_days) +
+      Number(balance.accrued_days) -
+      Number(balance.used_days) -
+      Number(balance.converted_days) -
+      Number(balance.forfeited_days)
+  );
+}
+
+function formatRequest(row) {
+  return {
+    ...row,
+    start_date: toDateString(row.start_date),
+    end_date: toDateString(row.end_date),
+    half_day: Boolean(row.half_day),
+    days: Number(row.days),
+  };
+}
+
+async function getType(db, id) {
+  const [rows] = await db.query("SELECT * FROM leave_types WHERE id = ?", [id]);
+  return rows[0] || null;
+}
+
+async function getRequest(db, id, { lock = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT lr.*, lt.code AS leave_code, lt.name AS leave_name, lt.is_paid,
+            lt.accrual, lt.entitlement_days,
+            e.employee_id AS employee_number, e.first_name, e.last_name
+     FROM leave_requests lr
+     JOIN leave_types lt ON lr.leave_type_id = lt.id
+     JOIN employees e ON lr.employee_id = e.id
+     WHERE lr.id = ?${lock ? " FOR UPDATE" : ""}`,
+    [id]
+  );
+  return rows[0] ? formatRequest(rows[0]) : null;
+}
+
+// Working days between two dates for an employee: rest days of their work
+// schedule and holidays are not charged against leave
+async function countLeaveDays(db, employee, startDate, endDate, halfDay) {
+  const schedule = attendance.scheduleFor(
+    employee,
+    await attendance.getSchedules(db)
+  );
+  const calendar = await holidays.getCalendar(db, startDate, endDate);
+
+  let days = 0;
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    if (!attendance.isRestDay(date, schedule) && !calendar.has(date)) {
+      days += 1;
+    }
+  }
+  return halfDay ? Math.min(days, 0.5) : days;
+}
+
+// An employee's balances for a year, one entry per leave type
+async function getBalances(db, employeeId, year) {
+  const [rows] = await db.query(
+    `SELECT lt.id AS leave_type_id, lt.code, lt.name, lt.is_paid, lt.accrual,
+            lb.id, lb.year, lb.carried_over_days, lb.accrued_days, lb.used_days,
+            lb.converted_days, lb.forfeited_days, lb.conversion_amount, lb.closed_at,
+            (SELECT COALESCE(SUM(lr.days), 0) FROM leave_requests lr
+             WHERE lr.employee_id = ? AND lr.leave_type_id = lt.id
+               AND lr.status = 'pending' AND YEAR(lr.start_date) = ?) AS pending_days
+     FROM leave_types lt
+     LEFT JOIN leave_balances lb
+       ON lb.leave_type_id = lt.id AND lb.employee_id = ? AND lb.year = ?
+     WHERE lt.accrual <> 'none'
+     ORDER BY lt.code`,
+    [employeeId, year, employeeId, year]
+  );
+
+  return rows.map((row) => {
+    const balance = {
+      leave_type_id: row.leave_type_id,
+      code: row.code,
+      name: row.name,
+      is_paid: Boolean(row.is_paid),
+      accrual: row.accrual,
+      year: Number(year),
+      carried_over_days: Number(row.carried_over_days) || 0,
+      accrued_days: Number(row.accrued_days) || 0,
+      used_days: Number(row.used_days) || 0,
+      converted_days: Number(row.converted_days) || 0,
+      forfeited_days: Number(row.forfeited_days) || 0,
+      conversion_amount: Number(row.conversion_amount) || 0,
+      pending_days: Number(row.pending_days) || 0,
+      closed: Boolean(row.closed_at),
+    };
+    balance.available_days = availableDays(balance);
+    return balance;
+  });
+}
+
+// An employee's unused convertible leave in the years up to and including
+// the one they left in, from balances no year-end close has settled yet
+async function getConvertibleBalances(db, employeeId, year) {
+  const [rows] = await db.query(
+    `SELECT lb.*, lt.code, lt.name FROM leave_balances lb
+     JOIN leave_types lt ON lb.leave_type_id = lt.id
+     WHERE lb.employee_id = ? AND lb.year <= ? AND lb.closed_at IS NULL
+       AND lt.convertible
+     ORDER BY lb.year, lt.code`,
+    [employeeId, year]
+  );
+  return rows
+    .map((row) => ({
+      leave_type_id: row.leave_type_id,
+      code: row.code,
+      name: row.name,
+      year: row.year,
+      available_days: Math.max(availableDays(row), 0),
+    }))
+    .filter((balance) => balance.available_days > 0);
+}
+
+// Days still available for new requests: balance less pending requests
+async function checkAvailable(db, request, type, excludeRequestId) {
+  const year = Number(request.start_date.slice(0, 4));
+  const [balances] = await db.query(
+    `SELECT * FROM leave_balances
+     WHERE employee_id = ? AND leave_type_id = ? AND year = ?`,
+    [request.employee_id, type.id, year]
+  );
+  const [pending] = await db.query(
+    `SELECT COALESCE(SUM(days), 0) AS days FROM leave_requests
+     WHERE employee_id = ? AND leave_type_id = ? AND status = 'pending'
+       AND YEAR(start_date) = ? AND id <> ?`,
+    [request.employee_id, type.id, year, excludeRequestId || 0]
+  );
+
+  const available = balances[0] ? availableDays(balances[0]) : 0;
+  const remaining = round2(available - Number(pending[0].days));
+  if (request.days > remaining) {
+    throw httpError(
+      400,
+      `Insufficient ${type.name.toLowerCase()} balance: ${remaining} days available`
+    );
+  }
+}
+
+// File a leave request for an employee
+async function fileRequest(db, input, user) {
+  const startDate = input.start_date;
+  const endDate = input.end_date || input.start_date;
+  if (!isDateString(startDate) || !isDateString(endDate)) {
+    throw httpError(
+      400,
+      "start_date and end_date must be real YYYY-MM-DD dates"
+    );
+  }
+  if (endDate < startDate) {
+    throw httpError(400, "end_date must not be before start_date");
+  }
+  if (startDate.slice(0, 4) !== endDate.slice(0, 4)) {
+    throw httpError(
+      400,
+      "A leave request cannot span two years; file one per year"
+    );
+  }
+  if (input.half_day && startDate !== endDate) {
+    throw httpError(400, "A half-day leave must start and end on one day");
+  }
+
+  const [employees] = await db.query(
+    "SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL",
+    [input.employee_id]
+  );
+  const employee = employees[0];
+  if (!employee) {
+    throw httpError(404, "Employee not found");
+  }
+  if (!HEADCOUNT_STATUSES.includes(employee.status)) {
+    throw httpError(400, `Cannot file leave for a ${employee.status} employee`);
+  }
+
+  const type = await getType(db, input.leave_type_id);
+  if (!type) {
+    throw httpError(400, "leave_type_id does not exist");
+  }
+
+  const days = await countLeaveDays(
+    db,
+    employee,
+    startDate,
+    endDate,
+    input.half_day
+  );
+  if (days === 0) {
+    throw httpError(400, "The requested dates are all rest days or holidays");
+  }
+
+  const [overlapping] = await db.query(
+    `SELECT id FROM leave_requests
+     WHERE employee_id = ? AND status IN ('pending', 'approved')
+       AND start_date <= ? AND end_date >= ?`,
+    [employee.id, endDate, startDate]
+  );
+  if (overlapping.length > 0) {
+    throw httpError(
+      400,
+      `The dates overlap leave request #${overlapping[0].id}`
+    );
+  }
+
+  const request = {
+    employee_id: employee.id,
+    start_date: startDate,
+    end_date: endDate,
+    days,
+  };
+  if (tracksBalance(type)) {
+    await checkAvailable(db, request, type);
+  } else if (Number(type.entitlement_days) > 0) {
+    if (days > Number(type.entitlement_days)) {
+      throw httpError(
+        400,
+        `${type.name} is limited to ${Number(type.entitlement_days)} days`
+      );
+    }
+  }
+
+  const [result] = await db.query(
+    `INSERT INTO leave_requests
+       (employee_id, leave_type_id, start_date, end_date, half_day, days, reason, requested_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      employee.id,
+      type.id,
+      startDate,
+      endDate,
+      Boolean(input.half_day),
+      days,
+      input.reason || null,
+      user.id,
+    ]
+  );
+
+  return getRequest(db, result.insertId);
+}
+
+// Move a pending or approved request to a new status inside a transaction,
+// charging or refunding the balance as needed
+async function review(requestId, req, { status, notes, allowedFrom }) {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const request = await getRequest(connection, requestId, { lock: true });
+    if (!request) {
+      throw httpError(404, "Leave request not found");
+    }
+    if (!allowedFrom.includes(request.status)) {
+      throw httpError(
+        400,
+        `Cannot ${verb(status)} a ${request.status} request`
+      );
+    }
+
+    const type = await getType(connection, request.leave_type_id);
+    const year = Number(request.start_date.slice(0, 4));
+
+    if (tracksBalance(type) && status === "approved") {
+      await checkAvailable(connection, request, type, request.id);
+      await connection.query(
+        `INSERT INTO leave_balances (employee_id, leave_type_id, year, used_days)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE used_days = used_days + VALUES(used_days)`,
+        [request.employee_id, type.id, year, request.days]
+      );
+    }
+    if (
+      tracksBalance(type) &&
+      request.status === "approved" &&
+      status === "cancelled"
+    ) {
+      await connection.query(
+        `UPDATE leave_balances SET used_days = GREATEST(used_days - ?, 0)
+         WHERE employee_id = ? AND leave_type_id = ? AND year = ?`,
+        [request.days, request.employee_id, type.id, year]
+      );
+    }
+
+    await connection.query(
+      `UPDATE leave_requests
+       SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+       WHERE id = ?`,
+      [status, req.user.id, notes || null, request.id]
+    );
+
+    const after = await getRequest(connection, request.id);
+    await audit.record(connection, req, {
+      entity: "leave_request",
+      entityId: request.id,
+      action: "update",
+      before: request,
+      after,
+    });
+
+    await connection.commit();
+    return after;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+function verb(status) {
+  return { approved: "approve", rejected: "reject", cancelled: "cancel" }[
+    status
+  ];
+}
+
+function approveRequest(requestId, req, notes) {
+  return review(requestId, req, {
+    status: "approved",
+    notes,
+    allowedFrom: ["pending"],
+  });
+}
+
+function rejectRequest(requestId, req, notes) {
+  return review(requestId, req, {
+    status: "rejected",
+    notes,
+    allowedFrom: ["pending"],
+  });
+}
+
+function cancelRequest(requestId, req, notes) {
+  return review(requestId, req, {
+    status: "cancelled",
+    notes,
+    allowedFrom: ["pending", "approved"],
+  });
+}
+
+// Credit one month of accrual. Monthly types earn 1/12 of the yearly
+// entitlement every month; annual types are credited in full in January.
+// Each month can only be accrued once.
+async function runAccrual(year, month, user) {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [existing] = await connection.query(
+      "SELECT year FROM leave_accrual_runs WHERE year = ? AND month = ? FOR UPDATE",
+      [year, month]
+    );
+    if (existing.length > 0) {
+      throw httpError(400, `Leave for ${year}-${month} was already accrued`);
+    }
+
+    const monthEnd = toDateString(new Date(year, month, 0));
+    const [types] = await connection.query(
+      "SELECT * FROM leave_types WHERE accrual = 'monthly' OR (accrual = 'annual' AND ? = 1)",
+      [month]
+    );
+    const [employees] = await connection.query(
+      `SELECT id FROM employees
+       WHERE status IN (?) AND deleted_at IS NULL
+         AND (hire_date IS NULL OR hire_date <= ?)`,
+      [HEADCOUNT_STATUSES, monthEnd]
+    );
+
+    for (const employee of employees) {
+      for (const type of types) {
+        const days =
+          type.accrual === "monthly"
+            ? round2(Number(type.entitlement_days) / 12)
+            : Number(type.entitlement_days);
+        await connection.query(
+          `INSERT INTO leave_balances (employee_id, leave_type_id, year, accrued_days)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE accrued_days = accrued_days + VALUES(accrued_days)`,
+          [employee.id, type.id, year, days]
+        );
+      }
+    }
+
+    await connection.query(
+      `INSERT INTO leave_accrual_runs (year, month, employee_count, created_by)
+       VALUES (?, ?, ?, ?)`,
+      [year, month, employees.length, user.id]
+    );
+
+    await connection.commit();
+    return {
+      year,
+      month,
+      employee_count: employees.length,
+      types: types.length,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Close a leave year. Unused days carry over up to the type's limit; the
+// excess is converted to cash at the daily rate for convertible types and
+// forfeited for the others. Conversions are paid by the next payroll run.
+// Balances of employees who left by year-end are paid with their final pay
+// instead, and stay open.
+async function closeYear(year) {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const { rules } = await payRules.getRules(connection, `${year}-12-31`);
+    const [balances] = await connection.query(
+      `SELECT lb.*, lt.max_carry_over_days, lt.convertible, e.salary
+       FROM leave_balances lb
+       JOIN leave_types lt ON lb.leave_type_id = lt.id
+       JOIN employees e ON lb.employee_id = e.id
+       WHERE lb.year = ? AND lb.closed_at IS NULL
+         AND (e.separation_date IS NULL OR e.separation_date > ?)
+       FOR UPDATE`,
+      [year, `${year}-12-31`]
+    );
+
+    const totals = { balances: 0, carried_over: 0, converted: 0, amount: 0 };
+    for (const balance of balances) {
+      const remaining = Math.max(availableDays(balance), 0);
+      const carried = Math.min(remaining, Number(balance.max_carry_over_days));
+      const excess = round2(remaining - carried);
+      const converted = balance.convertible ? excess : 0;
+      const amount = round2(
+        converted * payRules.dailyRate(Number(balance.salary) || 0, rules)
+      );
+
+      await connection.query(
+        `UPDATE leave_balances
+         SET converted_days = ?, forfeited_days = ?, conversion_amount = ?,
+             closed_at = NOW()
+         WHERE id = ?`,
+        [converted, round2(excess - converted), amount, balance.id]
+      );
+
+      if (carried > 0) {
+        await connection.query(
+          `INSERT INTO leave_balances (employee_id, leave_type_id, year, carried_over_days)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE carried_over_days = VALUES(carried_over_days)`,
+          [balance.employee_id, balance.leave_type_id, year + 1, carried]
+        );
+      }
+
+      totals.balances += 1;
+      totals.carried_over += carried;
+      totals.converted += converted;
+      totals.amount += amount;
+    }
+
+    await connection.commit();
+    return {
+      year,
+      balances: totals.balances,
+      carried_over_days: round2(totals.carried_over),
+      converted_days: round2(totals.converted),
+      conversion_amount: round2(totals.amount),
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  ACCRUALS,
+  REQUEST_STATUSES,
+  tracksBalance,
+  availableDays,
+  formatRequest,
+  getType,
+  getRequest,
+  countLeaveDays,
+  getBalances,
+  getConvertibleBalances,
+  fileRequest,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+  runAccrual,
+  closeYear,
+};
@@ -0,0 +1,377 @@
+const { getPool } = require("../dbconfig");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, isDateString } = require("../utilities/dates");
+
+// Loan types with their payslip line, in the order payroll deducts them:
+// government loans first, then company loans, then cash advances
+const LOAN_TYPES = {
+  sss_salary: { code: "SSS_LOAN", description: "SSS salary loan" },
+  pagibig_mpl: {
+    code: "PAGIBIG_LOAN",
+    description: "Pag-IBIG multi-purpose loan",
+  },
+  company: { code: "COMPANY_LOAN", description: "Company loan" },
+  cash_advance: { code: "CASH_ADVANCE", description: "Cash advance" },
+};
+
+const STATUSES = ["active", "paused", "paid", "cancelled"];
+
+// How each ledger entry moves the balance; adjustments carry their own sign
+const ENTRY_EFFECTS = {
+  disbursement: 1,
+  deduction: -1,
+  skipped: 0,
+  payment: -1,
+  adjustment: 1,
+};
+
+function formatLoan(row) {
+  return {
+    ...row,
+    start_date: toDateString(row.start_date),
+    principal: Number(row.principal),
+    amortization: Number(row.amortization),
+    balance: Number(row.balance),
+  };
+}
+
+// Ledger entries oldest first, each with the loan's running balance
+function withRunningBalance(entries) {
+  const balances = {};
+  return entries.map((entry) => {
+    const amount = Number(entry.amount);
+    balances[entry.loan_id] = round2(
+      (balances[entry.loan_id] || 0) + ENTRY_EFFECTS[entry.entry_type] * amount
+    );
+    return {
+      ...entry,
+      entry_date: toDateString(entry.entry_date),
+      amount,
+      balance: balances[entry.loan_id],
+    };
+  });
+}
+
+// Loans in the order payroll deducts them: by type, then oldest first
+function byPriority(loans) {
+  const types = Object.keys(LOAN_TYPES);
+  return [...loans].sort(
+    (a, b) =>
+      types.indexOf(a.loan_type) - types.indexOf(b.loan_type) ||
+      toDateString(a.start_date).localeCompare(toDateString(b.start_date)) ||
+      a.id - b.id
+  );
+}
+
+function loanLine(loan, amount) {
+  const { code, description } = LOAN_TYPES[loan.loan_type];
+  return {
+    line_type: "deduction",
+    code,
+    description: loan.reference_number
+      ? `${description} (${loan.reference_number})`
+      : description,
+    amount,
+  };
+}
+
+// Deduct an employee's loans from a payslip's net pay, in priority order.
+// A loan is skipped for the period, not partly deducted, when taking its
+// amortization would leave less than the minimum net pay.
+function applyLoans(netPay, loans, minimumNetPay = 0) {
+  const lines = [];
+  const entries = [];
+  let net = netPay;
+
+  for (const loan of byPriority(loans)) {
+    const amount = round2(
+      Math.min(Number(loan.amortization), Number(loan.balance))
+    );
+    if (amount <= 0) {
+      continue;
+    }
+
+    if (round2(net - amount) < minimumNetPay) {
+      entries.push({
+        loan_id: loan.id,
+        entry_type: "skipped",
+        amount: 0,
+        notes: "Net pay would fall below the minimum",
+      });
+      continue;
+    }
+
+    lines.push(loanLine(loan, amount));
+    entries.push({ loan_id: loan.id, entry_type: "deduction", amount });
+    net = round2(net - amount);
+  }
+
+  return { lines, entries };
+}
+
+// Offset what an employee still owes against their final pay: each loan's
+// whole balance in priority order, as far as net pay goes. outstanding is
+// what is left owing on each loan once final pay runs out.
+function offsetLoans(netPay, loans) {
+  const lines = [];
+  const entries = [];
+  const outstanding = [];
+  let net = Math.max(netPay, 0);
+
+  for (const loan of byPriority(loans)) {
+    const balance = Number(loan.balance);
+    const amount = round2(Math.min(balance, net));
+    if (amount > 0) {
+      lines.push(loanLine(loan, amount));
+      entries.push({
+        loan_id: loan.id,
+        entry_type: "deduction",
+        amount,
+        notes: "Offset against final pay",
+      });
+      net = round2(net - amount);
+    }
+    if (round2(balance - amount) > 0) {
+      outstanding.push({
+        loan_id: loan.id,
+        ...loanLine(loan, round2(balance - amount)),
+      });
+    }
+  }
+
+  return { lines, entries, outstanding };
+}
+
+// Active loans of the given employees that have started by a date
+async function getDueLoans(db, employeeIds, date) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM loans
+     WHERE employee_id IN (?) AND status = 'active' AND balance > 0
+       AND start_date <= ?`,
+    [employeeIds, date]
+  );
+  return rows.reduce((byEmployee, row) => {
+    (byEmployee[row.employee_id] = byEmployee[row.employee_id] || []).push(row);
+    return byEmployee;
+  }, {});
+}
+
+// Unpaid active and paused loans of the given employees, however far off
+// their next amortization
+async function getOutstandingLoans(db, employeeIds) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM loans
+     WHERE employee_id IN (?) AND status IN ('active', 'paused')
+       AND balance > 0`,
+    [employeeIds]
+  );
+  return rows.reduce((byEmployee, row) => {
+    (byEmployee[row.employee_id] = byEmployee[row.employee_id] || []).push(row);
+    return byEmployee;
+  }, {});
+}
+
+// Post one ledger entry and move the loan's balance; a loan whose balance
+// reaches zero is marked paid
+async function postEntry(db, loanId, entry, user) {
+  const change = round2(ENTRY_EFFECTS[entry.entry_type] * entry.amount);
+
+  await db.query(
+    `INSERT INTO loan_ledger
+       (loan_id, entry_date, entry_type, amount, payroll_run_id, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      loanId,
+      entry.entry_date,
+      entry.entry_type,
+      entry.amount,
+      entry.payroll_run_id || null,
+      entry.notes || null,
+      user ? user.id : null,
+    ]
+  );
+
+  if (change !== 0) {
+    await db.query(
+      `UPDATE loans
+       SET balance = balance + ?,
+           status = CASE
+             WHEN balance <= 0 AND status = 'active' THEN 'paid'
+             WHEN balance > 0 AND status = 'paid' THEN 'active'
+             ELSE status
+           END
+       WHERE id = ?`,
+      [change, loanId]
+    );
+  }
+}
+
+// Undo everything a payroll run posted, before it is recomputed or deleted:
+// its amortizations, and the adjustments an adjustment run gave back
+async function releaseRun(db, runId) {
+  await db.query(
+    `UPDATE loans l
+     JOIN (
+       SELECT loan_id,
+              SUM(IF(entry_type = 'deduction', amount, -amount)) AS amount
+       FROM loan_ledger
+       WHERE payroll_run_id = ? AND entry_type IN ('deduction', 'adjustment')
+       GROUP BY loan_id
+     ) d ON d.loan_id = l.id
+     SET l.balance = l.balance + d.amount,
+         l.status = IF(l.status = 'paid', 'active', l.status)`,
+    [runId]
+  );
+  await db.query("DELETE FROM loan_ledger WHERE payroll_run_id = ?", [runId]);
+}
+
+async function getLoan(db, id) {
+  const [rows] = await db.query(
+    `SELECT l.*, e.employee_id AS employee_number, e.first_name, e.last_name
+     FROM loans l
+     JOIN employees e ON l.employee_id = e.id
+     WHERE l.id = ?`,
+    [id]
+  );
+  return rows[0] ? formatLoan(rows[0]) : null;
+}
+
+// Ledger of one loan, or of every loan an employee has, oldest first
+async function getLedger(db, { loanId, employeeId }) {
+  const [rows] = await db.query(
+    `SELECT lg.*, l.employee_id, l.loan_type, l.reference_number
+     FROM loan_ledger lg
+     JOIN loans l ON lg.loan_id = l.id
+     WHERE ${loanId ? "lg.loan_id = ?" : "l.employee_id = ?"}
+     ORDER BY lg.entry_date, lg.id`,
+    [loanId || employeeId]
+  );
+  return withRunningBalance(rows);
+}
+
+// Grant a loan: the opening balance defaults to the principal, or is the
+// amount still owed on a loan taken out before it was tracked here
+async function createLoan(db, input, user) {
+  if (!isDateString(input.start_date)) {
+    throw httpError(400, "start_date must be in YYYY-MM-DD format");
+  }
+
+  const [employees] = await db.query(
+    "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+    [input.employee_id]
+  );
+  if (employees.length === 0) {
+    throw httpError(400, "employee_id does not exist");
+  }
+
+  const balance =
+    input.balance === undefined || input.balance === null
+      ? input.principal
+      : input.balance;
+  if (balance > input.principal) {
+    throw httpError(400, "balance cannot exceed the principal");
+  }
+
+  const [result] = await db.query(
+    `INSERT INTO loans
+       (employee_id, loan_type, reference_number, principal, amortization,
+        start_date, balance, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+    [
+      input.employee_id,
+      input.loan_type,
+      input.reference_number || null,
+      input.principal,
+      input.amortization,
+      input.start_date,
+      input.notes || null,
+      user ? user.id : null,
+    ]
+  );
+  await postEntry(
+    db,
+    result.insertId,
+    {
+      entry_date: input.start_date,
+      entry_type: "disbursement",
+      amount: balance,
+      notes: balance < input.principal ? "Opening balance carried over" : null,
+    },
+    user
+  );
+
+  return getLoan(db, result.insertId);
+}
+
+// Record a payment made outside payroll, or a signed correction of the
+// balance. Neither may take the balance below zero.
+async function recordEntry(loanId, input, user) {
+  if (!isDateString(input.entry_date)) {
+    throw httpError(400, "entry_date must be in YYYY-MM-DD format");
+  }
+
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      "SELECT * FROM loans WHERE id = ? FOR UPDATE",
+      [loanId]
+    );
+    if (rows.length === 0) {
+      throw httpError(404, "Loan not found");
+    }
+    if (rows[0].status === "cancelled") {
+      throw httpError(400, "Cannot post to a cancelled loan");
+    }
+
+    const balance = round2(
+      Number(rows[0].balance) + ENTRY_EFFECTS[input.entry_type] * input.amount
+    );
+    if (balance < 0) {
+      throw httpError(
+        400,
+        `amount exceeds the outstanding balance of ${rows[0].balance}`
+      );
+    }
+
+    await postEntry(connection, loanId, input, user);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return getLoan(pool, loanId);
+}
+
+module.exports = {
+  LOAN_TYPES,
+  STATUSES,
+  ENTRY_EFFECTS,
+  formatLoan,
+  withRunningBalance,
+  applyLoans,
+  offsetLoans,
+  getDueLoans,
+  getOutstandingLoans,
+  postEntry,
+  releaseRun,
+  getLoan,
+  getLedger,
+  createLoan,
+  recordEntry,
+};
@@ -0,0 +1,237 @@
+const httpError = require("../utilities/httperror");
+const { HEADCOUNT_STATUSES } = require("./employees");
+
+// Whether following parent links up from one id reaches another. A cycle
+// already in the data stops the walk instead of looping forever.
+function reaches(parents, from, target) {
+  const seen = new Set();
+  for (let id = from; id !== null && id !== undefined; id = parents.get(id)) {
+    if (id === target) {
+      return true;
+    }
+    if (seen.has(id)) {
+      return false;
+    }
+    seen.add(id);
+  }
+  return false;
+}
+
+// Nest rows under their parents. Rows whose parent is not among them, being
+// unset, deleted or filtered out, become roots.
+function buildTree(rows, parentKey, childrenKey) {
+  const nodes = new Map(
+    rows.map((row) => [row.id, { ...row, [childrenKey]: [] }])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node[parentKey]);
+    (parent ? parent[childrenKey] : roots).push(node);
+  }
+  return roots;
+}
+
+// Every employee, deleted or not, with whom they report to, by id
+async function getManagers(db) {
+  const [rows] = await db.query(
+    "SELECT id, manager_id, deleted_at FROM employees"
+  );
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+// Field errors for pointing an employee at a manager: the manager must be a
+// current employee, and neither the employee nor anyone reporting to them.
+// employeeId is null for an employee not created yet. employees come from
+// getManagers, loaded once when checking many employees.
+function managerErrors(employees, employeeId, managerId) {
+  if (managerId === undefined || managerId === null) {
+    return [];
+  }
+
+  const manager = employees.get(managerId);
+  if (!manager || manager.deleted_at) {
+    return [{ field: "manager_id", message: "manager_id does not exist" }];
+  }
+
+  const id = Number(employeeId);
+  const managers = new Map(
+    [...employees.values()].map((row) => [row.id, row.manager_id])
+  );
+  if (employeeId && reaches(managers, managerId, id)) {
+    return [
+      {
+        field: "manager_id",
+        message:
+          managerId === id
+            ? "An employee cannot be their own manager"
+            : "manager_id reports to this employee, which would make a cycle",
+      },
+    ];
+  }
+  return [];
+}
+
+// managerErrors against the employees on file now
+async function checkManager(db, employeeId, managerId) {
+  if (managerId === undefined || managerId === null) {
+    return [];
+  }
+  return managerErrors(await getManagers(db), employeeId, managerId);
+}
+
+// Field errors for a department's parent unit and head: both must exist and
+// not be deleted, and the parent cannot be the department or one nested
+// under it. departmentId is null for a department not created yet.
+async function checkDepartmentLinks(db, departmentId, input) {
+  const errors = [];
+
+  if (input.parent_id !== undefined && input.parent_id !== null) {
+    const [rows] = await db.query(
+      "SELECT id, parent_id, deleted_at FROM departments"
+    );
+    const parent = rows.find((row) => row.id === input.parent_id);
+    const id = Number(departmentId);
+    const parents = new Map(rows.map((row) => [row.id, row.parent_id]));
+
+    if (!parent || parent.deleted_at) {
+      errors.push({ field: "parent_id", message: "parent_id does not exist" });
+    } else if (departmentId && reaches(parents, input.parent_id, id)) {
+      errors.push({
+        field: "parent_id",
+        message:
+          input.parent_id === id
+            ? "A department cannot be its own parent"
+            : "parent_id is nested under this department, which would make a cycle",
+      });
+    }
+  }
+
+  if (input.head_employee_id !== undefined && input.head_employee_id !== null) {
+    const [rows] = await db.query(
+      "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+      [input.head_employee_id]
+    );
+    if (rows.length === 0) {
+      errors.push({
+        field: "head_employee_id",
+        message: "head_employee_id does not exist",
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Current departments with their head and headcount
+async function getDepartments(db) {
+  const [rows] = await db.query(
+    `SELECT d.id, d.name, d.description, d.parent_id, d.cost_center,
+            d.head_employee_id, h.employee_id AS head_employee_number,
+            h.first_name AS head_first_name, h.last_name AS head_last_name,
+            COUNT(e.id) AS employee_count
+     FROM departments d
+     LEFT JOIN employees h ON d.head_employee_id = h.id AND h.deleted_at IS NULL
+     LEFT JOIN employees e
+       ON e.department_id = d.id AND e.deleted_at IS NULL AND e.status IN (?)
+     WHERE d.deleted_at IS NULL
+     GROUP BY d.id
+     ORDER BY d.name`,
+    [HEADCOUNT_STATUSES]
+  );
+  return rows.map(
+    ({ head_employee_number, head_first_name, head_last_name, ...row }) => ({
+      ...row,
+      head: row.head_employee_id
+        ? {
+            id: row.head_employee_id,
+            employee_id: head_employee_number,
+            name: `${head_first_name} ${head_last_name}`,
+          }
+        : null,
+    })
+  );
+}
+
+// One department with the units nested under it, at any depth
+async function getDepartmentTree(db, departmentId) {
+  const roots = buildTree(await getDepartments(db), "parent_id", "children");
+  const pending = [...roots];
+  while (pending.length > 0) {
+    const node = pending.shift();
+    if (node.id === Number(departmentId)) {
+      return node;
+    }
+    pending.push(...node.children);
+  }
+  throw httpError(404, "Department not found");
+}
+
+// Current employees as they appear on the org chart
+async function getStaff(db) {
+  const [rows] = await db.query(
+    `SELECT e.id, e.employee_id, e.first_name, e.last_name, e.position,
+            e.department_id, d.name AS department_name, e.manager_id, e.status
+     FROM employees e
+     LEFT JOIN departments d ON e.department_id = d.id
+     WHERE e.deleted_at IS NULL AND e.status IN (?)
+     ORDER BY e.last_name, e.first_name, e.id`,
+    [HEADCOUNT_STATUSES]
+  );
+  return rows;
+}
+
+// Everyone reporting to an employee, directly (level 1) or through their
+// managers (level 2 and down), level by level
+async function getReports(db, employeeId) {
+  const [employees] = await db.query(
+    "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+    [employeeId]
+  );
+  if (employees.length === 0) {
+    throw httpError(404, "Employee not found");
+  }
+
+  const staff = await getStaff(db);
+  const reports = [];
+  const seen = new Set([employees[0].id]);
+  let level = 1;
+  let managers = [employees[0].id];
+  while (managers.length > 0) {
+    const next = staff.filter(
+      (person) => managers.includes(person.manager_id) && !seen.has(person.id)
+    );
+    next.forEach((person) => {
+      seen.add(person.id);
+      reports.push({ ...person, level });
+    });
+    managers = next.map((person) => person.id);
+    level += 1;
+  }
+
+  return {
+    direct: reports.filter((person) => person.level === 1).length,
+    total: reports.length,
+    reports,
+  };
+}
+
+// The whole organization: departments nested by parent unit, and current
+// employees nested by whom they report to
+async function getOrgChart(db) {
+  return {
+    departments: buildTree(await getDepartments(db), "parent_id", "children"),
+    employees: buildTree(await getStaff(db), "manager_id", "reports"),
+  };
+}
+
+module.exports = {
+  reaches,
+  buildTree,
+  getManagers,
+  managerErrors,
+  checkManager,
+  checkDepartmentLinks,
+  getDepartmentTree,
+  getReports,
+  getOrgChart,
+};
@@ -0,0 +1,189 @@
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+
+// Day classifications, each with its own rate in rules.day_rates
+const DAY_TYPES = [
+  "ordinary",
+  "rest_day",
+  "special",
+  "special_rest_day",
+  "regular",
+  "regular_rest_day",
+  "double_regular",
+  "double_regular_rest_day",
+];
+
+// Premium pay lines, in payslip order
+const PREMIUM_LINES = [
+  { code: "OT", description: "Overtime pay" },
+  { code: "NIGHT_DIFF", description: "Night differential" },
+  { code: "REST_DAY", description: "Rest day premium" },
+  { code: "HOLIDAY", description: "Holiday premium" },
+];
+
+// Classify a DTR day from its holidays and rest-day flag. Two regular
+// holidays on one date (e.g. Araw ng Kagitingan on Maundy Thursday) make
+// a double holiday; a regular holiday outranks a special day.
+function dayType(day) {
+  const regular = day.holidays.filter((h) => h.type === "regular").length;
+  const special = day.holidays.filter((h) => h.type === "special").length;
+
+  let type = "ordinary";
+  if (regular >= 2) {
+    type = "double_regular";
+  } else if (regular === 1) {
+    type = "regular";
+  } else if (special > 0) {
+    type = "special";
+  }
+
+  if (day.rest_day) {
+    return type === "ordinary" ? "rest_day" : `${type}_rest_day`;
+  }
+  return type;
+}
+
+// Daily and hourly rates from a rate on a monthly, daily or hourly pay basis
+function dailyRate(rate, rules, payBasis = "monthly") {
+  if (payBasis === "hourly") {
+    return rate * rules.hours_per_day;
+  }
+  if (payBasis === "daily") {
+    return rate;
+  }
+  return (rate * 12) / rules.days_per_year;
+}
+
+function hourlyRate(rate, rules, payBasis = "monthly") {
+  return dailyRate(rate, rules, payBasis) / rules.hours_per_day;
+}
+
+// Premium pay for one DTR day, as multiples of the hourly rate.
+// The monthly salary already pays 100% of a scheduled workday, so only the
+// excess over 100% is added there; rest-day work is paid in full.
+// Overtime is the day rate plus 25% (ordinary days) or 30% (any premium
+// day), and night differential is a share of whichever rate applies.
+function dayPremiums(day, rules) {
+  const type = dayType(day);
+  const rate = rules.day_rates[type];
+  const overtimeRate =
+    rate *
+    (1 +
+      (type === "ordinary"
+        ? rules.overtime_premium.ordinary
+        : rules.overtime_premium.premium_day));
+  const hours = (day.regular_minutes + day.rest_day_minutes) / 60;
+
+  return {
+    work_date: day.work_date,
+    day_type: type,
+    rate,
+    overtime_rate: round2(overtimeRate),
+    OT: (overtimeRate * day.overtime_minutes) / 60,
+    NIGHT_DIFF:
+      (rules.night_differential_rate *
+        (rate * day.night_minutes +
+          overtimeRate * day.overtime_night_minutes)) /
+      60,
+    [day.holidays.length > 0 ? "HOLIDAY" : "REST_DAY"]:
+      (rate - (day.rest_day ? 0 : 1)) * hours,
+  };
+}
+
+// Premium pay lines for an employee's DTR over a pay period. hourlyRateOn
+// gives the hourly rate in effect on a work date.
+function computePremiums(dtr, hourlyRateOn, rules) {
+  const days = dtr.days
+    .filter((day) => day.status === "present")
+    .map((day) => ({
+      ...dayPremiums(day, rules),
+      hourly_rate: hourlyRateOn(day.work_date),
+    }))
+    .filter((day) =>
+      PREMIUM_LINES.some(({ code }) => day[code] && day[code] > 0)
+    );
+
+  const lines = PREMIUM_LINES.map(({ code, description }) => ({
+    line_type: "earning",
+    code,
+    description,
+    amount: round2(
+      days.reduce((total, day) => total + (day[code] || 0) * day.hourly_rate, 0)
+    ),
+  })).filter((line) => line.amount > 0);
+
+  return {
+    hourly_rate: round2(hourlyRateOn(dtr.to)),
+    days: days.map((day) => ({
+      ...day,
+      hourly_rate: round2(day.hourly_rate),
+      ...PREMIUM_LINES.reduce((amounts, { code }) => {
+        amounts[code] = round2((day[code] || 0) * day.hourly_rate);
+        return amounts;
+      }, {}),
+    })),
+    lines,
+  };
+}
+
+// The pay rules in effect on a date
+async function getRules(db, date) {
+  const [rows] = await db.query(
+    `SELECT * FROM pay_rules
+     WHERE effective_from <= ?
+     ORDER BY effective_from DESC
+     LIMIT 1`,
+    [date]
+  );
+
+  if (rows.length === 0) {
+    throw httpError(400, `No pay rules in effect on ${date}`);
+  }
+
+  const row = rows[0];
+  return {
+    ...row,
+    rules: typeof row.rules === "string" ? JSON.parse(row.rules) : row.rules,
+  };
+}
+
+// Validate a set of pay rules before it is stored
+function validateRules(rules) {
+  if (!rules || typeof rules !== "object") {
+    return ["rules must be an object"];
+  }
+
+  const errors = ["hours_per_day", "days_per_year", "night_differential_rate"]
+    .filter((key) => !(Number(rules[key]) > 0))
+    .map((key) => `rules.${key} must be a positive number`);
+
+  if (
+    rules.minimum_net_pay !== undefined &&
+    !(Number(rules.minimum_net_pay) >= 0)
+  ) {
+    errors.push("rules.minimum_net_pay must be zero or more");
+  }
+
+  for (const key of ["ordinary", "premium_day"]) {
+    if (!(rules.overtime_premium && rules.overtime_premium[key] >= 0)) {
+      errors.push(`rules.overtime_premium.${key} is required`);
+    }
+  }
+  for (const type of DAY_TYPES) {
+    if (!(rules.day_rates && rules.day_rates[type] >= 1)) {
+      errors.push(`rules.day_rates.${type} must be at least 1`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DAY_TYPES,
+  dayType,
+  dailyRate,
+  hourlyRate,
+  computePremiums,
+  getRules,
+  validateRules,
+};
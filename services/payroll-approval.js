@@ -0,0 +1,372 @@
+const httpError = require("../utilities/httperror");
+const { toDateString } = require("../utilities/dates");
+const payroll = require("./payroll");
+
+// How a computed run moves on, and which roles may move it. Returning sends
+// a reviewed or approved run back to be corrected and recomputed, which
+// unlocks its pay period again; a released run is corrected by an
+// adjustment run instead.
+const TRANSITIONS = {
+  review: {
+    from: ["computed"],
+    to: "reviewed",
+    roles: ["admin", "payroll_officer"],
+  },
+  approve: {
+    from: ["reviewed"],
+    to: "approved",
+    roles: ["admin"],
+  },
+  release: {
+    from: ["approved"],
+    to: "released",
+    roles: ["admin", "payroll_officer"],
+  },
+  return: {
+    from: ["reviewed", "approved"],
+    to: "computed",
+    roles: ["admin"],
+  },
+};
+
+// Employee fields payroll is computed and paid from
+const PAYROLL_FIELDS = [
+  "salary",
+  "hire_date",
+  "status",
+  "bank",
+  "bank_account_number",
+  "bank_account_name",
+];
+
+// Move a run one step along. Each step stamps who took it and when;
+// returning clears the review and approval stamps.
+async function transition(db, runId, action, user) {
+  const step = TRANSITIONS[action];
+  const run = await payroll.getRun(db, runId);
+  if (!run) {
+    throw httpError(404, "Payroll run not found");
+  }
+  if (!step.roles.includes(user.role)) {
+    throw httpError(
+      403,
+      `Only ${step.roles.join(" or ")} users may ${action} a payroll run`
+    );
+  }
+  if (!step.from.includes(run.status)) {
+    throw httpError(400, `Cannot ${action} a ${run.status} payroll run`);
+  }
+
+  const stamps =
+    action === "return"
+      ? `reviewed_by = NULL, reviewed_at = NULL,
+         approved_by = NULL, approved_at = NULL`
+      : `${step.to}_by = ?, ${step.to}_at = NOW()`;
+
+  // The status guard keeps two users from moving the same run at once
+  const [result] = await db.query(
+    `UPDATE payroll_runs SET status = ?, ${stamps}
+     WHERE id = ? AND status = ?`,
+    [step.to, ...(action === "return" ? [] : [user.id]), run.id, run.status]
+  );
+  if (result.affectedRows === 0) {
+    throw httpError(400, "Payroll run was changed by someone else; reload it");
+  }
+
+  return { before: run, after: await payroll.getRun(db, run.id) };
+}
+
+// Pay periods overlapping a date range that an approved or released run
+// has locked. A null end leaves the range open.
+async function getLockedPeriods(db, from, to) {
+  const [rows] = await db.query(
+    `SELECT DISTINCT p.id, p.period_start, p.period_end
+     FROM pay_periods p
+     JOIN payroll_runs r ON r.pay_period_id = p.id
+     WHERE r.status IN (?) AND p.period_end >= ?
+       ${to ? "AND p.period_start <= ?" : ""}
+     ORDER BY p.period_start`,
+    [
+      payroll.LOCKED_STATUSES,
+      toDateString(from),
+      ...(to ? [toDateString(to)] : []),
+    ]
+  );
+  return rows;
+}
+
+// Whether a date falls in one of the given pay periods
+function lockedPeriodOf(periods, date) {
+  const day = toDateString(date);
+  return (
+    periods.find(
+      (period) =>
+        toDateString(period.period_start) <= day &&
+        toDateString(period.period_end) >= day
+    ) || null
+  );
+}
+
+function describePeriod(period) {
+  return `${toDateString(period.period_start)} to ${toDateString(
+    period.period_end
+  )} pay period`;
+}
+
+// Refuse a change dated inside a locked pay period
+async function checkUnlocked(db, from, to, what) {
+  const [period] = await getLockedPeriods(db, from, to);
+  if (period) {
+    throw httpError(
+      400,
+      `${what} is in the ${describePeriod(
+        period
+      )}, which an approved payroll run has locked`
+    );
+  }
+}
+
+function normalize(field, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (field === "salary") {
+    return Number(value);
+  }
+  return field === "hire_date" ? toDateString(value) : String(value);
+}
+
+// Refuse an employee update that would change what an approved or released
+// run paid: any payroll field while a run paying the employee awaits
+// release, a salary or status change taking effect today inside a locked
+// period, or a hire date moved across one
+async function checkEmployeeUpdate(db, before, changes) {
+  const changed = PAYROLL_FIELDS.filter(
+    (field) =>
+      normalize(field, changes[field]) !== normalize(field, before[field])
+  );
+  if (changed.length === 0) {
+    return;
+  }
+
+  const [pending] = await db.query(
+    `SELECT r.id FROM payroll_runs r
+     JOIN payslips ps ON ps.payroll_run_id = r.id
+     WHERE ps.employee_id = ? AND r.status = 'approved'
+     LIMIT 1`,
+    [before.id]
+  );
+  if (pending.length > 0) {
+    throw httpError(
+      400,
+      `${changed.join(", ")} cannot change until approved payroll run ${
+        pending[0].id
+      } is released`
+    );
+  }
+
+  if (changed.includes("salary") || changed.includes("status")) {
+    await checkUnlocked(
+      db,
+      toDateString(new Date()),
+      null,
+      "A salary or status change effective today"
+    );
+  }
+
+  if (changed.includes("hire_date")) {
+    const dates = [before.hire_date, changes.hire_date]
+      .map((date) => normalize("hire_date", date))
+      .filter(Boolean)
+      .sort();
+    await checkUnlocked(
+      db,
+      dates[0],
+      dates[dates.length - 1],
+      `The hire_date change (${dates.join(" to ")})`
+    );
+  }
+}
+
+// An adjustment run whose lines may still change
+async function getOpenAdjustmentRun(db, runId) {
+  const run = await payroll.getRun(db, runId);
+  if (!run) {
+    throw httpError(404, "Payroll run not found");
+  }
+  if (run.run_type !== "adjustment") {
+    throw httpError(400, `Payroll run ${run.id} is not an adjustment run`);
+  }
+  if (!payroll.EDITABLE_STATUSES.includes(run.status)) {
+    throw httpError(400, `Cannot change a ${run.status} adjustment run`);
+  }
+  return run;
+}
+
+// Changed lines make the run's payslips stale until it is recomputed
+async function markForRecompute(db, runId) {
+  await db.query("UPDATE payroll_runs SET status = 'draft' WHERE id = ?", [
+    runId,
+  ]);
+}
+
+// Lines entered on an adjustment run, with the employee each is for
+async function getAdjustments(db, runId, where = {}) {
+  const conditions = ["a.payroll_run_id = ?"];
+  const params = [runId];
+  if (where.id) {
+    conditions.push("a.id = ?");
+    params.push(where.id);
+  }
+  if (where.reverses_payslip_id) {
+    conditions.push("a.reverses_payslip_id = ?");
+    params.push(where.reverses_payslip_id);
+  }
+
+  const [rows] = await db.query(
+    `SELECT a.*, e.employee_id AS employee_number, e.first_name, e.last_name
+     FROM payroll_adjustments a
+     JOIN employees e ON a.employee_id = e.id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY e.last_name, e.first_name, a.id`,
+    params
+  );
+  return rows.map((row) => ({ ...row, taxable: Boolean(row.taxable) }));
+}
+
+// Enter one correction. Earnings are taxable and deductions are not unless
+// said otherwise, except contributions and absences, which reduce taxable
+// compensation.
+async function addAdjustment(db, runId, input, user) {
+  const run = await getOpenAdjustmentRun(db, runId);
+
+  const [employees] = await db.query(
+    "SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL",
+    [input.employee_id]
+  );
+  if (employees.length === 0) {
+    throw httpError(404, "Employee not found");
+  }
+
+  const taxable =
+    input.taxable !== undefined
+      ? input.taxable
+      : input.line_type === "earning" ||
+        [...payroll.CONTRIBUTION_CODES, ...payroll.ABSENCE_CODES].includes(
+          input.code
+        );
+
+  const [result] = await db.query(
+    `INSERT INTO payroll_adjustments
+       (payroll_run_id, employee_id, line_type, code, description, amount,
+        taxable, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      run.id,
+      input.employee_id,
+      input.line_type,
+      input.code,
+      input.description,
+      input.amount,
+      taxable,
+      user ? user.id : null,
+    ]
+  );
+  await markForRecompute(db, run.id);
+
+  const [adjustment] = await getAdjustments(db, run.id, {
+    id: result.insertId,
+  });
+  return adjustment;
+}
+
+// Take back an employee's whole payslip from the adjusted run: each of its
+// earning and deduction lines entered again with the opposite sign. Loan
+// amortizations it deducted go back on the loans when the run is computed.
+async function reversePayslip(db, runId, employeeId, user) {
+  const run = await getOpenAdjustmentRun(db, runId);
+
+  const [payslips] = await db.query(
+    "SELECT id FROM payslips WHERE payroll_run_id = ? AND employee_id = ?",
+    [run.adjusts_run_id, employeeId]
+  );
+  if (payslips.length === 0) {
+    throw httpError(
+      404,
+      `Employee has no payslip in payroll run ${run.adjusts_run_id}`
+    );
+  }
+  const payslipId = payslips[0].id;
+
+  const [reversed] = await db.query(
+    "SELECT id FROM payroll_adjustments WHERE reverses_payslip_id = ? LIMIT 1",
+    [payslipId]
+  );
+  if (reversed.length > 0) {
+    throw httpError(400, "This payslip is already reversed");
+  }
+
+  const [lines] = await db.query(
+    `SELECT * FROM payslip_lines
+     WHERE payslip_id = ? AND line_type IN ('earning', 'deduction')
+     ORDER BY id`,
+    [payslipId]
+  );
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO payroll_adjustments
+         (payroll_run_id, employee_id, reverses_payslip_id, line_type, code,
+          description, amount, taxable, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, FALSE, ?)`,
+      [
+        run.id,
+        employeeId,
+        payslipId,
+        line.line_type,
+        line.code,
+        `Reversal: ${line.description}`.slice(0, 150),
+        -Number(line.amount),
+        user ? user.id : null,
+      ]
+    );
+  }
+  await markForRecompute(db, run.id);
+
+  return getAdjustments(db, run.id, { reverses_payslip_id: payslipId });
+}
+
+// Remove a line; a reversal is removed as a whole
+async function deleteAdjustment(db, runId, adjustmentId) {
+  const run = await getOpenAdjustmentRun(db, runId);
+  const [adjustment] = await getAdjustments(db, run.id, { id: adjustmentId });
+  if (!adjustment) {
+    throw httpError(404, "Adjustment not found");
+  }
+
+  const [result] = adjustment.reverses_payslip_id
+    ? await db.query(
+        "DELETE FROM payroll_adjustments WHERE payroll_run_id = ? AND reverses_payslip_id = ?",
+        [run.id, adjustment.reverses_payslip_id]
+      )
+    : await db.query("DELETE FROM payroll_adjustments WHERE id = ?", [
+        adjustment.id,
+      ]);
+  await markForRecompute(db, run.id);
+
+  return result.affectedRows;
+}
+
+module.exports = {
+  TRANSITIONS,
+  PAYROLL_FIELDS,
+  transition,
+  getLockedPeriods,
+  lockedPeriodOf,
+  describePeriod,
+  checkUnlocked,
+  checkEmployeeUpdate,
+  getAdjustments,
+  addAdjustment,
+  reversePayslip,
+  deleteAdjustment,
+};
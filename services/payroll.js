@@ -0,0 +1,1395 @@
+const { getPool } = require("../dbconfig");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, addDays } = require("../utilities/dates");
+const contributions = require("./contributions");
+const { HEADCOUNT_STATUSES } = require("./employees");
+const tax = require("./tax");
+const attendance = require("./attendance");
+const payRules = require("./pay-rules");
+const thirteenthMonth = require("./thirteenth-month");
+const compensation = require("./compensation");
+const loans = require("./loans");
+const earnings = require("./earnings");
+const leaves = require("./leaves");
+const separation = require("./separation");
+const audit = require("./audit");
+
+const FREQUENCIES = ["semi-monthly", "monthly"];
+
+// Regular payroll, a standalone release of 13th month pay, corrections to a
+// released run paid in a later period, or the final pay of employees who
+// have left
+const RUN_TYPES = ["regular", "thirteenth_month", "adjustment", "final_pay"];
+
+// Runs that pay salary, and with it government contributions
+const SALARY_RUN_TYPES = ["regular", "final_pay"];
+
+// A run is computed, then reviewed, approved and released to employees
+const STATUSES = ["draft", "computed", "reviewed", "approved", "released"];
+
+// Runs that may still be recomputed or deleted
+const EDITABLE_STATUSES = ["draft", "computed"];
+
+// Runs that lock their pay period against edits to the data behind them
+const LOCKED_STATUSES = ["approved", "released"];
+
+// Runs whose payslips count in government remittances and tax returns
+const REPORTABLE_STATUSES = LOCKED_STATUSES;
+
+// Employee contribution lines deducted before tax
+const CONTRIBUTION_CODES = ["SSS", "PHILHEALTH", "PAGIBIG"];
+
+// Deductions for unpaid time off; they reduce taxable compensation
+const ABSENCE_CODES = ["LWOP"];
+
+// Number of pay periods that share one month's salary
+const PERIODS_PER_MONTH = {
+  "semi-monthly": 2,
+  monthly: 1,
+};
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Build the start/end dates of a pay period.
+// Semi-monthly cutoffs are the 1st-15th and the 16th-end of month.
+function buildPayPeriod({ frequency, year, month, cutoff, pay_date }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw httpError(400, `frequency must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+
+  year = Number(year);
+  month = Number(month);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    throw httpError(400, "year must be a valid four-digit year");
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw httpError(400, "month must be between 1 and 12");
+  }
+
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  let startDay = 1;
+  let endDay = lastDay;
+
+  if (frequency === "semi-monthly") {
+    cutoff = Number(cutoff);
+    if (cutoff !== 1 && cutoff !== 2) {
+      throw httpError(400, "cutoff must be 1 or 2 for semi-monthly payroll");
+    }
+    startDay = cutoff === 1 ? 1 : 16;
+    endDay = cutoff === 1 ? 15 : lastDay;
+  } else {
+    cutoff = 1;
+  }
+
+  const periodEnd = formatDate(new Date(Date.UTC(year, month - 1, endDay)));
+
+  return {
+    frequency,
+    cutoff,
+    period_start: formatDate(new Date(Date.UTC(year, month - 1, startDay))),
+    period_end: periodEnd,
+    pay_date: pay_date || periodEnd,
+  };
+}
+
+// Compute one payslip for an employee in the given pay period.
+// context holds the contribution schedules, tax table and pay rules in force
+// for the period, whether to annualize tax, and each employee's
+// compensation history, year-to-date totals, attendance (DTR), leave
+// converted to cash, allowances and other earnings, loans due and, when the
+// run includes it, 13th month pay.
+// Contributions are based on the monthly equivalent of the rate in effect
+// at the end of the period. Loans are deducted last, from net pay.
+function computePayslip(employee, period, context) {
+  const periods = PERIODS_PER_MONTH[period.frequency];
+  const timeline = compensation.timelineFor(employee, context.compensation);
+  const dtr = context.attendance && context.attendance[employee.id];
+  const monthlySalary = compensation.monthlyEquivalent(
+    compensation.entryOn(timeline, toDateString(period.period_end)),
+    context.payRules
+  );
+
+  const lines = [
+    {
+      line_type: "earning",
+      code: "BASIC",
+      description: "Basic pay",
+      amount: basicPay(timeline, period, dtr, context.payRules),
+    },
+    ...attendanceLines(timeline, dtr, context.payRules),
+    ...earnings.earningLines(
+      (context.earnings && context.earnings[employee.id]) || [],
+      period,
+      periods
+    ),
+    ...leaveConversionLines(employee, context),
+    ...(context.thirteenthMonth
+      ? thirteenthMonth.lines(context.thirteenthMonth[employee.id])
+      : []),
+    ...contributionLines(
+      contributions.computeContributions(monthlySalary, context.schedules),
+      periods
+    ),
+  ];
+
+  const ytd = (context.ytd && context.ytd[employee.id]) || {};
+  const exempt = exemptBenefits(employee, period, lines, ytd, context);
+  const withholding = tax.computeWithholding(context.taxTable, {
+    period: period.frequency,
+    mode: context.annualize ? "annualized" : "periodic",
+    gross_compensation: round2(
+      sumLines(lines, (line) => line.line_type === "earning") -
+        sumLines(lines, (line) => ABSENCE_CODES.includes(line.code))
+    ),
+    mandatory_contributions: sumLines(lines, (line) =>
+      CONTRIBUTION_CODES.includes(line.code)
+    ),
+    non_taxable_benefits: round2(
+      exempt.de_minimis_exempt + exempt.other_benefits_exempt
+    ),
+    ytd_taxable: ytd.taxable_income,
+    ytd_tax_withheld: ytd.withholding_tax,
+  });
+
+  if (withholding.withholding_tax >= 0) {
+    lines.push({
+      line_type: "deduction",
+      code: "TAX",
+      description: "Withholding tax",
+      amount: withholding.withholding_tax,
+    });
+  } else {
+    lines.push({
+      line_type: "earning",
+      code: "TAX_REFUND",
+      description: "Withholding tax refund (annualization)",
+      amount: -withholding.withholding_tax,
+    });
+  }
+
+  const loanDeductions = loans.applyLoans(
+    summarizePayslip(employee, lines).net_pay,
+    (context.loans && context.loans[employee.id]) || [],
+    (context.payRules && context.payRules.minimum_net_pay) || 0
+  );
+  lines.push(...loanDeductions.lines);
+
+  return {
+    ...summarizePayslip(employee, lines),
+    ...exempt,
+    taxable_income: withholding.taxable_compensation,
+    withholding_tax: withholding.withholding_tax,
+    loan_entries: loanDeductions.entries,
+  };
+}
+
+// Tax-exempt parts of a payslip's earnings: de minimis benefits within their
+// ceilings, and 13th month pay and other benefits within what is left of the
+// annual ceiling, the 13th month taking it first
+function exemptBenefits(employee, period, lines, ytd, context) {
+  const classified = earnings.classifyEarnings(
+    lines,
+    context.earningTypes || {},
+    (context.deMinimisUsage && context.deMinimisUsage[employee.id]) || [],
+    toDateString(period.period_end)
+  );
+  const thirteenthMonthExempt = sumLines(
+    lines,
+    (line) => line.code === thirteenthMonth.CODES.nonTaxable
+  );
+  const room = Math.max(
+    thirteenthMonth.NON_TAXABLE_CEILING -
+      (ytd.other_benefits_exempt || 0) -
+      thirteenthMonthExempt,
+    0
+  );
+
+  return {
+    de_minimis_exempt: classified.de_minimis_exempt,
+    other_benefits_exempt: round2(
+      thirteenthMonthExempt + Math.min(classified.other_benefits, room)
+    ),
+  };
+}
+
+// Payslip of a standalone 13th month run. 13th month pay is not subject to
+// contributions; tax on the taxable excess is withheld at the employee's
+// marginal annual rate and trued up when the year is annualized.
+function computeThirteenthMonthPayslip(employee, context) {
+  const computed = context.thirteenthMonth[employee.id];
+  const lines = thirteenthMonth.lines(computed);
+  const ytdTaxable = (context.ytd[employee.id] || {}).taxable_income || 0;
+  const withholdingTax = round2(
+    tax.applyBrackets(
+      context.taxTable.brackets.annual,
+      ytdTaxable + computed.taxable
+    ) - tax.applyBrackets(context.taxTable.brackets.annual, ytdTaxable)
+  );
+
+  if (withholdingTax > 0) {
+    lines.push({
+      line_type: "deduction",
+      code: "TAX",
+      description: "Withholding tax",
+      amount: withholdingTax,
+    });
+  }
+
+  return {
+    ...summarizePayslip(employee, lines),
+    de_minimis_exempt: 0,
+    other_benefits_exempt: computed.non_taxable,
+    taxable_income: computed.taxable,
+    withholding_tax: withholdingTax,
+  };
+}
+
+// Payslip of an adjustment run: the lines entered for the employee, whose
+// taxable flag decides what they add to (earnings) or take off (deductions)
+// taxable compensation, plus the exact opposite of any released payslip
+// being reversed. Withholding tax is what the TAX lines say; the rest is
+// trued up when the year is annualized.
+function computeAdjustmentPayslip(employee, context) {
+  const { lines: entries, reversed } = context.adjustments[employee.id];
+  const lines = entries.map((entry) => ({
+    line_type: entry.line_type,
+    code: entry.code,
+    description: entry.description,
+    amount: Number(entry.amount),
+  }));
+
+  const entered = entries.filter((entry) => !entry.reverses_payslip_id);
+  const enteredTotal = (predicate) =>
+    round2(
+      entered
+        .filter(predicate)
+        .reduce((total, entry) => total + Number(entry.amount), 0)
+    );
+  const reversedTotal = (column) =>
+    round2(
+      reversed.reduce((total, payslip) => total - Number(payslip[column]), 0)
+    );
+
+  return {
+    ...summarizePayslip(employee, lines),
+    de_minimis_exempt: reversedTotal("de_minimis_exempt"),
+    other_benefits_exempt: reversedTotal("other_benefits_exempt"),
+    taxable_income: round2(
+      enteredTotal((entry) => entry.line_type === "earning" && entry.taxable) -
+        enteredTotal(
+          (entry) => entry.line_type === "deduction" && entry.taxable
+        ) +
+        reversedTotal("taxable_income")
+    ),
+    withholding_tax: round2(
+      enteredTotal((entry) => entry.code === "TAX") +
+        reversedTotal("withholding_tax")
+    ),
+    // Loan amortizations a reversed payslip deducted go back on the loan
+    loan_entries: (context.reversedLoans[employee.id] || []).map((loan) => ({
+      loan_id: loan.loan_id,
+      entry_type: "adjustment",
+      amount: Number(loan.amount),
+      notes: `Reversal of payroll run ${context.adjustsRunId}`,
+    })),
+  };
+}
+
+// Final pay of a separated employee, settled in one payslip: salary from the
+// last regular pay period through the separation date (or taken back when
+// paid past it), unused convertible leave, the 13th month still owed,
+// separation or retirement pay, the month's contributions not yet deducted,
+// withholding tax trued up against the year's annual tax, and loans offset
+// against what is left. Anything else owed is paid by an adjustment run.
+// Salary is paid at the rate in effect on each day; the rest is at the
+// rate in effect on the separation date.
+function computeFinalPayPayslip(employee, context) {
+  const {
+    history,
+    leave,
+    contributions: deducted,
+  } = context.finalPay[employee.id];
+  const separationDate = toDateString(employee.separation_date);
+  const hireDate = toDateString(employee.hire_date);
+  const timeline = compensation.timelineFor(employee, context.compensation);
+  const lastRate = compensation.entryOn(timeline, separationDate);
+  const salary = compensation.monthlyEquivalent(lastRate, context.payRules);
+  const lines = [];
+
+  let salaryFrom = history.paid_through
+    ? addDays(history.paid_through, 1)
+    : `${separationDate.slice(0, 4)}-01-01`;
+  if (hireDate && hireDate > salaryFrom) {
+    salaryFrom = hireDate;
+  }
+  if (salaryFrom <= separationDate) {
+    lines.push({
+      line_type: "earning",
+      code: "BASIC",
+      description: `Salary, ${salaryFrom} to ${separationDate}`,
+      amount: salaryBetween(
+        timeline,
+        salaryFrom,
+        separationDate,
+        context.payRules
+      ),
+    });
+  } else if (history.paid_through > separationDate) {
+    const overpaidFrom = addDays(separationDate, 1);
+    lines.push({
+      line_type: "earning",
+      code: "BASIC",
+      description: `Salary paid past separation, ${overpaidFrom} to ${history.paid_through}`,
+      amount: -salaryBetween(
+        timeline,
+        overpaidFrom,
+        history.paid_through,
+        context.payRules
+      ),
+    });
+  }
+  const salaryPaid = sumLines(lines, (line) => line.code === "BASIC");
+
+  const dailyRate = lastRate
+    ? payRules.dailyRate(lastRate.rate, context.payRules, lastRate.pay_basis)
+    : 0;
+  for (const balance of leave) {
+    lines.push({
+      line_type: "earning",
+      code: "LEAVE_CASH",
+      description: `Unused ${balance.name} ${balance.year} (${balance.available_days} days)`,
+      amount: round2(balance.available_days * dailyRate),
+    });
+  }
+  lines.push(...leaveConversionLines(employee, context));
+
+  const thirteenth = thirteenthMonth.computeEmployee(
+    { ...employee, salary, status: "inactive" },
+    Number(separationDate.slice(0, 4)),
+    {
+      ...history,
+      basic_pay: (history.basic_pay || 0) + Math.min(salaryPaid, 0),
+      separated_on: separationDate,
+    }
+  );
+  lines.push(...thirteenthMonth.lines(thirteenth));
+
+  const severance = separation.separationPay(
+    employee,
+    context.payRules,
+    salary
+  );
+  if (severance.amount > 0) {
+    lines.push({
+      line_type: "earning",
+      code: severance.code,
+      description:
+        severance.code === separation.CODES.retirement
+          ? "Retirement pay (RA 7641)"
+          : `Separation pay, ${severance.label}`,
+      amount: severance.amount,
+    });
+  }
+
+  // The rest of the month's contributions, when final pay includes salary
+  // for it
+  if (salaryPaid > 0) {
+    lines.push(
+      ...contributionLines(
+        contributions.computeContributions(salary, context.schedules),
+        1
+      )
+        .map((line) => ({
+          ...line,
+          amount: round2(line.amount - (deducted[line.code] || 0)),
+        }))
+        .filter((line) => line.amount > 0)
+    );
+  }
+
+  const taxableIncome = round2(
+    sumLines(lines, (line) => line.line_type === "earning") -
+      sumLines(lines, (line) => CONTRIBUTION_CODES.includes(line.code)) -
+      thirteenth.non_taxable -
+      severance.amount
+  );
+  const ytd = context.ytd[employee.id] || {};
+  const withholdingTax = round2(
+    tax.applyBrackets(
+      context.taxTable.brackets.annual,
+      (ytd.taxable_income || 0) + taxableIncome
+    ) - (ytd.withholding_tax || 0)
+  );
+  if (withholdingTax > 0) {
+    lines.push({
+      line_type: "deduction",
+      code: "TAX",
+      description: "Withholding tax (annualized)",
+      amount: withholdingTax,
+    });
+  } else if (withholdingTax < 0) {
+    lines.push({
+      line_type: "earning",
+      code: "TAX_REFUND",
+      description: "Withholding tax refund (annualization)",
+      amount: -withholdingTax,
+    });
+  }
+
+  const offsets = loans.offsetLoans(
+    summarizePayslip(employee, lines).net_pay,
+    context.loans[employee.id] || []
+  );
+  lines.push(...offsets.lines);
+
+  return {
+    ...summarizePayslip(employee, lines),
+    de_minimis_exempt: 0,
+    other_benefits_exempt: thirteenth.non_taxable,
+    taxable_income: taxableIncome,
+    withholding_tax: withholdingTax,
+    loan_entries: offsets.entries,
+    separation: severance,
+    outstanding_loans: offsets.outstanding,
+  };
+}
+
+// Basic pay for the period at the rate in effect on each day. A monthly
+// rate pays the period's share of the month, prorated by calendar day when
+// it starts or changes mid-period; daily and hourly rates pay the regular
+// hours worked plus paid leave and unworked regular holidays.
+function basicPay(timeline, period, dtr, rules) {
+  const periods = PERIODS_PER_MONTH[period.frequency];
+  const start = toDateString(period.period_start);
+  const end = toDateString(period.period_end);
+  const days = new Map(dtr ? dtr.days.map((day) => [day.work_date, day]) : []);
+
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  return round2(
+    dates.reduce((total, date) => {
+      const entry = compensation.entryOn(timeline, date);
+      if (!entry) {
+        return total;
+      }
+      if (entry.pay_basis === "monthly") {
+        return total + entry.rate / periods / dates.length;
+      }
+      if (!rules) {
+        return total;
+      }
+      return (
+        total +
+        payRules.hourlyRate(entry.rate, rules, entry.pay_basis) *
+          paidHours(days.get(date), rules)
+      );
+    }, 0)
+  );
+}
+
+// Salary earned from one date through another at the rate in effect on each
+// day, outside any pay period: each day is paid its share of that month's
+// equivalent of the rate
+function salaryBetween(timeline, from, to, rules) {
+  let total = 0;
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    total +=
+      compensation.monthlyEquivalent(
+        compensation.entryOn(timeline, date),
+        rules
+      ) * thirteenthMonth.monthsBetween(date, date);
+  }
+  return round2(total);
+}
+
+// Hours a daily- or hourly-paid employee is paid for on a DTR day.
+// Rest-day work is paid in full by the rest day premium.
+function paidHours(day, rules) {
+  if (!day || day.rest_day) {
+    return 0;
+  }
+  if (day.status === "present") {
+    return day.regular_minutes / 60;
+  }
+  if (day.status === "on_leave" && day.leave.is_paid) {
+    return day.leave.days * rules.hours_per_day;
+  }
+  if (
+    day.status === "holiday" &&
+    day.holidays.some((holiday) => holiday.type === "regular")
+  ) {
+    return rules.hours_per_day;
+  }
+  return 0;
+}
+
+// Overtime, night differential, rest day and holiday pay from the DTR,
+// less approved leave without pay on days paid at a monthly rate
+function attendanceLines(timeline, dtr, rules) {
+  if (!dtr || !rules) {
+    return [];
+  }
+
+  const lines = payRules.computePremiums(
+    dtr,
+    (date) => compensation.hourlyRateOn(timeline, date, rules),
+    rules
+  ).lines;
+
+  let unpaidDays = 0;
+  let unpaidAmount = 0;
+  for (const day of dtr.days) {
+    const entry = compensation.entryOn(timeline, day.work_date);
+    if (
+      day.status === "on_leave" &&
+      !day.leave.is_paid &&
+      entry &&
+      entry.pay_basis === "monthly"
+    ) {
+      unpaidDays += day.leave.days;
+      unpaidAmount += payRules.dailyRate(entry.rate, rules) * day.leave.days;
+    }
+  }
+
+  if (unpaidDays > 0) {
+    lines.push({
+      line_type: "deduction",
+      code: "LWOP",
+      description: `Leave without pay (${unpaidDays} days)`,
+      amount: round2(unpaidAmount),
+    });
+  }
+  return lines;
+}
+
+// Unused leave converted to cash at year-end
+function leaveConversionLines(employee, context) {
+  const amount =
+    context.leaveConversions && context.leaveConversions[employee.id];
+  if (!amount) {
+    return [];
+  }
+  return [
+    {
+      line_type: "earning",
+      code: "LEAVE_CASH",
+      description: "Leave conversion to cash",
+      amount: round2(amount),
+    },
+  ];
+}
+
+// Spread monthly contributions evenly across the month's pay periods
+function contributionLines(monthly, periods) {
+  const share = (amount) => round2(amount / periods);
+
+  return [
+    {
+      line_type: "deduction",
+      code: "SSS",
+      description: "SSS contribution",
+      amount: share(monthly.sss.employee.total),
+    },
+    {
+      line_type: "deduction",
+      code: "PHILHEALTH",
+      description: "PhilHealth contribution",
+      amount: share(monthly.philhealth.employee),
+    },
+    {
+      line_type: "deduction",
+      code: "PAGIBIG",
+      description: "Pag-IBIG contribution",
+      amount: share(monthly.pagibig.employee),
+    },
+    {
+      line_type: "employer",
+      code: "SSS_ER",
+      description: "SSS employer share",
+      amount: share(monthly.sss.employer.regular + monthly.sss.employer.mpf),
+    },
+    {
+      line_type: "employer",
+      code: "SSS_EC",
+      description: "SSS employees' compensation",
+      amount: share(monthly.sss.employer.ec),
+    },
+    {
+      line_type: "employer",
+      code: "PHILHEALTH_ER",
+      description: "PhilHealth employer share",
+      amount: share(monthly.philhealth.employer),
+    },
+    {
+      line_type: "employer",
+      code: "PAGIBIG_ER",
+      description: "Pag-IBIG employer share",
+      amount: share(monthly.pagibig.employer),
+    },
+  ];
+}
+
+function sumLines(lines, predicate) {
+  return round2(
+    lines.filter(predicate).reduce((total, line) => total + line.amount, 0)
+  );
+}
+
+// Roll payslip lines up into the gross/deduction/net totals
+function summarizePayslip(employee, lines) {
+  const grossPay = sumLines(lines, (line) => line.line_type === "earning");
+  const totalDeductions = sumLines(
+    lines,
+    (line) => line.line_type === "deduction"
+  );
+
+  return {
+    employee_id: employee.id,
+    basic_pay: sumLines(lines, (line) => line.code === "BASIC"),
+    gross_pay: grossPay,
+    total_deductions: totalDeductions,
+    net_pay: round2(grossPay - totalDeductions),
+    lines,
+  };
+}
+
+// The last pay period of the year is where withholding tax is annualized
+function isLastPeriodOfYear(period) {
+  const end = toDateString(period.period_end);
+  return end.slice(5) === "12-31";
+}
+
+// Taxable income and tax withheld so far in the year, per employee,
+// from every other approved or released run ending before this period starts, plus runs of the
+// other type in this same period (a 13th month release paid alongside)
+async function getYearToDate(db, run) {
+  const periodStart = toDateString(run.period_start);
+  const [rows] = await db.query(
+    `SELECT ps.employee_id,
+            SUM(ps.taxable_income) AS taxable_income,
+            SUM(ps.withholding_tax) AS withholding_tax,
+            SUM(ps.other_benefits_exempt) AS other_benefits_exempt
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE r.id <> ? AND r.status IN (?) AND p.period_end >= ?
+       AND (p.period_end < ? OR (r.pay_period_id = ? AND r.run_type <> ?))
+     GROUP BY ps.employee_id`,
+    [
+      run.id,
+      REPORTABLE_STATUSES,
+      `${periodStart.slice(0, 4)}-01-01`,
+      periodStart,
+      run.pay_period_id,
+      run.run_type,
+    ]
+  );
+
+  return rows.reduce((ytd, row) => {
+    ytd[row.employee_id] = {
+      taxable_income: Number(row.taxable_income) || 0,
+      withholding_tax: Number(row.withholding_tax) || 0,
+      other_benefits_exempt: Number(row.other_benefits_exempt) || 0,
+    };
+    return ytd;
+  }, {});
+}
+
+// Each employee's DTR over the pay period, keyed by employee id
+async function getAttendance(db, employees, run) {
+  const dtrs = await attendance.getDtrs(
+    db,
+    employees,
+    toDateString(run.period_start),
+    toDateString(run.period_end)
+  );
+  return dtrs.reduce((byEmployee, dtr) => {
+    byEmployee[dtr.employee_id] = dtr;
+    return byEmployee;
+  }, {});
+}
+
+// Leave conversions not yet paid, or already claimed by this run, from
+// years that closed before the pay period ends
+async function getLeaveConversions(db, employees, run) {
+  if (employees.length === 0) {
+    return { byEmployee: {}, balanceIds: [] };
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, employee_id, conversion_amount FROM leave_balances
+     WHERE employee_id IN (?) AND conversion_amount > 0 AND closed_at IS NOT NULL
+       AND year < YEAR(?)
+       AND (conversion_payroll_run_id IS NULL OR conversion_payroll_run_id = ?)`,
+    [
+      employees.map((employee) => employee.id),
+      toDateString(run.period_end),
+      run.id,
+    ]
+  );
+
+  return {
+    byEmployee: rows.reduce((byEmployee, row) => {
+      byEmployee[row.employee_id] =
+        (byEmployee[row.employee_id] || 0) + Number(row.conversion_amount);
+      return byEmployee;
+    }, {}),
+    balanceIds: rows.map((row) => row.id),
+  };
+}
+
+// An adjustment run's entered lines and reversed payslips, keyed by
+// employee id, and the loan deductions those payslips made
+async function getAdjustments(db, run) {
+  const [rows] = await db.query(
+    "SELECT * FROM payroll_adjustments WHERE payroll_run_id = ? ORDER BY id",
+    [run.id]
+  );
+
+  const byEmployee = {};
+  for (const row of rows) {
+    (byEmployee[row.employee_id] = byEmployee[row.employee_id] || {
+      lines: [],
+      reversed: [],
+    }).lines.push(row);
+  }
+
+  const reversedIds = [
+    ...new Set(rows.map((row) => row.reverses_payslip_id).filter(Boolean)),
+  ];
+  const reversedLoans = {};
+  if (reversedIds.length > 0) {
+    const [payslips] = await db.query(
+      "SELECT * FROM payslips WHERE id IN (?)",
+      [reversedIds]
+    );
+    for (const payslip of payslips) {
+      byEmployee[payslip.employee_id].reversed.push(payslip);
+    }
+
+    const [loanDeductions] = await db.query(
+      `SELECT l.employee_id, ll.loan_id, SUM(ll.amount) AS amount
+       FROM loan_ledger ll
+       JOIN loans l ON ll.loan_id = l.id
+       WHERE ll.payroll_run_id = ? AND ll.entry_type = 'deduction'
+         AND l.employee_id IN (?)
+       GROUP BY l.employee_id, ll.loan_id`,
+      [run.adjusts_run_id, payslips.map((payslip) => payslip.employee_id)]
+    );
+    for (const row of loanDeductions) {
+      (reversedLoans[row.employee_id] =
+        reversedLoans[row.employee_id] || []).push(row);
+    }
+  }
+
+  return { byEmployee, reversedLoans };
+}
+
+// Taxable income and tax withheld in a year on every approved or released
+// payslip of the given employees except those of excludeRunId, per employee
+async function getTaxYearToDate(db, employeeIds, year, excludeRunId = 0) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT ps.employee_id,
+            SUM(ps.taxable_income) AS taxable_income,
+            SUM(ps.withholding_tax) AS withholding_tax
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id IN (?) AND r.id <> ? AND r.status IN (?)
+       AND p.period_end BETWEEN ? AND ?
+     GROUP BY ps.employee_id`,
+    [
+      employeeIds,
+      excludeRunId,
+      REPORTABLE_STATUSES,
+      `${year}-01-01`,
+      `${year}-12-31`,
+    ]
+  );
+
+  return rows.reduce((ytd, row) => {
+    ytd[row.employee_id] = {
+      taxable_income: Number(row.taxable_income) || 0,
+      withholding_tax: Number(row.withholding_tax) || 0,
+    };
+    return ytd;
+  }, {});
+}
+
+// Contribution lines, employee and employer, already on an employee's
+// approved or released payslips in the month of a date, except those of
+// excludeRunId, by code
+async function getMonthContributions(db, employeeId, date, excludeRunId = 0) {
+  const [year, month] = toDateString(date).split("-").map(Number);
+  const [rows] = await db.query(
+    `SELECT l.code, SUM(l.amount) AS amount
+     FROM payslip_lines l
+     JOIN payslips ps ON l.payslip_id = ps.id
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id = ? AND r.id <> ? AND r.status IN (?)
+       AND p.period_end BETWEEN ? AND ?
+       AND (l.line_type = 'employer' OR l.code IN (?))
+     GROUP BY l.code`,
+    [
+      employeeId,
+      excludeRunId,
+      REPORTABLE_STATUSES,
+      formatDate(new Date(Date.UTC(year, month - 1, 1))),
+      formatDate(new Date(Date.UTC(year, month, 0))),
+      CONTRIBUTION_CODES,
+    ]
+  );
+
+  return rows.reduce((amounts, row) => {
+    amounts[row.code] = Number(row.amount) || 0;
+    return amounts;
+  }, {});
+}
+
+// Everything the final pay of the given separated employees is computed
+// from, as of a run's pay period (excluding the run's own payslips). Also
+// returns the closed leave conversions the run claims.
+async function getFinalPayContext(db, employees, run) {
+  const periodEnd = toDateString(run.period_end);
+  const employeeIds = employees.map((employee) => employee.id);
+  const conversions = await getLeaveConversions(db, employees, run);
+
+  const finalPay = {};
+  for (const employee of employees) {
+    const separationDate = toDateString(employee.separation_date);
+    const year = Number(separationDate.slice(0, 4));
+    const history = await thirteenthMonth.getHistory(
+      db,
+      [employee.id],
+      year,
+      run.id
+    );
+    finalPay[employee.id] = {
+      history: history[employee.id] || {},
+      leave: await leaves.getConvertibleBalances(db, employee.id, year),
+      contributions: await getMonthContributions(
+        db,
+        employee.id,
+        separationDate,
+        run.id
+      ),
+    };
+  }
+
+  return {
+    context: {
+      taxTable: await tax.getTable(db, periodEnd),
+      schedules: await contributions.getSchedules(db, periodEnd),
+      payRules: (await payRules.getRules(db, periodEnd)).rules,
+      ytd: await getTaxYearToDate(
+        db,
+        employeeIds,
+        periodEnd.slice(0, 4),
+        run.id
+      ),
+      leaveConversions: conversions.byEmployee,
+      loans: await loans.getOutstandingLoans(db, employeeIds),
+      compensation: await compensation.getTimelines(db, employeeIds),
+      finalPay,
+    },
+    balanceIds: conversions.balanceIds,
+  };
+}
+
+// Load a run joined with its pay period
+async function getRun(db, runId) {
+  const [rows] = await db.query(
+    `SELECT r.*, p.frequency, p.cutoff, p.period_start, p.period_end, p.pay_date
+     FROM payroll_runs r
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE r.id = ?`,
+    [runId]
+  );
+  return rows[0] || null;
+}
+
+// The id of a pay period, inserted if it does not exist yet
+async function findOrCreatePeriod(db, period) {
+  const [existing] = await db.query(
+    "SELECT id FROM pay_periods WHERE frequency = ? AND period_start = ?",
+    [period.frequency, period.period_start]
+  );
+  if (existing.length > 0) {
+    return existing[0].id;
+  }
+
+  const [result] = await db.query(
+    `INSERT INTO pay_periods (frequency, cutoff, period_start, period_end, pay_date)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      period.frequency,
+      period.cutoff,
+      period.period_start,
+      period.period_end,
+      period.pay_date,
+    ]
+  );
+  return result.insertId;
+}
+
+// The pay period of the same frequency that follows a run's period
+function nextPayPeriod(run) {
+  const [year, month] = toDateString(run.period_end).split("-").map(Number);
+  if (run.frequency === "semi-monthly" && Number(run.cutoff) === 1) {
+    return buildPayPeriod({ frequency: run.frequency, year, month, cutoff: 2 });
+  }
+  return buildPayPeriod({
+    frequency: run.frequency,
+    year: month === 12 ? year + 1 : year,
+    month: month === 12 ? 1 : month + 1,
+    cutoff: 1,
+  });
+}
+
+// Find or create the pay period, then open a draft run against it.
+// A period has at most one run of each type; only a regular run in
+// December may include the year's 13th month pay. A final pay run pays
+// everyone separated by the end of its period who has not had final pay.
+async function createRun(input) {
+  const period = buildPayPeriod(input);
+  const runType = input.run_type || "regular";
+  const includeThirteenthMonth = Boolean(input.include_thirteenth_month);
+
+  if (!RUN_TYPES.includes(runType)) {
+    throw httpError(400, `run_type must be one of: ${RUN_TYPES.join(", ")}`);
+  }
+  if (runType === "adjustment") {
+    throw httpError(
+      400,
+      "Adjustment runs are opened from the released run they correct"
+    );
+  }
+  if (
+    includeThirteenthMonth &&
+    (runType !== "regular" || period.period_end.slice(5, 7) !== "12")
+  ) {
+    throw httpError(
+      400,
+      "include_thirteenth_month is only allowed on a regular December run"
+    );
+  }
+
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const periodId = await findOrCreatePeriod(connection, period);
+    const [openRuns] = await connection.query(
+      "SELECT id FROM payroll_runs WHERE pay_period_id = ? AND run_type = ?",
+      [periodId, runType]
+    );
+    if (openRuns.length > 0) {
+      throw httpError(
+        400,
+        {
+          regular: "A payroll run already exists for this pay period",
+          thirteenth_month:
+            "A 13th month run already exists for this pay period",
+          final_pay: "A final pay run already exists for this pay period",
+        }[runType]
+      );
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO payroll_runs (pay_period_id, run_type, include_thirteenth_month, notes)
+       VALUES (?, ?, ?, ?)`,
+      [periodId, runType, includeThirteenthMonth, input.notes || null]
+    );
+
+    await connection.commit();
+    return getRun(pool, result.insertId);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Open a draft adjustment run in the pay period after a released run.
+// Corrections to the released run are entered there, so the released
+// payslips are never edited.
+async function createAdjustmentRun(runId, input) {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const run = await getRun(connection, runId);
+    if (!run) {
+      throw httpError(404, "Payroll run not found");
+    }
+    if (run.status !== "released") {
+      throw httpError(400, `Cannot adjust a ${run.status} payroll run`);
+    }
+
+    const [existing] = await connection.query(
+      "SELECT id FROM payroll_runs WHERE adjusts_run_id = ?",
+      [run.id]
+    );
+    if (existing.length > 0) {
+      throw httpError(
+        400,
+        `Payroll run ${run.id} is already adjusted by run ${existing[0].id}`
+      );
+    }
+
+    const periodId = await findOrCreatePeriod(connection, nextPayPeriod(run));
+    const [result] = await connection.query(
+      `INSERT INTO payroll_runs (pay_period_id, run_type, adjusts_run_id, notes)
+       VALUES (?, 'adjustment', ?, ?)`,
+      [periodId, run.id, input.notes || null]
+    );
+
+    await connection.commit();
+    return getRun(pool, result.insertId);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Compute payslips and replace the run's lines: for every active or on-leave
+// employee in a regular run, for everyone still owed 13th month pay in a
+// 13th month run, for the employees corrected in an adjustment run, or for
+// everyone separated by the end of the period and not yet paid off in a
+// final pay run. Salaries brought up to date along the way are audited as
+// changes made by the request.
+async function computeRun(runId, req = {}) {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const run = await getRun(connection, runId);
+    if (!run) {
+      throw httpError(404, "Payroll run not found");
+    }
+    if (!EDITABLE_STATUSES.includes(run.status)) {
+      throw httpError(400, `Cannot recompute a ${run.status} payroll run`);
+    }
+
+    const periodEnd = toDateString(run.period_end);
+    const year = Number(periodEnd.slice(0, 4));
+    const standalone = run.run_type === "thirteenth_month";
+    const adjustment = run.run_type === "adjustment";
+    const finalPay = run.run_type === "final_pay";
+
+    let employees;
+    let adjustments;
+    if (standalone) {
+      employees = await thirteenthMonth.getEligibleEmployees(connection, year);
+    } else if (adjustment) {
+      adjustments = await getAdjustments(connection, run);
+      const employeeIds = Object.keys(adjustments.byEmployee);
+      [employees] =
+        employeeIds.length > 0
+          ? await connection.query(
+              "SELECT * FROM employees WHERE id IN (?) ORDER BY id",
+              [employeeIds]
+            )
+          : [[]];
+    } else if (finalPay) {
+      [employees] = await connection.query(
+        `SELECT e.* FROM employees e
+         WHERE e.separation_date <= ? AND e.status NOT IN (?)
+           AND e.deleted_at IS NULL
+           AND NOT EXISTS (
+             SELECT 1 FROM payslips ps
+             JOIN payroll_runs r ON ps.payroll_run_id = r.id
+             WHERE ps.employee_id = e.id AND r.run_type = 'final_pay'
+               AND r.id <> ?
+           )
+         ORDER BY e.id`,
+        [periodEnd, HEADCOUNT_STATUSES, runId]
+      );
+    } else {
+      [employees] = await connection.query(
+        "SELECT * FROM employees WHERE status IN (?) AND deleted_at IS NULL ORDER BY id",
+        [HEADCOUNT_STATUSES]
+      );
+    }
+
+    const context = {
+      taxTable: await tax.getTable(connection, periodEnd),
+      ytd: await getYearToDate(connection, run),
+    };
+    if (standalone || run.include_thirteenth_month) {
+      const due = await thirteenthMonth.computeForEmployees(
+        connection,
+        employees,
+        year,
+        runId
+      );
+      context.thirteenthMonth = due.reduce((byEmployee, computed) => {
+        byEmployee[computed.employee_id] = computed;
+        return byEmployee;
+      }, {});
+    }
+
+    // Release conversions claimed by an earlier compute of this run
+    await connection.query(
+      "UPDATE leave_balances SET conversion_payroll_run_id = NULL WHERE conversion_payroll_run_id = ?",
+      [runId]
+    );
+    let conversions = { balanceIds: [] };
+
+    // Restore loan balances deducted by an earlier compute of this run
+    await loans.releaseRun(connection, runId);
+
+    if (standalone) {
+      employees = employees.filter(
+        (employee) => context.thirteenthMonth[employee.id].amount > 0
+      );
+    } else if (adjustment) {
+      Object.assign(context, {
+        adjustments: adjustments.byEmployee,
+        reversedLoans: adjustments.reversedLoans,
+        adjustsRunId: run.adjusts_run_id,
+      });
+    } else if (finalPay) {
+      const finalPayContext = await getFinalPayContext(
+        connection,
+        employees,
+        run
+      );
+      Object.assign(context, finalPayContext.context);
+      conversions = { balanceIds: finalPayContext.balanceIds };
+    } else {
+      Object.assign(context, {
+        schedules: await contributions.getSchedules(connection, periodEnd),
+        annualize: isLastPeriodOfYear(run),
+        payRules: (await payRules.getRules(connection, periodEnd)).rules,
+        attendance: await getAttendance(connection, employees, run),
+        compensation: await compensation.getTimelines(
+          connection,
+          employees.map((employee) => employee.id)
+        ),
+      });
+      conversions = await getLeaveConversions(connection, employees, run);
+      context.leaveConversions = conversions.byEmployee;
+      context.loans = await loans.getDueLoans(
+        connection,
+        employees.map((employee) => employee.id),
+        periodEnd
+      );
+      context.earningTypes = await earnings.getTypes(connection);
+      context.earnings = await earnings.getPeriodEarnings(
+        connection,
+        employees.map((employee) => employee.id),
+        toDateString(run.period_start),
+        periodEnd
+      );
+      context.deMinimisUsage = await earnings.getDeMinimisUsage(
+        connection,
+        employees.map((employee) => employee.id),
+        year,
+        runId
+      );
+
+      const resynced = await compensation.syncSalaries(
+        connection,
+        employees,
+        context.compensation,
+        context.payRules
+      );
+      for (const before of resynced) {
+        const [after] = await connection.query(
+          "SELECT * FROM employees WHERE id = ?",
+          [before.id]
+        );
+        await audit.record(connection, req, {
+          entity: "employee",
+          entityId: before.id,
+          action: "update",
+          before,
+          after: after[0],
+        });
+      }
+    }
+
+    await connection.query("DELETE FROM payslips WHERE payroll_run_id = ?", [
+      runId,
+    ]);
+
+    const totals = { gross: 0, deductions: 0, net: 0 };
+    for (const employee of employees) {
+      let payslip;
+      if (standalone) {
+        payslip = computeThirteenthMonthPayslip(employee, context);
+      } else if (adjustment) {
+        payslip = computeAdjustmentPayslip(employee, context);
+      } else if (finalPay) {
+        payslip = computeFinalPayPayslip(employee, context);
+      } else {
+        payslip = computePayslip(employee, run, context);
+      }
+
+      const [result] = await connection.query(
+        `INSERT INTO payslips
+           (payroll_run_id, employee_id, basic_pay, gross_pay, de_minimis_exempt,
+            other_benefits_exempt, taxable_income, withholding_tax,
+            total_deductions, net_pay)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          runId,
+          employee.id,
+          payslip.basic_pay,
+          payslip.gross_pay,
+          payslip.de_minimis_exempt,
+          payslip.other_benefits_exempt,
+          payslip.taxable_income,
+          payslip.withholding_tax,
+          payslip.total_deductions,
+          payslip.net_pay,
+        ]
+      );
+
+      for (const line of payslip.lines) {
+        await connection.query(
+          `INSERT INTO payslip_lines (payslip_id, line_type, code, description, amount)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            result.insertId,
+            line.line_type,
+            line.code,
+            line.description,
+            line.amount,
+          ]
+        );
+      }
+
+      for (const entry of payslip.loan_entries || []) {
+        await loans.postEntry(connection, entry.loan_id, {
+          ...entry,
+          entry_date: toDateString(run.pay_date),
+          payroll_run_id: runId,
+        });
+      }
+
+      totals.gross += payslip.gross_pay;
+      totals.deductions += payslip.total_deductions;
+      totals.net += payslip.net_pay;
+    }
+
+    if (conversions.balanceIds.length > 0) {
+      await connection.query(
+        "UPDATE leave_balances SET conversion_payroll_run_id = ? WHERE id IN (?)",
+        [runId, conversions.balanceIds]
+      );
+    }
+
+    await connection.query(
+      `UPDATE payroll_runs
+       SET status = 'computed', employee_count = ?, total_gross = ?,
+           total_deductions = ?, total_net = ?, computed_at = NOW()
+       WHERE id = ?`,
+      [
+        employees.length,
+        round2(totals.gross),
+        round2(totals.deductions),
+        round2(totals.net),
+        runId,
+      ]
+    );
+
+    await connection.commit();
+    return getRun(pool, runId);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Payslips of a run with their lines, optionally for a single employee
+async function getPayslips(runId, employeeId) {
+  const pool = await getPool();
+  const params = [runId];
+  let where = "ps.payroll_run_id = ?";
+  if (employeeId) {
+    where += " AND ps.employee_id = ?";
+    params.push(employeeId);
+  }
+
+  const [payslips] = await pool.query(
+    `SELECT ps.*, e.employee_id AS employee_number, e.first_name, e.last_name,
+            e.position, e.tin, e.birth_date, d.name AS department_name
+     FROM payslips ps
+     JOIN employees e ON ps.employee_id = e.id
+     LEFT JOIN departments d ON e.department_id = d.id
+     WHERE ${where}
+     ORDER BY e.last_name, e.first_name`,
+    params
+  );
+
+  if (payslips.length === 0) {
+    return payslips;
+  }
+
+  const [lines] = await pool.query(
+    `SELECT * FROM payslip_lines WHERE payslip_id IN (?) ORDER BY id`,
+    [payslips.map((payslip) => payslip.id)]
+  );
+
+  return payslips.map((payslip) => ({
+    ...payslip,
+    lines: lines.filter((line) => line.payslip_id === payslip.id),
+  }));
+}
+
+module.exports = {
+  FREQUENCIES,
+  RUN_TYPES,
+  SALARY_RUN_TYPES,
+  STATUSES,
+  EDITABLE_STATUSES,
+  LOCKED_STATUSES,
+  REPORTABLE_STATUSES,
+  CONTRIBUTION_CODES,
+  ABSENCE_CODES,
+  PERIODS_PER_MONTH,
+  round2,
+  formatDate,
+  buildPayPeriod,
+  computePayslip,
+  computeThirteenthMonthPayslip,
+  computeAdjustmentPayslip,
+  computeFinalPayPayslip,
+  sumLines,
+  summarizePayslip,
+  isLastPeriodOfYear,
+  getYearToDate,
+  getTaxYearToDate,
+  getFinalPayContext,
+  getRun,
+  findOrCreatePeriod,
+  nextPayPeriod,
+  createRun,
+  createAdjustmentRun,
+  computeRun,
+  getPayslips,
+};
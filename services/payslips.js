@@ -0,0 +1,165 @@
+const { round2, formatMoney } = require("../utilities/money");
+const { toDateString } = require("../utilities/dates");
+const { CONTRIBUTION_CODES } = require("./payroll");
+const { COMPANY } = require("./company");
+const pdf = require("./pdf");
+
+// What a payslip PDF may be locked with
+const PASSWORD_SCHEMES = ["birth_date", "employee_number"];
+
+function formatDate(date) {
+  const value = toDateString(date);
+  return value
+    ? new Date(`${value}T00:00:00Z`).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        timeZone: "UTC",
+      })
+    : "";
+}
+
+// The password a payslip is locked with: the birth date as YYYYMMDD, or the
+// employee number. null when the employee has no birth date on file.
+function passwordFor(payslip, scheme) {
+  if (scheme === "employee_number") {
+    return payslip.employee_number;
+  }
+  const birthDate = toDateString(payslip.birth_date);
+  return birthDate ? birthDate.replace(/-/g, "") : null;
+}
+
+function filenameFor(run, payslip) {
+  return `payslip-${toDateString(run.period_end)}-${
+    payslip.employee_number
+  }.pdf`;
+}
+
+// Everything the payslip template shows, with amounts already formatted.
+// Contributions pair the employee's deduction with the employer's share.
+function buildView(run, payslip, ytd = {}) {
+  const lines = payslip.lines.map((line) => ({
+    ...line,
+    amount: Number(line.amount),
+  }));
+  const rows = (predicate) =>
+    lines.filter(predicate).map((line) => ({
+      description: line.description,
+      amount: formatMoney(line.amount),
+    }));
+
+  const contributions = CONTRIBUTION_CODES.map((code) => {
+    const employee = lines.find(
+      (line) => line.line_type === "deduction" && line.code === code
+    );
+    const employer = lines
+      .filter(
+        (line) =>
+          line.line_type === "employer" &&
+          line.code.replace(/_(ER|EC)$/, "") === code
+      )
+      .reduce((total, line) => total + line.amount, 0);
+    return employee || employer > 0
+      ? {
+          description: employee ? employee.description : code,
+          employee: formatMoney(employee ? employee.amount : 0),
+          employer: formatMoney(employer),
+        }
+      : null;
+  }).filter(Boolean);
+
+  return {
+    title: `Payslip ${payslip.employee_number} ${toDateString(run.period_end)}`,
+    company: { name: COMPANY.name, address: COMPANY.address },
+    heading:
+      { thirteenth_month: "13th Month Pay", final_pay: "Final Pay" }[
+        run.run_type
+      ] || "Payslip",
+    period: {
+      start: formatDate(run.period_start),
+      end: formatDate(run.period_end),
+      pay_date: formatDate(run.pay_date),
+    },
+    employee: {
+      number: payslip.employee_number,
+      name: `${payslip.last_name}, ${payslip.first_name}`,
+      department: payslip.department_name || "",
+      position: payslip.position || "",
+      tin: payslip.tin || "",
+    },
+    earnings: rows((line) => line.line_type === "earning"),
+    deductions: rows(
+      (line) =>
+        line.line_type === "deduction" &&
+        !CONTRIBUTION_CODES.includes(line.code)
+    ),
+    contributions,
+    gross_pay: formatMoney(payslip.gross_pay),
+    total_deductions: formatMoney(payslip.total_deductions),
+    net_pay: formatMoney(payslip.net_pay),
+    ytd: {
+      gross_pay: formatMoney(ytd.gross_pay),
+      taxable_income: formatMoney(ytd.taxable_income),
+      withholding_tax: formatMoney(ytd.withholding_tax),
+      contributions: formatMoney(ytd.contributions),
+      net_pay: formatMoney(ytd.net_pay),
+    },
+  };
+}
+
+// Year-to-date totals as of a run's pay period, per employee: every payslip
+// of the year up to and including that period, of any run type
+async function getYearToDate(db, run, employeeIds) {
+  if (employeeIds.length === 0) {
+    return {};
+  }
+
+  const periodEnd = toDateString(run.period_end);
+  const [rows] = await db.query(
+    `SELECT ps.employee_id,
+            SUM(ps.gross_pay) AS gross_pay,
+            SUM(ps.taxable_income) AS taxable_income,
+            SUM(ps.withholding_tax) AS withholding_tax,
+            SUM(ps.net_pay) AS net_pay,
+            SUM((SELECT COALESCE(SUM(l.amount), 0) FROM payslip_lines l
+                 WHERE l.payslip_id = ps.id AND l.line_type = 'deduction'
+                   AND l.code IN (?))) AS contributions
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id IN (?) AND p.period_end BETWEEN ? AND ?
+     GROUP BY ps.employee_id`,
+    [
+      CONTRIBUTION_CODES,
+      employeeIds,
+      `${periodEnd.slice(0, 4)}-01-01`,
+      periodEnd,
+    ]
+  );
+
+  return rows.reduce((ytd, row) => {
+    ytd[row.employee_id] = {
+      gross_pay: round2(Number(row.gross_pay)),
+      taxable_income: round2(Number(row.taxable_income)),
+      withholding_tax: round2(Number(row.withholding_tax)),
+      contributions: round2(Number(row.contributions)),
+      net_pay: round2(Number(row.net_pay)),
+    };
+    return ytd;
+  }, {});
+}
+
+// Render one payslip to a PDF, locked when a password is given
+function generate(app, run, payslip, ytd, password) {
+  return pdf.generate(app, "payslip", buildView(run, payslip, ytd), password);
+}
+
+module.exports = {
+  PASSWORD_SCHEMES,
+  formatDate,
+  passwordFor,
+  filenameFor,
+  buildView,
+  getYearToDate,
+  generate,
+};
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const puppeteer = require("puppeteer");
+const { PDFDocument } = require("@cantoo/pdf-lib");
+
+// Lets payroll open any protected document; random unless configured
+const OWNER_PASSWORD =
+  process.env.PDF_OWNER_PASSWORD || crypto.randomBytes(24).toString("hex");
+
+// Render a view through the app's Handlebars engine, without the site layout
+function renderView(app, name, view) {
+  return new Promise((resolve, reject) => {
+    app.render(name, { ...view, layout: false }, (error, html) =>
+      error ? reject(error) : resolve(html)
+    );
+  });
+}
+
+// Chromium's sandbox stays on unless the host cannot provide it, e.g. a
+// container running as root without user namespaces
+const BROWSER_ARGS = [
+  "--disable-dev-shm-usage",
+  ...(process.env.PUPPETEER_NO_SANDBOX === "true" ? ["--no-sandbox"] : []),
+];
+
+// One headless browser is shared by every request and relaunched if it dies
+let browser = null;
+
+function getBrowser() {
+  if (!browser) {
+    browser = puppeteer
+      .launch({ args: BROWSER_ARGS })
+      .then((instance) => {
+        instance.on("disconnected", () => {
+          browser = null;
+        });
+        return instance;
+      })
+      .catch((error) => {
+        browser = null;
+        throw error;
+      });
+  }
+  return browser;
+}
+
+async function renderPdf(html) {
+  const page = await (await getBrowser()).newPage();
+  try {
+    await page.setContent(html, { waitUntil: "load" });
+    return Buffer.from(
+      await page.pdf({
+        format: "A4",
+        printBackground: true,
+        margin: { top: "12mm", right: "12mm", bottom: "12mm", left: "12mm" },
+      })
+    );
+  } finally {
+    await page.close();
+  }
+}
+
+// Lock a PDF so it opens only with the password; it can still be printed
+async function protect(pdf, password) {
+  const document = await PDFDocument.load(pdf);
+  document.encrypt({
+    userPassword: password,
+    ownerPassword: OWNER_PASSWORD,
+    permissions: {
+      printing: "highResolution",
+      modifying: false,
+      copying: false,
+      annotating: false,
+    },
+  });
+  return Buffer.from(await document.save());
+}
+
+// Render a view to a PDF, locked when a password is given
+async function generate(app, name, view, password) {
+  const pdf = await renderPdf(await renderView(app, name, view));
+  return password ? protect(pdf, password) : pdf;
+}
+
+module.exports = {
+  renderView,
+  renderPdf,
+  protect,
+  generate,
+};
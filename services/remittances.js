@@ -0,0 +1,304 @@
+const { stringify } = require("csv-stringify/sync");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString } = require("../utilities/dates");
+const patterns = require("../validators/patterns");
+const { COMPANY, toFileName } = require("./company");
+const { REPORTABLE_STATUSES, SALARY_RUN_TYPES } = require("./payroll");
+
+// Each agency's contribution list: the member ID it is keyed by, the
+// payslip lines holding the employee and employer shares, and the employer
+// number its file is filed under
+const AGENCIES = {
+  sss: {
+    form: "SSS R-3",
+    id_field: "sss_number",
+    id_pattern: patterns.SSS_NUMBER,
+    employer_env: "COMPANY_SSS_NUMBER",
+    employee_codes: ["SSS"],
+    employer_codes: ["SSS_ER"],
+    ec_codes: ["SSS_EC"],
+    extension: "txt",
+  },
+  philhealth: {
+    form: "PhilHealth RF-1",
+    id_field: "philhealth_number",
+    id_pattern: patterns.PHILHEALTH_NUMBER,
+    employer_env: "COMPANY_PHILHEALTH_NUMBER",
+    employee_codes: ["PHILHEALTH"],
+    employer_codes: ["PHILHEALTH_ER"],
+    ec_codes: [],
+    extension: "csv",
+  },
+  pagibig: {
+    form: "Pag-IBIG MCRF",
+    id_field: "pagibig_number",
+    id_pattern: patterns.PAGIBIG_NUMBER,
+    employer_env: "COMPANY_PAGIBIG_NUMBER",
+    employee_codes: ["PAGIBIG"],
+    employer_codes: ["PAGIBIG_ER"],
+    ec_codes: [],
+    extension: "csv",
+  },
+};
+
+const digits = (value) => String(value || "").replace(/\D/g, "");
+const cents = (amount) => String(Math.round(amount * 100));
+
+// First and last day of a YYYY-MM month
+function monthRange(month) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return [`${month}-01`, toDateString(new Date(Date.UTC(year, monthIndex, 0)))];
+}
+
+// Each employee's basic pay and contribution lines from the regular and
+// final pay runs of pay periods ending in the month
+async function getContributions(db, month) {
+  const [from, to] = monthRange(month);
+  const codes = Object.values(AGENCIES).flatMap((agency) => [
+    ...agency.employee_codes,
+    ...agency.employer_codes,
+    ...agency.ec_codes,
+  ]);
+
+  const [employees] = await db.query(
+    `SELECT e.id AS employee_id, e.employee_id AS employee_number,
+            e.last_name, e.first_name, e.middle_name, e.birth_date,
+            e.sss_number, e.philhealth_number, e.pagibig_number,
+            SUM(ps.basic_pay) AS basic_pay
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     JOIN employees e ON ps.employee_id = e.id
+     WHERE p.period_end BETWEEN ? AND ? AND r.run_type IN (?)
+       AND r.status IN (?)
+     GROUP BY e.id
+     ORDER BY e.last_name, e.first_name`,
+    [from, to, SALARY_RUN_TYPES, REPORTABLE_STATUSES]
+  );
+  if (employees.length === 0) {
+    return [];
+  }
+
+  const [lines] = await db.query(
+    `SELECT ps.employee_id, l.code, SUM(l.amount) AS amount
+     FROM payslip_lines l
+     JOIN payslips ps ON l.payslip_id = ps.id
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE p.period_end BETWEEN ? AND ? AND r.run_type IN (?)
+       AND r.status IN (?) AND l.code IN (?)
+     GROUP BY ps.employee_id, l.code`,
+    [from, to, SALARY_RUN_TYPES, REPORTABLE_STATUSES, codes]
+  );
+
+  return employees.map((employee) => ({
+    ...employee,
+    amounts: lines
+      .filter((line) => line.employee_id === employee.employee_id)
+      .reduce((amounts, line) => {
+        amounts[line.code] = Number(line.amount);
+        return amounts;
+      }, {}),
+  }));
+}
+
+// One agency's contribution list for the month, with totals and the
+// employees whose member ID is missing or malformed
+function buildReport(agencyKey, month, employees) {
+  const agency = AGENCIES[agencyKey];
+  const sum = (employee, codes) =>
+    round2(
+      codes.reduce((total, code) => total + (employee.amounts[code] || 0), 0)
+    );
+
+  const rows = employees
+    .map((employee) => {
+      const employeeShare = sum(employee, agency.employee_codes);
+      const employerShare = sum(employee, agency.employer_codes);
+      const ec = sum(employee, agency.ec_codes);
+      return {
+        employee_id: employee.employee_id,
+        employee_number: employee.employee_number,
+        last_name: employee.last_name,
+        first_name: employee.first_name,
+        middle_name: employee.middle_name,
+        birth_date: toDateString(employee.birth_date),
+        id_number: employee[agency.id_field],
+        monthly_compensation: round2(Number(employee.basic_pay)),
+        employee_share: employeeShare,
+        employer_share: employerShare,
+        ...(agency.ec_codes.length > 0 ? { ec } : {}),
+        total: round2(employeeShare + employerShare + ec),
+      };
+    })
+    .filter((row) => row.total > 0);
+
+  const errors = rows
+    .filter((row) => !row.id_number || !agency.id_pattern.test(row.id_number))
+    .map((row) => ({
+      employee_id: row.employee_id,
+      employee_number: row.employee_number,
+      name: `${row.last_name}, ${row.first_name}`,
+      field: agency.id_field,
+      message: row.id_number
+        ? `${agency.id_field} ${row.id_number} is not valid`
+        : `${agency.id_field} is missing`,
+    }));
+
+  const total = (key) =>
+    round2(rows.reduce((sum, row) => sum + (row[key] || 0), 0));
+
+  return {
+    agency: agencyKey,
+    form: agency.form,
+    month,
+    employer: {
+      name: COMPANY.name,
+      number: COMPANY[agency.id_field],
+    },
+    rows,
+    totals: {
+      employees: rows.length,
+      employee_share: total("employee_share"),
+      employer_share: total("employer_share"),
+      ...(agency.ec_codes.length > 0 ? { ec: total("ec") } : {}),
+      total: total("total"),
+    },
+    errors,
+  };
+}
+
+function fixed(value, width, { align = "left", pad = " " } = {}) {
+  const text = String(value).slice(0, width);
+  return align === "right"
+    ? text.padStart(width, pad)
+    : text.padEnd(width, pad);
+}
+
+const amount = (value, width) =>
+  fixed(cents(value), width, { align: "right", pad: "0" });
+
+// SSS R-3 contribution list, fixed width: an employer header, one record
+// per member (SS number, name, employee and employer SS and EC shares in
+// centavos) and a control trailer
+function renderSss(report) {
+  const period = report.month.replace("-", "");
+  const lines = [
+    `00${fixed(digits(report.employer.number), 10)}${fixed(
+      toFileName(report.employer.name),
+      40
+    )}${period}`,
+    ...report.rows.map(
+      (row) =>
+        `20${fixed(digits(row.id_number), 10)}${fixed(
+          toFileName(row.last_name),
+          20
+        )}${fixed(toFileName(row.first_name), 20)}${fixed(
+          toFileName(row.middle_name).charAt(0),
+          1
+        )}${amount(row.employee_share, 9)}${amount(
+          row.employer_share,
+          9
+        )}${amount(row.ec, 7)}`
+    ),
+    `99${fixed(report.rows.length, 6, { align: "right", pad: "0" })}${amount(
+      report.totals.employee_share,
+      12
+    )}${amount(report.totals.employer_share, 12)}${amount(
+      report.totals.ec,
+      10
+    )}`,
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// PhilHealth RF-1 and Pag-IBIG MCRF lists, CSV: the employer number and
+// period, column labels, one row per member and a totals row
+function renderCsv(report) {
+  const memberLabel = {
+    philhealth: "PhilHealth No.",
+    pagibig: "Pag-IBIG MID No.",
+  }[report.agency];
+
+  return stringify(
+    [
+      [
+        "EMPLOYER",
+        digits(report.employer.number),
+        toFileName(report.employer.name),
+        report.month.replace("-", ""),
+      ],
+      [
+        memberLabel,
+        "Employee No.",
+        "Last Name",
+        "First Name",
+        "Middle Name",
+        "Birth Date",
+        "Monthly Compensation",
+        "EE Share",
+        "ER Share",
+        "Total",
+      ],
+      ...report.rows.map((row) => [
+        digits(row.id_number),
+        row.employee_number,
+        toFileName(row.last_name),
+        toFileName(row.first_name),
+        toFileName(row.middle_name),
+        row.birth_date || "",
+        row.monthly_compensation.toFixed(2),
+        row.employee_share.toFixed(2),
+        row.employer_share.toFixed(2),
+        row.total.toFixed(2),
+      ]),
+      [
+        "TOTAL",
+        report.totals.employees,
+        "",
+        "",
+        "",
+        "",
+        "",
+        report.totals.employee_share.toFixed(2),
+        report.totals.employer_share.toFixed(2),
+        report.totals.total.toFixed(2),
+      ],
+    ],
+    { record_delimiter: "\r\n" }
+  );
+}
+
+// The agency's file for a report. Refused while any member ID is missing
+// or the employer number is not configured.
+function renderFile(report) {
+  const agency = AGENCIES[report.agency];
+  if (report.errors.length > 0) {
+    throw httpError(
+      422,
+      `${report.errors.length} employee(s) have no valid ${agency.id_field}`
+    );
+  }
+  if (!digits(report.employer.number)) {
+    throw httpError(400, `${agency.employer_env} is not configured`);
+  }
+  if (report.rows.length === 0) {
+    throw httpError(400, `No contributions to remit for ${report.month}`);
+  }
+
+  // e.g. sss-r3-2026-03.txt
+  const form = agency.form.split(" ").pop().replace(/-/g, "").toLowerCase();
+  return {
+    filename: `${report.agency}-${form}-${report.month}.${agency.extension}`,
+    content: report.agency === "sss" ? renderSss(report) : renderCsv(report),
+  };
+}
+
+module.exports = {
+  AGENCIES,
+  monthRange,
+  getContributions,
+  buildReport,
+  renderFile,
+};
@@ -0,0 +1,192 @@
+const httpError = require("../utilities/httperror");
+const { toDateString } = require("../utilities/dates");
+const audit = require("./audit");
+
+// Payroll records are books of account, which the BIR requires kept for ten
+// years (RR 17-2013 as amended by RR 5-2014); that outlasts the three years
+// the Labor Code asks of employment records
+const RETENTION_YEARS = 10;
+
+// The first day records must still be kept from: anything last touched in an
+// earlier year has been kept for the full retention period
+function retentionCutoff(years = RETENTION_YEARS, today = new Date()) {
+  if (!Number.isInteger(years) || years < RETENTION_YEARS) {
+    throw httpError(
+      400,
+      `Records must be kept for at least ${RETENTION_YEARS} years`
+    );
+  }
+  return `${today.getFullYear() - years}-01-01`;
+}
+
+// Deleted employees with nothing on or after the cutoff: not their deletion,
+// separation or any pay period they were paid for
+async function getPurgeableEmployees(db, cutoff) {
+  const [rows] = await db.query(
+    `SELECT e.* FROM employees e
+     WHERE e.deleted_at < ?
+       AND (e.separation_date IS NULL OR e.separation_date < ?)
+       AND NOT EXISTS (
+             SELECT 1 FROM payslips ps
+             JOIN payroll_runs r ON ps.payroll_run_id = r.id
+             JOIN pay_periods p ON r.pay_period_id = p.id
+             WHERE ps.employee_id = e.id AND p.period_end >= ?
+           )
+     ORDER BY e.id`,
+    [cutoff, cutoff, cutoff]
+  );
+  return rows;
+}
+
+// Deleted departments no employee still belongs to, deleted or not, once
+// the given employees are purged, and that are not the parent unit of a
+// department being kept
+async function getPurgeableDepartments(db, cutoff, purgedEmployeeIds = []) {
+  const [departments] = await db.query(
+    "SELECT * FROM departments WHERE deleted_at < ? ORDER BY id",
+    [cutoff]
+  );
+  if (departments.length === 0) {
+    return departments;
+  }
+
+  const [members] = await db.query(
+    "SELECT id, department_id FROM employees WHERE department_id IN (?)",
+    [departments.map((department) => department.id)]
+  );
+  const purged = new Set(purgedEmployeeIds);
+  const occupied = new Set(
+    members
+      .filter((member) => !purged.has(member.id))
+      .map((member) => member.department_id)
+  );
+  let purgeable = departments.filter(
+    (department) => !occupied.has(department.id)
+  );
+
+  // Keeping a department keeps the units above it, up to the top
+  const [units] = await db.query("SELECT id, parent_id FROM departments");
+  for (;;) {
+    const ids = new Set(purgeable.map((department) => department.id));
+    const kept = new Set(
+      units
+        .filter((unit) => !ids.has(unit.id) && unit.parent_id !== null)
+        .map((unit) => unit.parent_id)
+    );
+    const remaining = purgeable.filter(
+      (department) => !kept.has(department.id)
+    );
+    if (remaining.length === purgeable.length) {
+      return purgeable;
+    }
+    purgeable = remaining;
+  }
+}
+
+// Blank the row snapshots kept in the audit trail of a purged record, so
+// the data does not outlive it there. Who changed what and when stays.
+async function redactAuditTrail(db, entity, entityId) {
+  await db.query(
+    `UPDATE audit_logs SET before_data = NULL, after_data = NULL
+     WHERE entity = ? AND entity_id = ?`,
+    [entity, entityId]
+  );
+}
+
+// Hard-delete one employee. Payslips and adjustments go first since they do
+// not cascade; attendance, leave, loans, earnings and compensation history do.
+async function purgeEmployee(db, employee) {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query(
+      "DELETE FROM payroll_adjustments WHERE employee_id = ?",
+      [employee.id]
+    );
+    await connection.query("DELETE FROM payslips WHERE employee_id = ?", [
+      employee.id,
+    ]);
+    await connection.query("DELETE FROM employees WHERE id = ?", [employee.id]);
+    await redactAuditTrail(connection, "employee", employee.id);
+    await audit.record(
+      connection,
+      {},
+      {
+        entity: "employee",
+        entityId: employee.id,
+        action: "purge",
+        before: { id: employee.id, employee_id: employee.employee_id },
+      }
+    );
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function purgeDepartment(db, department) {
+  await db.query("DELETE FROM departments WHERE id = ?", [department.id]);
+  await redactAuditTrail(db, "department", department.id);
+  await audit.record(
+    db,
+    {},
+    {
+      entity: "department",
+      entityId: department.id,
+      action: "purge",
+      before: { id: department.id, name: department.name },
+    }
+  );
+}
+
+// Permanently remove soft-deleted employees and departments kept past the
+// retention period; with dryRun only list them. A department whose last
+// employees are purged goes with them.
+async function purge(db, { years = RETENTION_YEARS, dryRun = true } = {}) {
+  const cutoff = retentionCutoff(years);
+
+  const employees = await getPurgeableEmployees(db, cutoff);
+  const departments = await getPurgeableDepartments(
+    db,
+    cutoff,
+    employees.map((employee) => employee.id)
+  );
+
+  if (!dryRun) {
+    for (const employee of employees) {
+      await purgeEmployee(db, employee);
+    }
+    for (const department of departments) {
+      await purgeDepartment(db, department);
+    }
+  }
+
+  return {
+    cutoff,
+    dry_run: dryRun,
+    employees: employees.map((employee) => ({
+      id: employee.id,
+      employee_id: employee.employee_id,
+      name: `${employee.first_name} ${employee.last_name}`,
+      deleted_at: employee.deleted_at,
+      separation_date: toDateString(employee.separation_date),
+    })),
+    departments: departments.map((department) => ({
+      id: department.id,
+      name: department.name,
+      deleted_at: department.deleted_at,
+    })),
+  };
+}
+
+module.exports = {
+  RETENTION_YEARS,
+  retentionCutoff,
+  getPurgeableEmployees,
+  getPurgeableDepartments,
+  purge,
+};
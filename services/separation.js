@@ -0,0 +1,181 @@
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, addDays } = require("../utilities/dates");
+const { HEADCOUNT_STATUSES, STALE_EMPLOYEE } = require("./employees");
+const payRules = require("./pay-rules");
+
+// Why an employee left, and the separation pay the Labor Code gives for it:
+// months of pay per year of service, or one month's pay if that is more.
+// The other reasons carry no separation pay; retirement is paid under
+// RA 7641 instead.
+const REASONS = {
+  resignation: { label: "Resignation" },
+  end_of_contract: { label: "End of contract" },
+  retirement: { label: "Retirement (Art. 302)", retirement: true },
+  redundancy: { label: "Redundancy (Art. 298)", months_per_year: 1 },
+  labor_saving_devices: {
+    label: "Installation of labor-saving devices (Art. 298)",
+    months_per_year: 1,
+  },
+  retrenchment: {
+    label: "Retrenchment to prevent losses (Art. 298)",
+    months_per_year: 0.5,
+  },
+  closure: {
+    label: "Closure not due to serious losses (Art. 298)",
+    months_per_year: 0.5,
+  },
+  closure_serious_losses: {
+    label: "Closure due to serious losses (Art. 298)",
+  },
+  disease: { label: "Disease (Art. 299)", months_per_year: 0.5 },
+  just_cause: { label: "Dismissal for just cause (Art. 297)" },
+  death: { label: "Death" },
+};
+
+// RA 7641: absent a retirement plan, an employee retiring at 60 or older
+// after at least 5 years of service gets 22.5 days' pay per year of service
+// (15 days, 5 days of service incentive leave and 1/12 of the 13th month)
+const RETIREMENT = {
+  minimum_age: 60,
+  minimum_years: 5,
+  days_per_year: 22.5,
+};
+
+// Payslip lines of separation and retirement pay, both exempt from income
+// tax (NIRC Sec. 32(B)(6))
+const CODES = {
+  separation: "SEPARATION_PAY",
+  retirement: "RETIREMENT_PAY",
+};
+
+// Whole months from one date through another
+function wholeMonths(from, to) {
+  const [fromYear, fromMonth, fromDay] = from.split("-").map(Number);
+  const [toYear, toMonth, toDay] = addDays(to, 1).split("-").map(Number);
+  return Math.max(
+    (toYear - fromYear) * 12 +
+      (toMonth - fromMonth) -
+      (toDay < fromDay ? 1 : 0),
+    0
+  );
+}
+
+// Length of service from hire to separation. A fraction of at least six
+// months counts as a whole year of service.
+function serviceLength(hireDate, separationDate) {
+  const months = hireDate
+    ? wholeMonths(toDateString(hireDate), toDateString(separationDate))
+    : 0;
+  const years = Math.floor(months / 12);
+  return {
+    years,
+    months: months % 12,
+    credited_years: years + (months % 12 >= 6 ? 1 : 0),
+  };
+}
+
+// Age in whole years on a date; null without a birth date
+function ageOn(birthDate, date) {
+  const birth = toDateString(birthDate);
+  return birth
+    ? Math.floor(wholeMonths(birth, addDays(toDateString(date), -1)) / 12)
+    : null;
+}
+
+// Separation or retirement pay owed for how an employee left, at the monthly
+// equivalent of their last rate (their current salary unless given). basis
+// explains the amount, or why none is due.
+function separationPay(employee, rules, salary = Number(employee.salary) || 0) {
+  const reason = REASONS[employee.separation_reason] || {};
+  const service = serviceLength(employee.hire_date, employee.separation_date);
+  const result = {
+    reason: employee.separation_reason,
+    label: reason.label || employee.separation_reason,
+    service,
+    code: null,
+    amount: 0,
+    basis: "No separation pay is due for this reason",
+  };
+
+  if (reason.retirement) {
+    const age = ageOn(employee.birth_date, employee.separation_date);
+    if (age === null) {
+      result.basis = "No birth date on file to establish retirement age";
+    } else if (
+      age < RETIREMENT.minimum_age ||
+      service.years < RETIREMENT.minimum_years
+    ) {
+      result.basis = `Retirement pay needs age ${RETIREMENT.minimum_age} and ${RETIREMENT.minimum_years} years of service (age ${age}, ${service.years} years)`;
+    } else {
+      result.code = CODES.retirement;
+      result.amount = round2(
+        payRules.dailyRate(salary, rules) *
+          RETIREMENT.days_per_year *
+          service.credited_years
+      );
+      result.basis = `${RETIREMENT.days_per_year} days' pay for each of ${service.credited_years} years of service`;
+    }
+    return result;
+  }
+
+  if (reason.months_per_year) {
+    const months = Math.max(reason.months_per_year * service.credited_years, 1);
+    result.code = CODES.separation;
+    result.amount = round2(salary * months);
+    result.basis = `${months} month(s) of pay: ${reason.months_per_year} month per year of service for ${service.credited_years} years, at least one month`;
+  }
+  return result;
+}
+
+// Record that an employee left. They become inactive, drop out of regular
+// payroll runs after that, and are paid off by the next final pay run.
+async function separate(db, employee, input) {
+  if (!HEADCOUNT_STATUSES.includes(employee.status)) {
+    throw httpError(400, `Cannot separate an ${employee.status} employee`);
+  }
+  const hireDate = toDateString(employee.hire_date);
+  if (hireDate && input.separation_date < hireDate) {
+    throw httpError(
+      400,
+      `separation_date cannot be before the hire date (${hireDate})`
+    );
+  }
+
+  // Recorded ahead of time, the employee would drop out of the regular runs
+  // still owed them before final pay picks them up
+  if (input.separation_date > toDateString(new Date())) {
+    throw httpError(
+      400,
+      "separation_date cannot be in the future; record the separation once the employee has left"
+    );
+  }
+
+  // The version guard keeps a concurrent update from being overwritten
+  const [result] = await db.query(
+    `UPDATE employees
+     SET status = 'inactive', separation_date = ?, separation_reason = ?,
+         separation_notes = ?, version = version + 1
+     WHERE id = ? AND version = ?`,
+    [
+      input.separation_date,
+      input.reason,
+      input.notes === undefined ? null : input.notes,
+      employee.id,
+      employee.version,
+    ]
+  );
+  if (result.affectedRows === 0) {
+    throw httpError(412, STALE_EMPLOYEE);
+  }
+}
+
+module.exports = {
+  REASONS,
+  RETIREMENT,
+  CODES,
+  serviceLength,
+  ageOn,
+  separationPay,
+  separate,
+};
@@ -0,0 +1,133 @@
+const { getPool } = require("../dbconfig");
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, isDateString } = require("../utilities/dates");
+
+const TAX_PERIODS = ["daily", "weekly", "semi-monthly", "monthly", "annual"];
+
+// Apply a graduated table: base tax plus the rate on the excess over the bracket floor
+function applyBrackets(brackets, taxable) {
+  if (taxable <= 0) {
+    return 0;
+  }
+
+  const bracket = brackets
+    .filter((row) => taxable > row.over)
+    .reduce((highest, row) => (row.over > highest.over ? row : highest), {
+      over: 0,
+      base_tax: 0,
+      rate: 0,
+    });
+
+  return round2(bracket.base_tax + (taxable - bracket.over) * bracket.rate);
+}
+
+// Taxable compensation after mandatory contributions and non-taxable benefits
+function taxableCompensation({
+  gross_compensation,
+  mandatory_contributions,
+  non_taxable_benefits,
+}) {
+  return round2(
+    Math.max(
+      (Number(gross_compensation) || 0) -
+        (Number(mandatory_contributions) || 0) -
+        (Number(non_taxable_benefits) || 0),
+      0
+    )
+  );
+}
+
+// Withholding tax for one pay period.
+// In "annualized" mode (last pay period of the year) the year's tax due on
+// ytd_taxable plus this period's taxable is trued up against ytd_tax_withheld;
+// a negative result is a refund.
+function computeWithholding(table, input) {
+  const period = input.period || "monthly";
+  const mode = input.mode || "periodic";
+
+  if (!TAX_PERIODS.includes(period) || period === "annual") {
+    throw httpError(
+      400,
+      "period must be one of: daily, weekly, semi-monthly, monthly"
+    );
+  }
+  if (!["periodic", "annualized"].includes(mode)) {
+    throw httpError(400, "mode must be periodic or annualized");
+  }
+
+  const taxable = taxableCompensation(input);
+  const result = {
+    tax_table: {
+      id: table.id,
+      effective_from: toDateString(table.effective_from),
+      description: table.description,
+    },
+    period,
+    mode,
+    gross_compensation: round2(input.gross_compensation || 0),
+    mandatory_contributions: round2(input.mandatory_contributions || 0),
+    non_taxable_benefits: round2(input.non_taxable_benefits || 0),
+    taxable_compensation: taxable,
+  };
+
+  if (mode === "periodic") {
+    result.withholding_tax = applyBrackets(table.brackets[period], taxable);
+    return result;
+  }
+
+  const annualTaxable = round2((Number(input.ytd_taxable) || 0) + taxable);
+  const annualTax = applyBrackets(table.brackets.annual, annualTaxable);
+  const withheld = round2(input.ytd_tax_withheld || 0);
+
+  result.annual_taxable_compensation = annualTaxable;
+  result.annual_tax_due = annualTax;
+  result.ytd_tax_withheld = withheld;
+  result.withholding_tax = round2(annualTax - withheld);
+  return result;
+}
+
+// Load the tax table in force on a date
+async function getTable(db, date) {
+  const [rows] = await db.query(
+    `SELECT * FROM tax_tables
+     WHERE effective_from <= ?
+     ORDER BY effective_from DESC
+     LIMIT 1`,
+    [date]
+  );
+
+  if (rows.length === 0) {
+    throw httpError(400, `No tax table in effect on ${date}`);
+  }
+
+  const table = rows[0];
+  return {
+    ...table,
+    brackets:
+      typeof table.brackets === "string"
+        ? JSON.parse(table.brackets)
+        : table.brackets,
+  };
+}
+
+// Compute withholding tax using the table effective on input.date
+async function computeForDate(input) {
+  const date = input.date || toDateString(new Date());
+  if (!isDateString(date)) {
+    throw httpError(400, "date must be in YYYY-MM-DD format");
+  }
+
+  const pool = await getPool();
+  const table = await getTable(pool, date);
+  return { date, ...computeWithholding(table, input) };
+}
+
+module.exports = {
+  TAX_PERIODS,
+  applyBrackets,
+  taxableCompensation,
+  computeWithholding,
+  getTable,
+  computeForDate,
+};
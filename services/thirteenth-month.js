@@ -0,0 +1,272 @@
+const httpError = require("../utilities/httperror");
+const { round2 } = require("../utilities/money");
+const { toDateString, addDays } = require("../utilities/dates");
+const { HEADCOUNT_STATUSES, getSeparationDates } = require("./employees");
+
+// RA 10963 (TRAIN): 13th month pay and other benefits are exempt up to this
+// amount a year; the excess is taxable compensation
+const NON_TAXABLE_CEILING = 90000;
+
+// Payslip lines for the exempt and taxable parts of the 13th month
+const CODES = {
+  nonTaxable: "THIRTEENTH_MONTH",
+  taxable: "THIRTEENTH_MONTH_TAXABLE",
+};
+
+// Payslip deductions for time not worked, which is not basic pay earned
+const UNEARNED_CODES = ["LWOP"];
+
+// Runs whose payslips count as paid; drafts and unapproved computes may
+// still change (payroll.js cannot be required here, it requires this module)
+const PAID_STATUSES = ["approved", "released"];
+
+// Months between two dates inclusive, a partial month counting by its days
+function monthsBetween(from, to) {
+  let months = 0;
+  let cursor = from;
+
+  while (cursor <= to) {
+    const [year, month] = cursor.split("-").map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const monthEnd = `${cursor.slice(0, 8)}${String(daysInMonth).padStart(
+      2,
+      "0"
+    )}`;
+    const end = to < monthEnd ? to : monthEnd;
+
+    months +=
+      (Number(end.slice(8)) - Number(cursor.slice(8)) + 1) / daysInMonth;
+    cursor = addDays(end, 1);
+  }
+  return months;
+}
+
+// 13th month pay of one employee for a calendar year (PD 851): 1/12 of the
+// basic pay earned in the year, less what was already released.
+// history holds the basic pay on processed payslips and the last period they
+// cover; the rest of the year is projected at the current salary from the
+// later of that period or the hire date, up to the separation date if the
+// employee has left.
+function computeEmployee(employee, year, history = {}) {
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const hireDate = toDateString(employee.hire_date);
+  const actual = round2(history.basic_pay || 0);
+
+  let projectFrom = history.paid_through
+    ? addDays(history.paid_through, 1)
+    : yearStart;
+  if (hireDate && hireDate > projectFrom) {
+    projectFrom = hireDate;
+  }
+
+  let projectTo = yearEnd;
+  if (!HEADCOUNT_STATUSES.includes(employee.status)) {
+    projectTo = history.separated_on || null;
+  }
+
+  const projected =
+    projectTo && projectFrom <= projectTo && projectFrom <= yearEnd
+      ? round2(
+          (Number(employee.salary) || 0) *
+            monthsBetween(
+              projectFrom,
+              projectTo < yearEnd ? projectTo : yearEnd
+            )
+        )
+      : 0;
+
+  const basicEarned = round2(actual + projected);
+  const entitlement = round2(basicEarned / 12);
+  const released = round2(
+    (history.released_non_taxable || 0) + (history.released_taxable || 0)
+  );
+  const amount = round2(Math.max(entitlement - released, 0));
+  const nonTaxable = round2(
+    Math.min(
+      amount,
+      Math.max(NON_TAXABLE_CEILING - (history.exemption_used || 0), 0)
+    )
+  );
+
+  return {
+    employee_id: employee.id,
+    employee_number: employee.employee_id,
+    first_name: employee.first_name,
+    last_name: employee.last_name,
+    status: employee.status,
+    hire_date: hireDate,
+    separated_on: history.separated_on || null,
+    year,
+    basic_pay_actual: actual,
+    basic_pay_projected: projected,
+    basic_pay_earned: basicEarned,
+    entitlement,
+    released,
+    amount,
+    non_taxable: nonTaxable,
+    taxable: round2(amount - nonTaxable),
+  };
+}
+
+// Payslip lines paying a computed 13th month
+function lines(computed) {
+  return [
+    {
+      line_type: "earning",
+      code: CODES.nonTaxable,
+      description: "13th month pay (non-taxable)",
+      amount: computed.non_taxable,
+    },
+    {
+      line_type: "earning",
+      code: CODES.taxable,
+      description: "13th month pay (taxable excess)",
+      amount: computed.taxable,
+    },
+  ].filter((line) => line.amount > 0);
+}
+
+// Basic pay earned, 13th month released, exemption ceiling used and
+// separation date per employee, from the year's approved and released
+// payslips (except those of excludeRunId) and the audit trail
+async function getHistory(db, employeeIds, year, excludeRunId = 0) {
+  const history = {};
+  if (employeeIds.length === 0) {
+    return history;
+  }
+  const entry = (employeeId) =>
+    history[employeeId] || (history[employeeId] = {});
+  const range = [`${year}-01-01`, `${year}-12-31`];
+
+  const [payslips] = await db.query(
+    `SELECT ps.employee_id,
+            SUM(ps.basic_pay - (
+              SELECT COALESCE(SUM(l.amount), 0) FROM payslip_lines l
+              WHERE l.payslip_id = ps.id AND l.code IN (?)
+            )) AS basic_pay,
+            MAX(p.period_end) AS paid_through
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id IN (?) AND r.id <> ? AND r.status IN (?)
+       AND r.run_type IN ('regular', 'final_pay')
+       AND p.period_end BETWEEN ? AND ?
+     GROUP BY ps.employee_id`,
+    [UNEARNED_CODES, employeeIds, excludeRunId, PAID_STATUSES, ...range]
+  );
+  for (const row of payslips) {
+    Object.assign(entry(row.employee_id), {
+      basic_pay: Number(row.basic_pay) || 0,
+      paid_through: toDateString(row.paid_through),
+    });
+  }
+
+  const [released] = await db.query(
+    `SELECT ps.employee_id, l.code, SUM(l.amount) AS amount
+     FROM payslip_lines l
+     JOIN payslips ps ON l.payslip_id = ps.id
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id IN (?) AND r.id <> ? AND r.status IN (?)
+       AND l.code IN (?) AND p.period_end BETWEEN ? AND ?
+     GROUP BY ps.employee_id, l.code`,
+    [employeeIds, excludeRunId, PAID_STATUSES, Object.values(CODES), ...range]
+  );
+  for (const row of released) {
+    entry(row.employee_id)[
+      row.code === CODES.nonTaxable
+        ? "released_non_taxable"
+        : "released_taxable"
+    ] = Number(row.amount) || 0;
+  }
+
+  // What other payslips already used of the shared exemption ceiling
+  const [exemptions] = await db.query(
+    `SELECT ps.employee_id, SUM(ps.other_benefits_exempt) AS exemption_used
+     FROM payslips ps
+     JOIN payroll_runs r ON ps.payroll_run_id = r.id
+     JOIN pay_periods p ON r.pay_period_id = p.id
+     WHERE ps.employee_id IN (?) AND r.id <> ? AND r.status IN (?)
+       AND p.period_end BETWEEN ? AND ?
+     GROUP BY ps.employee_id`,
+    [employeeIds, excludeRunId, PAID_STATUSES, ...range]
+  );
+  for (const row of exemptions) {
+    entry(row.employee_id).exemption_used = Number(row.exemption_used) || 0;
+  }
+
+  const separations = await getSeparationDates(db, employeeIds, ...range);
+  for (const [employeeId, separatedOn] of Object.entries(separations)) {
+    entry(employeeId).separated_on = separatedOn;
+  }
+
+  return history;
+}
+
+// Employees owed a 13th month for the year: the current headcount plus
+// anyone paid basic pay that year, optionally limited to one employee.
+// Deleted employees are left out.
+async function getEligibleEmployees(db, year, employeeId) {
+  const [rows] = await db.query(
+    `SELECT e.* FROM employees e
+     WHERE (e.status IN (?) OR EXISTS (
+             SELECT 1 FROM payslips ps
+             JOIN payroll_runs r ON ps.payroll_run_id = r.id
+             JOIN pay_periods p ON r.pay_period_id = p.id
+             WHERE ps.employee_id = e.id
+               AND r.run_type IN ('regular', 'final_pay')
+               AND p.period_end BETWEEN ? AND ?
+           ))
+       AND (e.hire_date IS NULL OR e.hire_date <= ?)
+       AND e.deleted_at IS NULL
+       ${employeeId ? "AND e.id = ?" : ""}
+     ORDER BY e.id`,
+    [
+      HEADCOUNT_STATUSES,
+      `${year}-01-01`,
+      `${year}-12-31`,
+      `${year}-12-31`,
+      ...(employeeId ? [employeeId] : []),
+    ]
+  );
+  return rows;
+}
+
+// 13th month pay for the year of each of the given employees. excludeRunId
+// leaves out a run being recomputed, whose own payslips are replaced.
+async function computeForEmployees(db, employees, year, excludeRunId) {
+  const history = await getHistory(
+    db,
+    employees.map((employee) => employee.id),
+    year,
+    excludeRunId
+  );
+
+  return employees.map((employee) =>
+    computeEmployee(employee, year, history[employee.id])
+  );
+}
+
+// 13th month pay for the year of every eligible employee, or of one
+async function compute(db, year, employeeId) {
+  year = Number(year);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    throw httpError(400, "year must be a valid four-digit year");
+  }
+
+  const employees = await getEligibleEmployees(db, year, employeeId);
+  return computeForEmployees(db, employees, year);
+}
+
+module.exports = {
+  NON_TAXABLE_CEILING,
+  CODES,
+  monthsBetween,
+  computeEmployee,
+  lines,
+  getHistory,
+  getEligibleEmployees,
+  computeForEmployees,
+  compute,
+};
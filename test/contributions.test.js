@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const contributions = require("../services/contributions");
+const data = require("../data/contribution-schedules.json");
+
+// The schedules in force from 2025: SSS Circular 2024-006, PhilHealth
+// Circular 2020-0005 (5%) and HDMF Circular 460 (P10,000 fund salary)
+const schedules = ["sss", "philhealth", "pagibig"].reduce(
+  (byAgency, agency) => {
+    byAgency[agency] = data
+      .filter((row) => row.agency === agency)
+      .sort((a, b) => b.effective_from.localeCompare(a.effective_from))[0];
+    return byAgency;
+  },
+  {}
+);
+
+describe("contributions.computeContributions", () => {
+  it("splits SSS between regular SS and the MPF above P20,000", () => {
+    const result = contributions.computeContributions(30000, schedules);
+
+    assert.equal(result.sss.msc, 30000);
+    assert.deepEqual(result.sss.employee, {
+      regular: 1000,
+      mpf: 500,
+      total: 1500,
+    });
+    assert.deepEqual(result.sss.employer, {
+      regular: 2000,
+      mpf: 1000,
+      ec: 30,
+      total: 3030,
+    });
+    assert.equal(result.philhealth.employee, 750);
+    assert.equal(result.philhealth.employer, 750);
+    assert.equal(result.pagibig.employee, 200);
+    assert.equal(result.pagibig.employer, 200);
+    assert.deepEqual(result.totals, { employee: 2450, employer: 3980 });
+  });
+
+  it("centres each salary credit bracket on its MSC", () => {
+    assert.equal(
+      contributions.computeContributions(5249.99, schedules).sss.msc,
+      5000
+    );
+    assert.equal(
+      contributions.computeContributions(5250, schedules).sss.msc,
+      5500
+    );
+  });
+
+  it("applies the floors to low salaries", () => {
+    const result = contributions.computeContributions(4000, schedules);
+
+    assert.equal(result.sss.msc, 5000);
+    assert.equal(result.sss.employee.total, 250);
+    assert.equal(result.sss.employer.ec, 10);
+    assert.equal(result.philhealth.base, 10000);
+    assert.equal(result.philhealth.employee, 250);
+    assert.equal(result.pagibig.employee, 80);
+  });
+
+  it("caps every share at the ceilings", () => {
+    const result = contributions.computeContributions(150000, schedules);
+
+    assert.equal(result.sss.msc, 35000);
+    assert.equal(result.sss.employee.total, 1750);
+    assert.equal(result.philhealth.base, 100000);
+    assert.equal(result.philhealth.employee, 2500);
+    assert.equal(result.pagibig.employee, 200);
+  });
+
+  it("refuses to compute without every agency's schedule", () => {
+    assert.throws(
+      () =>
+        contributions.computeContributions(30000, {
+          sss: schedules.sss,
+          philhealth: schedules.philhealth,
+        }),
+      { status: 400, message: "No pagibig contribution schedule in effect" }
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const payroll = require("../services/payroll");
+const { rules } = require("../data/pay-rules.json")[0];
+const schedules = require("../data/contribution-schedules.json");
+const taxTables = require("../data/tax-tables.json");
+
+const employee = {
+  id: 3,
+  employee_id: "E3",
+  salary: "99999",
+  hire_date: "2020-03-15",
+  status: "inactive",
+  separation_date: "2026-10-31",
+  separation_reason: "retrenchment",
+};
+
+// A raise from P30,000 to P31,000 on October 16, the last regular payslip
+// paying through September
+function context(history = {}) {
+  return {
+    taxTable: taxTables[taxTables.length - 1],
+    schedules: ["sss", "philhealth", "pagibig"].reduce((byAgency, agency) => {
+      byAgency[agency] = schedules
+        .filter((row) => row.agency === agency)
+        .sort((a, b) => b.effective_from.localeCompare(a.effective_from))[0];
+      return byAgency;
+    }, {}),
+    payRules: rules,
+    ytd: {},
+    leaveConversions: {},
+    loans: {},
+    compensation: {
+      3: [
+        { effective_from: "2020-03-15", pay_basis: "monthly", rate: 30000 },
+        { effective_from: "2026-10-16", pay_basis: "monthly", rate: 31000 },
+      ],
+    },
+    finalPay: {
+      3: {
+        history: { basic_pay: 270000, paid_through: "2026-09-30", ...history },
+        leave: [{ name: "Vacation leave", year: 2026, available_days: 1 }],
+        contributions: {},
+      },
+    },
+  };
+}
+
+const line = (payslip, code) =>
+  payslip.lines.find((payslipLine) => payslipLine.code === code);
+
+describe("payroll.computeFinalPayPayslip", () => {
+  it("pays the last stretch at the rate in effect on each day", () => {
+    const payslip = payroll.computeFinalPayPayslip(employee, context());
+
+    assert.equal(
+      line(payslip, "BASIC").amount,
+      Math.round(((30000 * 15) / 31 + 31000 * (16 / 31)) * 100) / 100
+    );
+  });
+
+  it("takes back salary paid past the separation date", () => {
+    const payslip = payroll.computeFinalPayPayslip(
+      { ...employee, separation_date: "2026-10-10" },
+      context({ paid_through: "2026-10-31" })
+    );
+
+    assert.equal(
+      line(payslip, "BASIC").amount,
+      -(Math.round(((30000 * 5) / 31 + 31000 * (16 / 31)) * 100) / 100)
+    );
+  });
+
+  it("prices leave, separation pay and contributions at the last rate", () => {
+    const payslip = payroll.computeFinalPayPayslip(employee, context());
+
+    assert.equal(line(payslip, "LEAVE_CASH").amount, 1425.29);
+    assert.equal(line(payslip, "SEPARATION_PAY").amount, 108500);
+    assert.equal(line(payslip, "SSS").amount, 1550);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const payRules = require("../services/pay-rules");
+const { rules } = require("../data/pay-rules.json")[0];
+
+// A DTR day worked in full, with the given overrides
+function day(overrides) {
+  return {
+    work_date: "2026-06-01",
+    status: "present",
+    holidays: [],
+    rest_day: false,
+    regular_minutes: 480,
+    rest_day_minutes: 0,
+    overtime_minutes: 0,
+    night_minutes: 0,
+    overtime_night_minutes: 0,
+    ...overrides,
+  };
+}
+
+const regularHoliday = { name: "Independence Day", type: "regular" };
+
+describe("payRules rates", () => {
+  it("converts a monthly rate with the days paid a year", () => {
+    assert.equal(payRules.dailyRate(26100, rules), 1200);
+    assert.equal(payRules.hourlyRate(26100, rules), 150);
+  });
+
+  it("takes daily and hourly rates as they are", () => {
+    assert.equal(payRules.dailyRate(800, rules, "daily"), 800);
+    assert.equal(payRules.dailyRate(100, rules, "hourly"), 800);
+    assert.equal(payRules.hourlyRate(800, rules, "daily"), 100);
+  });
+});
+
+describe("payRules.dayType", () => {
+  it("classifies holidays and rest days", () => {
+    assert.equal(payRules.dayType(day()), "ordinary");
+    assert.equal(payRules.dayType(day({ rest_day: true })), "rest_day");
+    assert.equal(
+      payRules.dayType(day({ holidays: [{ type: "special" }] })),
+      "special"
+    );
+    assert.equal(
+      payRules.dayType(
+        day({ holidays: [{ type: "special" }, regularHoliday] })
+      ),
+      "regular"
+    );
+    assert.equal(
+      payRules.dayType(
+        day({ holidays: [regularHoliday, regularHoliday], rest_day: true })
+      ),
+      "double_regular_rest_day"
+    );
+  });
+});
+
+// The premiums computePremiums gives a single day at P100 an hour
+function premiumsFor(overrides) {
+  const dtr = { to: "2026-06-15", days: [day(overrides)] };
+  return payRules.computePremiums(dtr, () => 100, rules).days[0];
+}
+
+describe("payRules.computePremiums per day", () => {
+  it("pays ordinary-day overtime at 125%", () => {
+    const premiums = premiumsFor({ overtime_minutes: 120 });
+
+    assert.equal(premiums.overtime_rate, 1.25);
+    assert.equal(premiums.OT, 250);
+    assert.equal(premiums.REST_DAY, 0);
+  });
+
+  it("adds only the excess over a day's pay on a regular holiday", () => {
+    const premiums = premiumsFor({
+      holidays: [regularHoliday],
+      overtime_minutes: 60,
+    });
+
+    assert.equal(premiums.HOLIDAY, 800);
+    assert.equal(premiums.overtime_rate, 2.6);
+    assert.equal(premiums.OT, 260);
+  });
+
+  it("pays rest-day work in full at 130%", () => {
+    const premiums = premiumsFor({
+      rest_day: true,
+      regular_minutes: 0,
+      rest_day_minutes: 480,
+    });
+
+    assert.equal(premiums.REST_DAY, 1040);
+  });
+
+  it("pays night differential on the rate of the hour worked", () => {
+    const premiums = premiumsFor({
+      night_minutes: 60,
+      overtime_minutes: 60,
+      overtime_night_minutes: 60,
+    });
+
+    assert.equal(premiums.NIGHT_DIFF, 22.5);
+  });
+});
+
+describe("payRules.computePremiums", () => {
+  it("prices each present day at the hourly rate in effect", () => {
+    const dtr = {
+      to: "2026-06-15",
+      days: [
+        day({ work_date: "2026-06-01", overtime_minutes: 120 }),
+        day({ work_date: "2026-06-12", holidays: [regularHoliday] }),
+        day({
+          work_date: "2026-06-13",
+          status: "absent",
+          overtime_minutes: 60,
+        }),
+      ],
+    };
+    const result = payRules.computePremiums(
+      dtr,
+      (date) => (date < "2026-06-10" ? 150 : 200),
+      rules
+    );
+
+    assert.equal(result.hourly_rate, 200);
+    assert.deepEqual(
+      result.lines.map(({ code, amount }) => [code, amount]),
+      [
+        ["OT", 375],
+        ["HOLIDAY", 1600],
+      ]
+    );
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const separation = require("../services/separation");
+const { rules } = require("../data/pay-rules.json")[0];
+
+const employee = {
+  id: 3,
+  salary: "30000",
+  hire_date: "2020-03-15",
+  birth_date: "1966-01-01",
+  separation_date: "2026-10-20",
+};
+
+describe("separation.serviceLength", () => {
+  it("credits a fraction of six months or more as a whole year", () => {
+    assert.deepEqual(separation.serviceLength("2020-03-15", "2026-09-14"), {
+      years: 6,
+      months: 6,
+      credited_years: 7,
+    });
+    assert.deepEqual(separation.serviceLength("2020-03-15", "2026-09-13"), {
+      years: 6,
+      months: 5,
+      credited_years: 6,
+    });
+  });
+
+  it("is nothing without a hire date", () => {
+    assert.deepEqual(separation.serviceLength(null, "2026-09-14"), {
+      years: 0,
+      months: 0,
+      credited_years: 0,
+    });
+  });
+});
+
+describe("separation.ageOn", () => {
+  it("counts whole years, turning a year older on the birthday", () => {
+    assert.equal(separation.ageOn("1966-10-19", "2026-10-19"), 60);
+    assert.equal(separation.ageOn("1966-10-20", "2026-10-19"), 59);
+    assert.equal(separation.ageOn(null, "2026-10-19"), null);
+  });
+});
+
+describe("separation.separationPay", () => {
+  it("pays a month per year of service for redundancy", () => {
+    const pay = separation.separationPay(
+      { ...employee, separation_reason: "redundancy" },
+      rules
+    );
+
+    assert.equal(pay.code, separation.CODES.separation);
+    assert.equal(pay.service.credited_years, 7);
+    assert.equal(pay.amount, 210000);
+  });
+
+  it("pays half a month per year for retrenchment, at least a month", () => {
+    assert.equal(
+      separation.separationPay(
+        { ...employee, separation_reason: "retrenchment" },
+        rules
+      ).amount,
+      105000
+    );
+    assert.equal(
+      separation.separationPay(
+        {
+          ...employee,
+          hire_date: "2026-01-01",
+          separation_reason: "retrenchment",
+        },
+        rules
+      ).amount,
+      30000
+    );
+  });
+
+  it("pays nothing on resignation", () => {
+    const pay = separation.separationPay(
+      { ...employee, separation_reason: "resignation" },
+      rules
+    );
+
+    assert.equal(pay.code, null);
+    assert.equal(pay.amount, 0);
+  });
+
+  it("pays 22.5 days per year of service on retirement at 60", () => {
+    const pay = separation.separationPay(
+      { ...employee, separation_reason: "retirement" },
+      rules
+    );
+
+    assert.equal(pay.code, separation.CODES.retirement);
+    assert.equal(pay.amount, 217241.38);
+  });
+
+  it("pays no retirement pay before 60", () => {
+    const pay = separation.separationPay(
+      {
+        ...employee,
+        birth_date: "1970-01-01",
+        separation_reason: "retirement",
+      },
+      rules
+    );
+
+    assert.equal(pay.amount, 0);
+    assert.match(pay.basis, /age 56/);
+  });
+
+  it("uses the rate it is given over the current salary", () => {
+    assert.equal(
+      separation.separationPay(
+        { ...employee, separation_reason: "redundancy" },
+        rules,
+        31000
+      ).amount,
+      217000
+    );
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const tax = require("../services/tax");
+const tables = require("../data/tax-tables.json");
+
+// The TRAIN annual table in force from 2023
+const annual = tables.find((table) => table.effective_from === "2023-01-01")
+  .brackets.annual;
+
+describe("tax.applyBrackets", () => {
+  it("charges nothing up to the exempt bracket", () => {
+    assert.equal(tax.applyBrackets(annual, 0), 0);
+    assert.equal(tax.applyBrackets(annual, -5000), 0);
+    assert.equal(tax.applyBrackets(annual, 250000), 0);
+  });
+
+  it("adds the rate on the excess to the bracket's base tax", () => {
+    assert.equal(tax.applyBrackets(annual, 300000), 7500);
+    assert.equal(tax.applyBrackets(annual, 500000), 42500);
+    assert.equal(tax.applyBrackets(annual, 1000000), 152500);
+  });
+
+  it("rounds to centavos", () => {
+    assert.equal(tax.applyBrackets(annual, 250000.07), 0.01);
+  });
+});
+
+describe("tax.taxableCompensation", () => {
+  it("deducts contributions and non-taxable benefits, never below zero", () => {
+    assert.equal(
+      tax.taxableCompensation({
+        gross_compensation: "30000",
+        mandatory_contributions: 2450,
+        non_taxable_benefits: 2000,
+      }),
+      25550
+    );
+    assert.equal(
+      tax.taxableCompensation({
+        gross_compensation: 1000,
+        mandatory_contributions: 2450,
+      }),
+      0
+    );
+  });
+});
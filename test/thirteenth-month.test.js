@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const thirteenthMonth = require("../services/thirteenth-month");
+
+const employee = {
+  id: 1,
+  employee_id: "E1",
+  salary: 30000,
+  hire_date: "2024-04-01",
+  status: "active",
+};
+
+describe("thirteenthMonth.monthsBetween", () => {
+  it("counts whole months and partial months by their days", () => {
+    assert.equal(thirteenthMonth.monthsBetween("2024-01-01", "2024-12-31"), 12);
+    assert.equal(
+      thirteenthMonth.monthsBetween("2024-02-01", "2024-02-15"),
+      15 / 29
+    );
+  });
+});
+
+describe("thirteenthMonth.computeEmployee", () => {
+  it("projects the rest of the year from the hire date", () => {
+    const computed = thirteenthMonth.computeEmployee(employee, 2024);
+
+    assert.equal(computed.basic_pay_projected, 270000);
+    assert.equal(computed.entitlement, 22500);
+    assert.equal(computed.amount, 22500);
+    assert.equal(computed.non_taxable, 22500);
+  });
+
+  it("deducts what was released and taxes the excess over the ceiling", () => {
+    const computed = thirteenthMonth.computeEmployee(employee, 2024, {
+      released_non_taxable: 10000,
+      exemption_used: 80000,
+    });
+
+    assert.equal(computed.amount, 12500);
+    assert.equal(computed.non_taxable, 10000);
+    assert.equal(computed.taxable, 2500);
+  });
+
+  it("stops at the separation date of an employee who left", () => {
+    const computed = thirteenthMonth.computeEmployee(
+      { ...employee, status: "inactive" },
+      2024,
+      {
+        basic_pay: 60000,
+        paid_through: "2024-05-31",
+        separated_on: "2024-06-15",
+      }
+    );
+
+    assert.equal(computed.basic_pay_projected, 15000);
+    assert.equal(computed.amount, 6250);
+  });
+});
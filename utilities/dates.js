@@ -0,0 +1,70 @@
+// Normalize a DATE value to YYYY-MM-DD.
+// mysql2 returns DATE columns as Date objects at local midnight.
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    var month = String(value.getMonth() + 1).padStart(2, "0");
+    var day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// Whether a string is a real calendar date in YYYY-MM-DD form
+function isDateString(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  var date = new Date(value + "T00:00:00Z");
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Normalize a DATETIME value to "YYYY-MM-DD HH:MM:SS" in local time.
+// Punch times are wall-clock times and are never shifted between zones.
+function toDateTimeString(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    var time = [value.getHours(), value.getMinutes(), value.getSeconds()]
+      .map((part) => String(part).padStart(2, "0"))
+      .join(":");
+    return `${toDateString(value)} ${time}`;
+  }
+  var text = String(value).trim().replace("T", " ");
+  return text.length === 16 ? `${text}:00` : text.slice(0, 19);
+}
+
+// Whether a string is a real date and time in "YYYY-MM-DD HH:MM[:SS]" form
+function isDateTimeString(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+  var match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(
+    value.trim()
+  );
+  return (
+    Boolean(match) &&
+    isDateString(match[1]) &&
+    Number(match[2]) < 24 &&
+    Number(match[3]) < 60 &&
+    Number(match[4] || 0) < 60
+  );
+}
+
+// Shift a YYYY-MM-DD date by a number of days
+function addDays(dateString, days) {
+  var date = new Date(dateString + "T00:00:00Z");
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  toDateString,
+  isDateString,
+  toDateTimeString,
+  isDateTimeString,
+  addDays,
+};
@@ -0,0 +1,24 @@
+// The ETag of an employee or department row: its version, which every
+// update bumps
+function etag(row) {
+  return `"${row.version}"`;
+}
+
+// Whether an If-Match header allows changing a row as it is now. Without
+// the header the client skips the check; weak tags compare like strong
+// ones since a row has one version whoever reads it.
+function ifMatch(header, row) {
+  if (!header) {
+    return true;
+  }
+  var current = etag(row);
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === current);
+}
+
+module.exports = {
+  etag,
+  ifMatch,
+};
@@ -0,0 +1,11 @@
+// Build an Error carrying an HTTP status so routes can surface it directly
+function httpError(status, message, details) {
+  var err = new Error(message);
+  err.status = status;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+module.exports = httpError;
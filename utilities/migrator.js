@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const SEEDS_DIR = path.join(__dirname, "..", "seeds");
+const LOCK_NAME = "manila_payroll_migrations";
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Numbered files such as 003_create_payroll_tables.js, in order
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort();
+}
+
+function loadMigrations() {
+  return listFiles(MIGRATIONS_DIR).map((file) => ({
+    name: path.basename(file, ".js"),
+    ...require(path.join(MIGRATIONS_DIR, file)),
+  }));
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      batch INT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedMigrations(connection) {
+  const [rows] = await connection.query(
+    "SELECT name, batch, applied_at FROM schema_migrations ORDER BY name"
+  );
+  return rows;
+}
+
+// Serialize migration runs across processes (e.g. cluster workers)
+async function withLock(pool, fn) {
+  const connection = await pool.getConnection();
+  try {
+    const [rows] = await connection.query("SELECT GET_LOCK(?, ?) AS locked", [
+      LOCK_NAME,
+      LOCK_TIMEOUT_SECONDS,
+    ]);
+    if (rows[0].locked !== 1) {
+      throw new Error("Timed out waiting for the migration lock");
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// Apply every pending migration as one new batch
+async function latest(pool) {
+  return withLock(pool, async (connection) => {
+    const applied = new Set(
+      (await appliedMigrations(connection)).map((row) => row.name)
+    );
+    const pending = loadMigrations().filter(
+      (migration) => !applied.has(migration.name)
+    );
+
+    if (pending.length === 0) {
+      console.log("✅ Database schema is up to date");
+      return [];
+    }
+
+    const [batchRows] = await connection.query(
+      "SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM schema_migrations"
+    );
+    const batch = batchRows[0].batch;
+
+    for (const migration of pending) {
+      console.log(`📝 Migrating ${migration.name}...`);
+      await migration.up(connection);
+      await connection.query(
+        "INSERT INTO schema_migrations (name, batch) VALUES (?, ?)",
+        [migration.name, batch]
+      );
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s) in batch ${batch}`);
+    return pending.map((migration) => migration.name);
+  });
+}
+
+// Revert the most recent batch
+async function rollback(pool) {
+  return withLock(pool, async (connection) => {
+    const applied = await appliedMigrations(connection);
+    if (applied.length === 0) {
+      console.log("✅ Nothing to roll back");
+      return [];
+    }
+
+    const lastBatch = Math.max(...applied.map((row) => row.batch));
+    const migrations = loadMigrations();
+    const toRevert = applied
+      .filter((row) => row.batch === lastBatch)
+      .map((row) => row.name)
+      .reverse();
+
+    for (const name of toRevert) {
+      const migration = migrations.find((item) => item.name === name);
+      if (!migration) {
+        throw new Error(`Migration file for ${name} is missing`);
+      }
+      console.log(`📝 Rolling back ${name}...`);
+      await migration.down(connection);
+      await connection.query("DELETE FROM schema_migrations WHERE name = ?", [
+        name,
+      ]);
+    }
+
+    console.log(`✅ Rolled back batch ${lastBatch}`);
+    return toRevert;
+  });
+}
+
+// Every known migration with its applied state
+async function status(pool) {
+  return withLock(pool, async (connection) => {
+    const applied = await appliedMigrations(connection);
+    const byName = new Map(applied.map((row) => [row.name, row]));
+    const names = new Set([
+      ...loadMigrations().map((migration) => migration.name),
+      ...applied.map((row) => row.name),
+    ]);
+
+    return [...names].sort().map((name) => ({
+      name,
+      applied: byName.has(name),
+      batch: byName.has(name) ? byName.get(name).batch : null,
+      applied_at: byName.has(name) ? byName.get(name).applied_at : null,
+    }));
+  });
+}
+
+// Run seed files; sample-data seeds are skipped in production unless forced
+async function seed(pool, { force = false } = {}) {
+  const isProduction = process.env.NODE_ENV === "production";
+  const connection = await pool.getConnection();
+
+  try {
+    for (const file of listFiles(SEEDS_DIR)) {
+      const seedFile = require(path.join(SEEDS_DIR, file));
+      const name = path.basename(file, ".js");
+
+      if (isProduction && !seedFile.production && !force) {
+        console.log(`⏭️  Skipping ${name} in production (use --force)`);
+        continue;
+      }
+
+      console.log(`🌱 Seeding ${name}...`);
+      await seedFile.run(connection);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// Schema helpers for idempotent migrations
+async function tableExists(connection, table) {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS count FROM information_schema.tables
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return rows[0].count > 0;
+}
+
+async function columnExists(connection, table, column) {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS count FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+    [table, column]
+  );
+  return rows[0].count > 0;
+}
+
+async function indexExists(connection, table, index) {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS count FROM information_schema.statistics
+     WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?`,
+    [table, index]
+  );
+  return rows[0].count > 0;
+}
+
+module.exports = {
+  latest,
+  rollback,
+  status,
+  seed,
+  tableExists,
+  columnExists,
+  indexExists,
+};
@@ -0,0 +1,17 @@
+// Round a peso amount to centavos
+function round2(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+// Peso amount with thousands separators and centavos, e.g. 12,345.60
+function formatMoney(value) {
+  return Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+module.exports = {
+  round2,
+  formatMoney,
+};
@@ -0,0 +1,55 @@
+const Joi = require("joi");
+const patterns = require("./patterns");
+const { isDateTimeString, toDateTimeString } = require("../utilities/dates");
+const { PUNCH_TYPES } = require("../services/attendance");
+
+const timeOfDay = () =>
+  Joi.string().trim().pattern(patterns.TIME_OF_DAY).messages({
+    "string.pattern.base": "{{#label}} must be a time such as 08:00",
+  });
+
+const scheduleSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  time_in: timeOfDay().required(),
+  time_out: timeOfDay().required(),
+  break_start: timeOfDay().allow(null),
+  break_end: timeOfDay().allow(null),
+  grace_minutes: Joi.number().integer().min(0).max(120).default(0),
+  rest_days: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .default([0, 6]),
+  is_default: Joi.boolean().default(false),
+}).and("break_start", "break_end");
+
+const assignSchedule = Joi.object({
+  employee_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .unique()
+    .required(),
+});
+
+const createPunch = Joi.object({
+  employee_id: Joi.number().integer().positive().required(),
+  punched_at: Joi.string()
+    .trim()
+    .required()
+    .custom((value, helpers) =>
+      isDateTimeString(value)
+        ? toDateTimeString(value)
+        : helpers.error("any.invalid")
+    )
+    .messages({
+      "any.invalid": "punched_at must be a date and time (YYYY-MM-DD HH:MM)",
+    }),
+  punch_type: Joi.string()
+    .valid(...PUNCH_TYPES)
+    .allow(null),
+});
+
+module.exports = {
+  createSchedule: scheduleSchema,
+  assignSchedule,
+  createPunch,
+};
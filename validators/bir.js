@@ -0,0 +1,21 @@
+const Joi = require("joi");
+
+const year = Joi.number().integer().min(2000).max(2100).required();
+
+const yearQuerySchema = Joi.object({ year });
+
+const certificateQuerySchema = Joi.object({
+  year,
+  employee_id: Joi.number().integer().positive(),
+});
+
+const alphalistQuerySchema = Joi.object({
+  year,
+  format: Joi.string().valid("json", "file").default("json"),
+});
+
+module.exports = {
+  certificateQuery: certificateQuerySchema,
+  alphalistQuery: alphalistQuerySchema,
+  yearQuery: yearQuerySchema,
+};
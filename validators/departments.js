@@ -0,0 +1,31 @@
+const Joi = require("joi");
+const patterns = require("./patterns");
+
+const departmentSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().trim().max(1000).allow(null, ""),
+  parent_id: Joi.number().integer().positive().allow(null),
+  head_employee_id: Joi.number().integer().positive().allow(null),
+  cost_center: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(patterns.COST_CENTER)
+    .empty("")
+    .allow(null)
+    .messages({
+      "string.pattern.base":
+        "cost_center may only contain letters, digits, dots, dashes and underscores (max 20)",
+    }),
+});
+
+// A PATCH payload: only the fields being changed
+const departmentPatchSchema = departmentSchema
+  .fork(["name"], (schema) => schema.optional())
+  .min(1)
+  .messages({ "object.min": "Send at least one field to change" });
+
+module.exports = {
+  createDepartment: departmentSchema,
+  updateDepartment: departmentSchema,
+  patchDepartment: departmentPatchSchema,
+};
@@ -0,0 +1,66 @@
+const Joi = require("joi");
+const {
+  TAXABILITIES,
+  LIMIT_PERIODS,
+  RECURRENCES,
+  RESERVED_CODES,
+} = require("../services/earnings");
+
+// De minimis types need a ceiling and the period it applies to
+const earningTypeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_]{1,20}$/)
+    .invalid(...RESERVED_CODES)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "code may only contain letters, digits and underscores (max 20)",
+      "any.invalid": "code is reserved for payroll",
+    }),
+  name: Joi.string().trim().max(100).required(),
+  taxability: Joi.string()
+    .valid(...TAXABILITIES)
+    .required(),
+  de_minimis_limit: Joi.when("taxability", {
+    is: "de_minimis",
+    then: Joi.number().positive().precision(2).max(9999999999.99).required(),
+    otherwise: Joi.any().strip(),
+  }),
+  limit_period: Joi.when("taxability", {
+    is: "de_minimis",
+    then: Joi.string()
+      .valid(...LIMIT_PERIODS)
+      .required(),
+    otherwise: Joi.any().strip(),
+  }),
+  reference: Joi.string().trim().max(150).empty("").allow(null),
+});
+
+const employeeEarningSchema = Joi.object({
+  earning_type_id: Joi.number().integer().positive().required(),
+  amount: Joi.number().positive().precision(2).max(9999999999.99).required(),
+  recurrence: Joi.string()
+    .valid(...RECURRENCES)
+    .required(),
+  start_date: Joi.date().iso().raw().required(),
+  end_date: Joi.when("recurrence", {
+    is: "recurring",
+    then: Joi.date().iso().raw().allow(null),
+    otherwise: Joi.any().strip(),
+  }),
+  notes: Joi.string().trim().max(255).empty("").allow(null),
+});
+
+// Payslips refer to earning types by code, so it never changes
+const updateEarningType = earningTypeSchema.fork(["code"], (schema) =>
+  schema.optional().strip()
+);
+
+module.exports = {
+  createEarningType: earningTypeSchema,
+  updateEarningType,
+  createEmployeeEarning: employeeEarningSchema,
+  updateEmployeeEarning: employeeEarningSchema,
+};
@@ -0,0 +1,101 @@
+const Joi = require("joi");
+const patterns = require("./patterns");
+const { STATUSES } = require("../services/employees");
+const { PAY_BASES, REASONS } = require("../services/compensation");
+const separation = require("../services/separation");
+
+const nullableString = (max) =>
+  Joi.string().trim().max(max).empty("").allow(null);
+
+const employeeKeys = {
+  employee_id: Joi.string()
+    .trim()
+    .pattern(patterns.EMPLOYEE_NUMBER)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "employee_id may only contain letters, digits and dashes (max 20)",
+    }),
+  first_name: Joi.string().trim().max(50).required(),
+  middle_name: nullableString(50),
+  last_name: Joi.string().trim().max(50).required(),
+  email: Joi.string().trim().lowercase().email().max(100).required(),
+  phone: nullableString(20).pattern(patterns.PH_PHONE).messages({
+    "string.pattern.base": "phone must be a valid Philippine phone number",
+  }),
+  department_id: Joi.number().integer().positive().allow(null),
+  manager_id: Joi.number().integer().positive().allow(null),
+  position: nullableString(100),
+  salary: Joi.number().positive().precision(2).max(99999999.99).allow(null),
+  hire_date: Joi.date().iso().raw().allow(null),
+  birth_date: Joi.date().iso().raw().max("now").allow(null),
+  status: Joi.string().valid(...STATUSES),
+  tin: nullableString(20).pattern(patterns.TIN).messages({
+    "string.pattern.base": "tin must look like 000-000-000 or 000-000-000-000",
+  }),
+  sss_number: nullableString(15).pattern(patterns.SSS_NUMBER).messages({
+    "string.pattern.base": "sss_number must look like 00-0000000-0",
+  }),
+  philhealth_number: nullableString(15)
+    .pattern(patterns.PHILHEALTH_NUMBER)
+    .messages({
+      "string.pattern.base": "philhealth_number must look like 00-000000000-0",
+    }),
+  pagibig_number: nullableString(15).pattern(patterns.PAGIBIG_NUMBER).messages({
+    "string.pattern.base": "pagibig_number must look like 0000-0000-0000",
+  }),
+  bank: nullableString(20).uppercase().pattern(patterns.BANK_CODE).messages({
+    "string.pattern.base":
+      "bank must be a bank code of letters, digits and underscores",
+  }),
+  bank_account_number: nullableString(30)
+    .replace(/[\s-]/g, "")
+    .pattern(patterns.BANK_ACCOUNT_NUMBER)
+    .messages({
+      "string.pattern.base": "bank_account_number must be 6 to 20 digits",
+    }),
+  bank_account_name: nullableString(100),
+};
+
+const employeeSchema = Joi.object({
+  ...employeeKeys,
+  status: employeeKeys.status.default("active"),
+});
+
+// A PATCH payload: only the fields being changed, none required
+const employeePatchSchema = Joi.object(employeeKeys)
+  .fork(Object.keys(employeeKeys), (schema) => schema.optional())
+  .min(1)
+  .messages({ "object.min": "Send at least one field to change" });
+
+const compensationSchema = Joi.object({
+  effective_from: Joi.date().iso().raw().required(),
+  pay_basis: Joi.string()
+    .valid(...PAY_BASES)
+    .default("monthly"),
+  rate: Joi.number().positive().precision(2).max(99999999.99).required(),
+  reason: Joi.string()
+    .valid(...REASONS)
+    .required(),
+  notes: nullableString(1000),
+});
+
+const separationSchema = Joi.object({
+  separation_date: Joi.date().iso().raw().required(),
+  reason: Joi.string()
+    .valid(...Object.keys(separation.REASONS))
+    .required(),
+  notes: nullableString(1000),
+});
+
+// Columns written from a validated employee payload
+const EMPLOYEE_FIELDS = Object.keys(employeeSchema.describe().keys);
+
+module.exports = {
+  createEmployee: employeeSchema,
+  updateEmployee: employeeSchema,
+  patchEmployee: employeePatchSchema,
+  createCompensation: compensationSchema,
+  createSeparation: separationSchema,
+  EMPLOYEE_FIELDS,
+};
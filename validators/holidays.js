@@ -0,0 +1,15 @@
+const Joi = require("joi");
+const { TYPES } = require("../services/holidays");
+
+const createHoliday = Joi.object({
+  holiday_date: Joi.date().iso().raw().required(),
+  name: Joi.string().trim().max(150).required(),
+  type: Joi.string()
+    .valid(...TYPES)
+    .required(),
+  proclamation: Joi.string().trim().max(150).empty("").allow(null),
+});
+
+module.exports = {
+  createHoliday,
+};
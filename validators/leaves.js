@@ -0,0 +1,52 @@
+const Joi = require("joi");
+const { ACCRUALS } = require("../services/leaves");
+
+const createLeaveType = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_]{1,20}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "code may only contain letters, digits and underscores (max 20)",
+    }),
+  name: Joi.string().trim().max(100).required(),
+  is_paid: Joi.boolean().default(true),
+  accrual: Joi.string()
+    .valid(...ACCRUALS)
+    .default("none"),
+  entitlement_days: Joi.number().min(0).max(365).precision(2).default(0),
+  max_carry_over_days: Joi.number().min(0).max(365).precision(2).default(0),
+  convertible: Joi.boolean().default(false),
+});
+
+const createLeaveRequest = Joi.object({
+  employee_id: Joi.number().integer().positive(),
+  leave_type_id: Joi.number().integer().positive().required(),
+  start_date: Joi.date().iso().raw().required(),
+  end_date: Joi.date().iso().raw(),
+  half_day: Joi.boolean().default(false),
+  reason: Joi.string().trim().max(1000).empty("").allow(null),
+});
+
+const reviewLeaveRequest = Joi.object({
+  notes: Joi.string().trim().max(1000).empty("").allow(null),
+});
+
+const accrueLeave = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).required(),
+  month: Joi.number().integer().min(1).max(12).required(),
+});
+
+const closeLeaveYear = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).required(),
+});
+
+module.exports = {
+  createLeaveType,
+  createLeaveRequest,
+  reviewLeaveRequest,
+  accrueLeave,
+  closeLeaveYear,
+};
@@ -0,0 +1,41 @@
+const Joi = require("joi");
+const { LOAN_TYPES } = require("../services/loans");
+
+const amount = () => Joi.number().positive().precision(2).max(9999999999.99);
+
+const createLoan = Joi.object({
+  employee_id: Joi.number().integer().positive().required(),
+  loan_type: Joi.string()
+    .valid(...Object.keys(LOAN_TYPES))
+    .required(),
+  reference_number: Joi.string().trim().max(50).empty("").allow(null),
+  principal: amount().required(),
+  amortization: amount().required(),
+  start_date: Joi.date().iso().raw().required(),
+  balance: amount().allow(null),
+  notes: Joi.string().trim().max(1000).empty("").allow(null),
+});
+
+// Paid loans close themselves; only these statuses are set by hand
+const updateLoan = Joi.object({
+  amortization: amount(),
+  status: Joi.string().valid("active", "paused", "cancelled"),
+  notes: Joi.string().trim().max(1000).empty("").allow(null),
+}).min(1);
+
+const createLoanEntry = Joi.object({
+  entry_type: Joi.string().valid("payment", "adjustment").required(),
+  amount: Joi.number()
+    .precision(2)
+    .invalid(0)
+    .required()
+    .when("entry_type", { is: "payment", then: Joi.number().positive() }),
+  entry_date: Joi.date().iso().raw().required(),
+  notes: Joi.string().trim().max(255).empty("").allow(null),
+});
+
+module.exports = {
+  createLoan,
+  updateLoan,
+  createLoanEntry,
+};
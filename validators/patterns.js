@@ -0,0 +1,43 @@
+// Philippine mobile or landline, e.g. +63-912-345-6789, 09123456789, (02) 8123-4567
+const PH_PHONE =
+  /^(\+63[\s-]?|0)(9\d{2}[\s-]?\d{3}[\s-]?\d{4}|\(?\d{1,2}\)?[\s-]?\d{3,4}[\s-]?\d{4})$/;
+
+// BIR Taxpayer Identification Number: 000-000-000 with optional 3-5 digit branch code
+const TIN = /^\d{3}-?\d{3}-?\d{3}(-?\d{3,5})?$/;
+
+// SSS number: 00-0000000-0
+const SSS_NUMBER = /^\d{2}-?\d{7}-?\d$/;
+
+// PhilHealth Identification Number: 00-000000000-0
+const PHILHEALTH_NUMBER = /^\d{2}-?\d{9}-?\d$/;
+
+// Pag-IBIG MID number: 0000-0000-0000
+const PAGIBIG_NUMBER = /^\d{4}-?\d{4}-?\d{4}$/;
+
+// Company employee number, e.g. EMP001
+const EMPLOYEE_NUMBER = /^[A-Za-z0-9-]{1,20}$/;
+
+// Bank code, e.g. BPI or SECURITY_BANK
+const BANK_CODE = /^[A-Z0-9_]{2,20}$/;
+
+// Bank account number once spaces and dashes are removed
+const BANK_ACCOUNT_NUMBER = /^\d{6,20}$/;
+
+// Cost center code, e.g. CC-100 or OPS.MNL
+const COST_CENTER = /^[A-Z0-9][A-Z0-9._-]{0,19}$/;
+
+// Time of day on a 24-hour clock: HH:MM or HH:MM:SS
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+module.exports = {
+  PH_PHONE,
+  TIN,
+  SSS_NUMBER,
+  PHILHEALTH_NUMBER,
+  PAGIBIG_NUMBER,
+  EMPLOYEE_NUMBER,
+  BANK_CODE,
+  BANK_ACCOUNT_NUMBER,
+  COST_CENTER,
+  TIME_OF_DAY,
+};
@@ -0,0 +1,61 @@
+const Joi = require("joi");
+const patterns = require("./patterns");
+const { FORMATS } = require("../services/disbursement");
+
+const disbursementSchema = Joi.object({
+  bank: Joi.string()
+    .trim()
+    .uppercase()
+    .valid(...Object.keys(FORMATS))
+    .required(),
+  company_account: Joi.string()
+    .trim()
+    .replace(/[\s-]/g, "")
+    .pattern(patterns.BANK_ACCOUNT_NUMBER)
+    .required()
+    .messages({
+      "string.pattern.base": "company_account must be 6 to 20 digits",
+    }),
+  company_code: Joi.string().trim().alphanum().max(20).empty(""),
+  batch_number: Joi.number().integer().min(1).max(99).default(1),
+  credit_date: Joi.date().iso().raw(),
+});
+
+const adjustmentRunSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).empty("").allow(null),
+});
+
+// A correction entered on an adjustment run; negative amounts take back
+// what was overpaid
+const adjustmentSchema = Joi.object({
+  employee_id: Joi.number().integer().positive().required(),
+  line_type: Joi.string().valid("earning", "deduction").required(),
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_]{1,30}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "code may only contain letters, digits and underscores (max 30)",
+    }),
+  description: Joi.string().trim().max(150).required(),
+  amount: Joi.number()
+    .precision(2)
+    .min(-99999999.99)
+    .max(99999999.99)
+    .invalid(0)
+    .required(),
+  taxable: Joi.boolean(),
+});
+
+const reversalSchema = Joi.object({
+  employee_id: Joi.number().integer().positive().required(),
+});
+
+module.exports = {
+  createDisbursement: disbursementSchema,
+  createAdjustmentRun: adjustmentRunSchema,
+  createAdjustment: adjustmentSchema,
+  createReversal: reversalSchema,
+};
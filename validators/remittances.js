@@ -0,0 +1,13 @@
+const Joi = require("joi");
+
+const remittanceQuerySchema = Joi.object({
+  month: Joi.string()
+    .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .required()
+    .messages({ "string.pattern.base": "month must be in YYYY-MM format" }),
+  format: Joi.string().valid("json", "file").default("json"),
+});
+
+module.exports = {
+  remittanceQuery: remittanceQuerySchema,
+};